@@ -0,0 +1,225 @@
+/**
+ * AI姿勢分析 - Googleスライドレポート作成（Google Apps Script ウェブアプリ）
+ *
+ * デプロイ: 「デプロイ」→「新しいデプロイ」→ 種類「ウェブアプリ」
+ *   実行ユーザー: 自分 / アクセスできるユーザー: 全員
+ * 発行されたURLをアプリの設定パネル「Apps Script URL」に入力する。
+ *
+ * 受け取るJSONは src/report/SlidesExporter.js の buildPayload を参照。
+ */
+
+var PAYLOAD_VERSION = 1;
+
+var VIEW_LABELS = {
+  lateral: '側面観',
+  frontal: '正面観',
+  posterior: '後面観'
+};
+
+function doPost(e) {
+  try {
+    var payload = JSON.parse(e.postData.contents);
+    if (payload.version !== PAYLOAD_VERSION) {
+      return jsonResponse({ success: false, error: '未対応のデータ形式です（version: ' + payload.version + '）' });
+    }
+
+    var presentation = createReport(payload);
+    return jsonResponse({ success: true, slideUrl: presentation.getUrl() });
+  } catch (error) {
+    return jsonResponse({ success: false, error: String(error.message || error) });
+  }
+}
+
+function jsonResponse(data) {
+  return ContentService
+    .createTextOutput(JSON.stringify(data))
+    .setMimeType(ContentService.MimeType.JSON);
+}
+
+/**
+ * レポートのスライドを作成
+ */
+function createReport(payload) {
+  var date = new Date(payload.date);
+  var title = '姿勢評価レポート_' + (payload.client.name || 'クライアント') + '_' +
+    Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyyMMdd');
+
+  var presentation = SlidesApp.create(title);
+  var slides = presentation.getSlides();
+
+  addTitleSlide(slides[0], payload, date);
+
+  Object.keys(payload.views).forEach(function (view) {
+    var entry = payload.views[view];
+    addImageSlide(presentation, VIEW_LABELS[view] || view, entry);
+    if (entry.postureType) {
+      addPostureTypeSlide(presentation, entry.postureType);
+    }
+    addDetailsSlide(presentation, VIEW_LABELS[view] || view, entry.details, entry.jointAngles || []);
+  });
+
+  if (payload.muscleImbalance && (payload.muscleImbalance.tight.length > 0 || payload.muscleImbalance.weak.length > 0)) {
+    addMuscleImbalanceSlide(presentation, payload.muscleImbalance);
+  }
+
+  if (payload.recommendations && payload.recommendations.length > 0) {
+    addRecommendationsSlide(presentation, payload.recommendations);
+  }
+
+  if (payload.notes) {
+    addNotesSlide(presentation, payload.notes);
+  }
+
+  presentation.saveAndClose();
+  return presentation;
+}
+
+function addTitleSlide(slide, payload, date) {
+  slide.getShapes().forEach(function (shape) { shape.remove(); });
+
+  slide.insertTextBox(payload.clinicName || 'AI姿勢分析', 40, 40, 640, 40)
+    .getText().getTextStyle().setFontSize(18);
+  slide.insertTextBox('姿勢評価レポート（ケンダル法）', 40, 90, 640, 60)
+    .getText().getTextStyle().setFontSize(32).setBold(true);
+
+  var lines = [
+    'クライアント: ' + (payload.client.name || '（未登録）'),
+    '生年月日: ' + (payload.client.birthDate || '-'),
+    '評価日: ' + Utilities.formatDate(date, Session.getScriptTimeZone(), 'yyyy/MM/dd HH:mm'),
+    '推定モデル: ' + (payload.modelLabel || '-'),
+    '採点基準: ' + (payload.scoringProfile ? payload.scoringProfile.name + ' v' + payload.scoringProfile.version : '-')
+  ];
+  Object.keys(payload.views).forEach(function (view) {
+    var score = payload.views[view].totalScore;
+    lines.push((VIEW_LABELS[view] || view) + ' 総合スコア: ' + (score === null ? '-' : Math.round(score) + '/100'));
+  });
+
+  slide.insertTextBox(lines.join('\n'), 40, 170, 640, 200)
+    .getText().getTextStyle().setFontSize(16);
+}
+
+function addImageSlide(presentation, label, entry) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox(label, 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+
+  if (!entry.image) return;
+
+  var blob = Utilities.newBlob(Utilities.base64Decode(entry.image.data), entry.image.mimeType, label + '.jpg');
+  var image = slide.insertImage(blob);
+
+  // スライド（720×405pt）の余白内に収める
+  var maxWidth = 680;
+  var maxHeight = 335;
+  var scale = Math.min(maxWidth / image.getWidth(), maxHeight / image.getHeight());
+  image.setWidth(image.getWidth() * scale);
+  image.setHeight(image.getHeight() * scale);
+  image.setLeft((720 - image.getWidth()) / 2);
+  image.setTop(55);
+}
+
+function addPostureTypeSlide(presentation, postureType) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox('姿勢タイプ（側面観）', 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+
+  var heading = postureType.label;
+  if (postureType.type) {
+    heading += '（信頼度 ' + Math.round(postureType.confidence * 100) + '%）';
+  }
+  slide.insertTextBox(heading, 20, 60, 680, 40)
+    .getText().getTextStyle().setFontSize(20).setBold(true);
+
+  var lines = postureType.type
+    ? postureType.findings.map(function (finding) {
+        var mark = postureType.matches.indexOf(finding.key) >= 0 ? '✔ ' : '－ ';
+        return mark + finding.label + '（' + finding.valueText + '）';
+      })
+    : [postureType.reason];
+  slide.insertTextBox(lines.join('\n'), 20, 110, 680, 270)
+    .getText().getTextStyle().setFontSize(14);
+}
+
+function addDetailsSlide(presentation, label, details, jointAngles) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox(label + 'の評価項目', 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+
+  var table = slide.insertTable(details.length + 1, 3, 20, 55, 680, 30);
+  ['項目', 'スコア', '所見'].forEach(function (text, column) {
+    table.getCell(0, column).getText().setText(text).getTextStyle().setBold(true).setFontSize(11);
+  });
+
+  details.forEach(function (item, index) {
+    var value = item.valueCm !== null ? item.valueCm.toFixed(1) + ' cm' : item.value;
+    var score = item.measurable ? Math.round(item.score) + '/100（' + value + '）' : '測定不可';
+    if (item.measurable && item.variability) {
+      score += '\nばらつき ±' + item.variability.scoreSd.toFixed(1) + '点';
+    }
+    var description = item.measurable ? item.description : item.description + '（' + item.reason + '）';
+    jointAngles.forEach(function (angle) {
+      if (angle.item !== item.key) return;
+      description += '\n📐 ' + angle.name + ': ' + (angle.measurable
+        ? angle.valueText + '（目安 ' + angle.normal + '）' + angle.interpretation
+        : '測定不可');
+    });
+
+    table.getCell(index + 1, 0).getText().setText(item.name).getTextStyle().setFontSize(10);
+    table.getCell(index + 1, 1).getText().setText(score).getTextStyle().setFontSize(10);
+    table.getCell(index + 1, 2).getText().setText(description).getTextStyle().setFontSize(10);
+  });
+}
+
+function addMuscleImbalanceSlide(presentation, imbalance) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox('推定される筋のアンバランス', 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+
+  var columns = [
+    { title: '短縮・緊張', color: '#e74c3c', groups: imbalance.tight, left: 20 },
+    { title: '弱化・伸張', color: '#3498db', groups: imbalance.weak, left: 370 }
+  ];
+  columns.forEach(function (column) {
+    slide.insertTextBox(column.title, column.left, 60, 330, 30)
+      .getText().getTextStyle().setFontSize(18).setBold(true).setForegroundColor(column.color);
+
+    var lines = column.groups.length > 0
+      ? column.groups.map(function (group) { return '● ' + group.name + '\n   ' + group.reasons.join('\n   '); })
+      : ['該当なし'];
+    slide.insertTextBox(lines.join('\n'), column.left, 95, 330, 270)
+      .getText().getTextStyle().setFontSize(10);
+  });
+
+  slide.insertTextBox('※姿勢から推定した候補です。筋長検査・徒手筋力検査で確認してください', 20, 370, 680, 25)
+    .getText().getTextStyle().setFontSize(10);
+}
+
+function addRecommendationsSlide(presentation, recommendations) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox('ホームエクササイズ', 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+
+  var table = slide.insertTable(recommendations.length + 1, 3, 20, 55, 680, 30);
+  ['エクササイズ', '回数', '方法・根拠'].forEach(function (text, column) {
+    table.getCell(0, column).getText().setText(text).getTextStyle().setBold(true).setFontSize(11);
+  });
+
+  recommendations.forEach(function (exercise, index) {
+    var name = exercise.name + '\n（' + exercise.type + '）';
+    var dose = exercise.sets + 'セット × ' + exercise.reps;
+    var detail = exercise.instructions + '\n対象: ' + exercise.targetMuscles.join('・') +
+      '\n根拠: ' + exercise.reasons.join('、');
+
+    table.getCell(index + 1, 0).getText().setText(name).getTextStyle().setFontSize(10);
+    table.getCell(index + 1, 1).getText().setText(dose).getTextStyle().setFontSize(10);
+    table.getCell(index + 1, 2).getText().setText(detail).getTextStyle().setFontSize(9);
+  });
+}
+
+function addNotesSlide(presentation, notes) {
+  var slide = presentation.appendSlide(SlidesApp.PredefinedLayout.BLANK);
+  slide.insertTextBox('セラピストメモ', 20, 10, 680, 40)
+    .getText().getTextStyle().setFontSize(24).setBold(true);
+  slide.insertTextBox(notes, 20, 60, 680, 320)
+    .getText().getTextStyle().setFontSize(14);
+}
@@ -0,0 +1,76 @@
+/**
+ * 姿勢推定モデルの重みを配布元（TF Hub）から public/models/ に取得する（オフライン用に同梱する）
+ *
+ * 使い方: npm run models:download [-- モデルID...] [-- --force]
+ *   モデルIDを省略するとすべてのモデル（例: npm run models:download -- movenet-lightning）。
+ *   取得済みのモデルは --force を付けない限りスキップする。
+ */
+
+import { mkdir, writeFile, access } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { ModelWeights } from '../src/pose/ModelWeights.js';
+
+const OUTPUT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..', 'public', 'models');
+
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const modelIds = args.filter(arg => !arg.startsWith('--'));
+
+const unknown = modelIds.filter(modelId => !ModelWeights.MODEL_WEIGHTS[modelId]);
+if (unknown.length > 0) {
+    console.error(`❌ 未対応のモデルです: ${unknown.join(', ')}`);
+    console.error(`   対応しているモデル: ${Object.keys(ModelWeights.MODEL_WEIGHTS).join(', ')}`);
+    process.exit(1);
+}
+
+const directories = [...new Set(
+    (modelIds.length > 0 ? modelIds : Object.keys(ModelWeights.MODEL_WEIGHTS))
+        .flatMap(modelId => ModelWeights.getDirectories(modelId))
+)];
+
+try {
+    for (const directory of directories) {
+        const target = join(OUTPUT_DIR, directory);
+        if (!force && await exists(join(target, 'model.json'))) {
+            console.log(`⏭️ ${directory}: 取得済み`);
+            continue;
+        }
+
+        const source = ModelWeights.WEIGHT_SOURCES[directory];
+        console.log(`📥 ${directory}: ${source}`);
+
+        const modelJson = await download(`${source}/model.json`);
+        const manifest = JSON.parse(modelJson.toString('utf8'));
+        const paths = manifest.weightsManifest.flatMap(group => group.paths);
+
+        await mkdir(target, { recursive: true });
+        for (const path of paths) {
+            await writeFile(join(target, path), await download(`${source}/${path}`));
+        }
+        // 重みのファイルを取得し終えてから model.json を置く（途中で失敗したら再取得されるように）
+        await writeFile(join(target, 'model.json'), modelJson);
+
+        console.log(`✅ ${directory}: model.json と ${paths.length} 個の重みファイル`);
+    }
+} catch (error) {
+    console.error('❌ モデルの重みの取得に失敗しました:', error.message);
+    process.exit(1);
+}
+
+async function download(url) {
+    const response = await fetch(`${url}?tfjs-format=file`);
+    if (!response.ok) {
+        throw new Error(`取得に失敗しました（${response.status}）: ${url}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+}
+
+async function exists(path) {
+    try {
+        await access(path);
+        return true;
+    } catch {
+        return false;
+    }
+}
@@ -0,0 +1,80 @@
+/**
+ * Apps Script ウェブアプリのモック（Googleスライド連携の動作確認用）
+ *
+ * 使い方: npm run mock:slides
+ *   設定パネルの「Apps Script URL」に http://localhost:8787/exec を入力する。
+ *   ?delay=ミリ秒 で応答を遅らせ（タイムアウトの確認）、?fail=1 でエラー応答を返す。
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = Number(process.env.PORT) || 8787;
+
+const server = createServer((req, res) => {
+    const url = new URL(req.url, `http://localhost:${PORT}`);
+
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204);
+        res.end();
+        return;
+    }
+
+    if (req.method !== 'POST') {
+        res.writeHead(405, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ success: false, error: 'POSTのみ対応しています' }));
+        return;
+    }
+
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const respond = () => {
+            const result = handlePayload(Buffer.concat(chunks).toString('utf8'), url.searchParams.has('fail'));
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(result));
+        };
+
+        const delay = Number(url.searchParams.get('delay')) || 0;
+        setTimeout(respond, delay);
+    });
+});
+
+/**
+ * 受け取ったペイロードを検証し、Apps Scriptと同じ形式の応答を返す
+ */
+function handlePayload(body, fail) {
+    let payload;
+    try {
+        payload = JSON.parse(body);
+    } catch (error) {
+        return { success: false, error: 'JSONを解析できません' };
+    }
+
+    const views = Object.entries(payload.views || {});
+    console.log(`📥 ${new Date().toLocaleTimeString('ja-JP')} クライアント: ${payload.client?.name || '（未登録）'} / ${(body.length / 1024).toFixed(0)} KB`);
+    views.forEach(([view, entry]) => {
+        const image = entry.image ? `${entry.image.width}×${entry.image.height}` : 'なし';
+        console.log(`   ${view}: 総合 ${entry.totalScore ?? '-'} / 項目 ${entry.details.length} / 画像 ${image}`);
+    });
+    console.log(`   筋のアンバランス: 短縮 ${payload.muscleImbalance?.tight.length ?? 0} / 弱化 ${payload.muscleImbalance?.weak.length ?? 0}`);
+    console.log(`   エクササイズ: ${payload.recommendations?.length ?? 0} 種目`);
+
+    if (fail) {
+        return { success: false, error: 'モックサーバーのエラー応答です' };
+    }
+    if (payload.version !== 1 || views.length === 0) {
+        return { success: false, error: 'ペイロードの形式が正しくありません' };
+    }
+
+    return {
+        success: true,
+        slideUrl: `https://docs.google.com/presentation/d/mock-${Date.now().toString(36)}/edit`
+    };
+}
+
+server.listen(PORT, () => {
+    console.log(`🧪 モックサーバー起動: http://localhost:${PORT}/exec`);
+});
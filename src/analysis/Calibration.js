@@ -0,0 +1,111 @@
+/**
+ * Calibration - 画像座標から実寸（cm）への換算
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// 耳孔の高さ〜外果（足首）の高さが身長に占める割合
+// 人体寸法の標準値（眼高 ≒ 0.936H、外果高 ≒ 0.039H）から耳孔〜外果を約0.89Hとする
+const EAR_TO_ANKLE_RATIO = 0.89;
+
+export class Calibration {
+    /**
+     * method: 'reference'（基準線）| 'height'（身長）
+     * cmPerPixel: 1ピクセルあたりの長さ（cm）
+     */
+    constructor({ method, cmPerPixel, imageWidth, imageHeight, reference = null }) {
+        this.method = method;
+        this.cmPerPixel = cmPerPixel;
+        this.imageWidth = imageWidth;
+        this.imageHeight = imageHeight;
+        this.reference = reference;
+    }
+
+    /**
+     * 既知の長さの基準線（床のテープ・定規など）からキャリブレーション
+     * start/end は画像のピクセル座標
+     */
+    static fromReferenceLine(start, end, lengthCm, imageWidth, imageHeight) {
+        const pixelLength = Math.hypot(end.x - start.x, end.y - start.y);
+        if (pixelLength < 1 || !(lengthCm > 0)) {
+            throw new Error('基準線の長さが不正です');
+        }
+
+        return new Calibration({
+            method: 'reference',
+            cmPerPixel: lengthCm / pixelLength,
+            imageWidth,
+            imageHeight,
+            reference: { start, end, lengthCm }
+        });
+    }
+
+    /**
+     * クライアントの身長と検出された耳〜足首の縦方向の距離からキャリブレーション
+     * 必要なランドマークが検出できない場合はnullを返す
+     */
+    static fromBodyHeight(landmarks, heightCm, imageWidth, imageHeight, minVisibility = 0.3) {
+        if (!(heightCm > 0)) {
+            return null;
+        }
+
+        const LANDMARKS = PoseDetector.LANDMARKS;
+
+        // 左右のうち信頼度の高い方を使用
+        const pick = (left, right) => {
+            const candidate = landmarks[left].visibility >= landmarks[right].visibility
+                ? landmarks[left]
+                : landmarks[right];
+            return candidate.visibility >= minVisibility ? candidate : null;
+        };
+        const ear = pick(LANDMARKS.LEFT_EAR, LANDMARKS.RIGHT_EAR);
+        const ankle = pick(LANDMARKS.LEFT_ANKLE, LANDMARKS.RIGHT_ANKLE);
+        if (!ear || !ankle) {
+            return null;
+        }
+
+        const pixelSpan = (ankle.y - ear.y) * imageHeight;
+        if (pixelSpan < 1) {
+            return null;
+        }
+
+        return new Calibration({
+            method: 'height',
+            cmPerPixel: (heightCm * EAR_TO_ANKLE_RATIO) / pixelSpan,
+            imageWidth,
+            imageHeight,
+            reference: { heightCm, pixelSpan }
+        });
+    }
+
+    /**
+     * 正規化座標の差分（dx, dy）を実寸（cm）に換算
+     */
+    toCm(dx, dy = 0) {
+        return Math.hypot(dx * this.imageWidth, dy * this.imageHeight) * this.cmPerPixel;
+    }
+
+    /**
+     * 表示用の説明文
+     */
+    describe() {
+        const scale = `${this.cmPerPixel.toFixed(3)} cm/px`;
+        if (this.method === 'reference') {
+            return `基準線 ${this.reference.lengthCm}cm（${scale}）`;
+        }
+        return `身長 ${this.reference.heightCm}cm（${scale}）`;
+    }
+
+    /**
+     * 結果に保存するための要約
+     */
+    toJSON() {
+        return {
+            method: this.method,
+            cmPerPixel: this.cmPerPixel,
+            imageWidth: this.imageWidth,
+            imageHeight: this.imageHeight,
+            reference: this.reference
+        };
+    }
+}
@@ -0,0 +1,208 @@
+/**
+ * CaptureGuide - 自動撮影の判定（全身が映っているか・向き・静止）と案内メッセージ
+ *
+ * ライブ評価のフレームごとに update() を呼び、state が 'capture' になったら撮影する。
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// 判定に使う部位（側面観は見えている側のみ、正面観・後面観は左右とも）
+const REQUIRED_PARTS = ['SHOULDER', 'HIP', 'KNEE', 'ANKLE'];
+
+// 側面観: 肩幅/体幹長がこれ未満なら横向き、正面観・後面観: これ以上なら正面（背面）向き
+const LATERAL_MAX_SHOULDER_RATIO = 0.3;
+const FRONTAL_MIN_SHOULDER_RATIO = 0.5;
+
+export class CaptureGuide {
+    /**
+     * options.minVisibility: 必要なキーポイントの信頼度
+     * options.stableFrames: 静止とみなすまでのフレーム数（N）
+     * options.motionThreshold: 1フレームの移動量の上限（身長比）
+     * options.countdownMs: 静止後、撮影までのカウントダウン
+     * options.margin: 画面端からの余白（正規化座標）
+     */
+    constructor(options = {}) {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.minVisibility = options.minVisibility ?? 0.5;
+        this.stableFrames = options.stableFrames ?? 15;
+        this.motionThreshold = options.motionThreshold ?? 0.01;
+        this.countdownMs = options.countdownMs ?? 3000;
+        this.margin = options.margin ?? 0.02;
+        this.reset();
+    }
+
+    reset() {
+        this.previous = null;
+        this.stableCount = 0;
+        this.countdownStart = null;
+    }
+
+    /**
+     * 1フレーム分の判定
+     * landmarks: 正規化座標（null なら人物未検出）、aspect: 画像の幅/高さ、now: ミリ秒
+     * 戻り値: { state: 'guide' | 'hold' | 'countdown' | 'capture', message, progress, remaining }
+     */
+    update(landmarks, view, aspect, now = performance.now()) {
+        const position = landmarks ? this.checkPosition(landmarks, view, aspect) : { message: '全身が映るように立ってください' };
+        if (position.message) {
+            this.reset();
+            return { state: 'guide', message: position.message, progress: 0 };
+        }
+
+        // 前フレームからの移動量（身長比）で静止を判定
+        const motion = this.previous ? this.getMotion(this.previous, position.points, aspect) / position.bodyHeight : Infinity;
+        this.previous = position.points;
+
+        if (motion > this.motionThreshold) {
+            this.stableCount = 0;
+            this.countdownStart = null;
+            return { state: 'hold', message: 'そのまま静止してください', progress: 0 };
+        }
+
+        if (this.stableCount < this.stableFrames) {
+            this.stableCount++;
+            return {
+                state: 'hold',
+                message: 'そのまま静止してください',
+                progress: this.stableCount / this.stableFrames
+            };
+        }
+
+        if (this.countdownStart === null) {
+            this.countdownStart = now;
+        }
+        const remaining = this.countdownMs - (now - this.countdownStart);
+        if (remaining > 0) {
+            return { state: 'countdown', message: '撮影します', progress: 1, remaining: remaining };
+        }
+
+        this.reset();
+        return { state: 'capture', message: '撮影しました', progress: 1, remaining: 0 };
+    }
+
+    /**
+     * 画面内の位置・大きさ・向きを確認し、問題があれば案内メッセージを返す
+     */
+    checkPosition(landmarks, view, aspect) {
+        const sides = view === 'lateral' ? [this.getVisibleSide(landmarks)] : ['left', 'right'];
+        const get = (part, side) => landmarks[this.LANDMARKS[`${side.toUpperCase()}_${part}`]];
+        const isConfident = (landmark) => landmark && landmark.visibility >= this.minVisibility;
+
+        const head = [
+            landmarks[this.LANDMARKS.NOSE],
+            landmarks[this.LANDMARKS.LEFT_EAR],
+            landmarks[this.LANDMARKS.RIGHT_EAR]
+        ].filter(isConfident);
+
+        const points = [];
+        let missingLower = false;
+        for (const side of sides) {
+            for (const part of REQUIRED_PARTS) {
+                const landmark = get(part, side);
+                if (!isConfident(landmark)) {
+                    if (part === 'KNEE' || part === 'ANKLE') {
+                        missingLower = true;
+                    } else {
+                        return { message: '全身が映るように立ってください' };
+                    }
+                } else {
+                    points.push(landmark);
+                }
+            }
+        }
+
+        // 頭や足が画面外（または見切れて信頼度が低い）
+        const top = head.length > 0 ? Math.min(...head.map(landmark => landmark.y)) : null;
+        const bottom = Math.max(...points.map(landmark => landmark.y));
+        if (missingLower || top === null || top < this.margin || bottom > 1 - this.margin) {
+            return { message: '一歩下がってください' };
+        }
+
+        const bodyHeight = bottom - top;
+        if (bodyHeight < 0.5) {
+            return { message: 'もう少し近づいてください' };
+        }
+
+        const centerX = points.reduce((sum, landmark) => sum + landmark.x, 0) / points.length;
+        if (centerX < 0.25 || centerX > 0.75) {
+            return { message: '画面の中央に立ってください' };
+        }
+
+        const orientationMessage = this.checkOrientation(landmarks, view, aspect);
+        if (orientationMessage) {
+            return { message: orientationMessage };
+        }
+
+        return { message: null, points: points, bodyHeight };
+    }
+
+    /**
+     * 肩幅と体幹長の比で横向きかを、顔の見え方（getFacing）で正面と背面を判定
+     */
+    checkOrientation(landmarks, view, aspect) {
+        const leftShoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = landmarks[this.LANDMARKS.RIGHT_SHOULDER];
+        const leftHip = landmarks[this.LANDMARKS.LEFT_HIP];
+        const rightHip = landmarks[this.LANDMARKS.RIGHT_HIP];
+
+        const torsoLength = Math.abs((leftHip.y + rightHip.y) / 2 - (leftShoulder.y + rightShoulder.y) / 2);
+        const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x) * aspect;
+        const ratio = torsoLength > 0 ? shoulderWidth / torsoLength : 0;
+
+        if (view === 'lateral' && ratio >= LATERAL_MAX_SHOULDER_RATIO) {
+            return '横を向いてください';
+        }
+        if (view === 'frontal' && (ratio < FRONTAL_MIN_SHOULDER_RATIO || this.getFacing(landmarks) !== 'front')) {
+            return '正面を向いてください';
+        }
+        if (view === 'posterior' && (ratio < FRONTAL_MIN_SHOULDER_RATIO || this.getFacing(landmarks) !== 'back')) {
+            return '後ろを向いてください';
+        }
+        return null;
+    }
+
+    /**
+     * カメラに顔を向けているか（'front'）背を向けているか（'back'）
+     * 鼻と両目がすべて見えれば正面、どれも見えなければ背面。
+     * 一部だけ見える場合は左右の肩の並び（正面なら左肩が画像の右側）で判定する
+     */
+    getFacing(landmarks) {
+        const face = [this.LANDMARKS.NOSE, this.LANDMARKS.LEFT_EYE, this.LANDMARKS.RIGHT_EYE]
+            .map(index => landmarks[index])
+            .filter(landmark => landmark && landmark.visibility >= this.minVisibility);
+        if (face.length === 3) {
+            return 'front';
+        }
+        if (face.length === 0) {
+            return 'back';
+        }
+
+        const leftShoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = landmarks[this.LANDMARKS.RIGHT_SHOULDER];
+        return leftShoulder.x > rightShoulder.x ? 'front' : 'back';
+    }
+
+    /**
+     * 信頼度の高い側（カメラに近い側）を返す
+     */
+    getVisibleSide(landmarks) {
+        const sumVisibility = (side) => REQUIRED_PARTS.reduce(
+            (sum, part) => sum + (landmarks[this.LANDMARKS[`${side.toUpperCase()}_${part}`]]?.visibility || 0),
+            0
+        );
+        return sumVisibility('right') > sumVisibility('left') ? 'right' : 'left';
+    }
+
+    /**
+     * 対応する点どうしの最大移動量（縦方向の正規化座標に揃える）
+     */
+    getMotion(previous, current, aspect) {
+        if (previous.length !== current.length) {
+            return Infinity;
+        }
+        return current.reduce((max, point, index) => Math.max(
+            max,
+            Math.hypot((point.x - previous[index].x) * aspect, point.y - previous[index].y)
+        ), 0);
+    }
+}
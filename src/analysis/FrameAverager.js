@@ -0,0 +1,162 @@
+/**
+ * FrameAverager - 連続フレームのランドマークを外れ値を除いて平均し、項目ごとのばらつきを求める
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// フレームの外れ値判定に使うランドマーク（評価に関わる部位）
+const REFERENCE_PARTS = ['EAR', 'SHOULDER', 'HIP', 'KNEE', 'ANKLE'];
+
+// 中央値絶対偏差（MAD）を標準偏差相当に換算する係数
+const MAD_TO_SD = 1.4826;
+
+export class FrameAverager {
+    /**
+     * options.minVisibility: 平均に使うランドマークの信頼度
+     * options.outlierThreshold: 外れ値とみなす偏差（MADのSD換算の何倍か）
+     * options.minDeviation: 偏差のしきい値の下限（正規化座標。静止時に少しの揺れで除外しないため）
+     */
+    constructor(options = {}) {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.minVisibility = options.minVisibility ?? 0.3;
+        this.outlierThreshold = options.outlierThreshold ?? 3;
+        this.minDeviation = options.minDeviation ?? 0.005;
+    }
+
+    /**
+     * frames: ランドマーク配列（正規化座標）の配列
+     * 戻り値: { landmarks, inliers（採用したフレーム）, frameCount, rejectedCount }
+     */
+    average(frames) {
+        if (frames.length === 0) {
+            throw new Error('平均するフレームがありません');
+        }
+
+        // 1. ランドマークごとの中央値を基準姿勢とする
+        const reference = this.medianLandmarks(frames);
+
+        // 2. 基準姿勢からの平均距離が大きいフレームを除外
+        const deviations = frames.map(frame => this.getFrameDeviation(frame, reference));
+        const limit = this.getOutlierLimit(deviations.filter(deviation => deviation !== null));
+        const inliers = frames.filter((frame, index) => deviations[index] !== null && deviations[index] <= limit);
+        const used = inliers.length > 0 ? inliers : frames;
+
+        // 3. 採用フレームの中でランドマークごとに外れた点を除いて平均
+        const landmarks = reference.map((center, index) => this.averageLandmark(used, index, center));
+
+        return {
+            landmarks: landmarks,
+            inliers: used,
+            frameCount: frames.length,
+            rejectedCount: frames.length - used.length
+        };
+    }
+
+    medianLandmarks(frames) {
+        return frames[0].map((_, index) => {
+            const visible = frames
+                .map(frame => frame[index])
+                .filter(landmark => landmark.visibility >= this.minVisibility);
+
+            if (visible.length === 0) {
+                return { x: 0, y: 0, z: 0, visibility: 0 };
+            }
+            return {
+                x: FrameAverager.median(visible.map(landmark => landmark.x)),
+                y: FrameAverager.median(visible.map(landmark => landmark.y)),
+                z: FrameAverager.median(visible.map(landmark => landmark.z || 0)),
+                visibility: FrameAverager.median(frames.map(frame => frame[index].visibility))
+            };
+        });
+    }
+
+    /**
+     * 基準姿勢からの平均距離（参照部位が1つも見えなければ null）
+     */
+    getFrameDeviation(frame, reference) {
+        const distances = [];
+        REFERENCE_PARTS.forEach(part => {
+            ['LEFT', 'RIGHT'].forEach(side => {
+                const index = this.LANDMARKS[`${side}_${part}`];
+                const landmark = frame[index];
+                if (landmark.visibility >= this.minVisibility && reference[index].visibility > 0) {
+                    distances.push(Math.hypot(landmark.x - reference[index].x, landmark.y - reference[index].y));
+                }
+            });
+        });
+
+        if (distances.length === 0) {
+            return null;
+        }
+        return distances.reduce((sum, distance) => sum + distance, 0) / distances.length;
+    }
+
+    /**
+     * 中央値 + しきい値×(MADのSD換算) を外れ値の境界とする
+     */
+    getOutlierLimit(values) {
+        if (values.length === 0) {
+            return -Infinity;
+        }
+        const center = FrameAverager.median(values);
+        const mad = FrameAverager.median(values.map(value => Math.abs(value - center)));
+        return center + this.outlierThreshold * Math.max(mad * MAD_TO_SD, this.minDeviation);
+    }
+
+    averageLandmark(frames, index, center) {
+        const visible = frames
+            .map(frame => frame[index])
+            .filter(landmark => landmark.visibility >= this.minVisibility);
+
+        // 見えていたフレームの割合を信頼度に反映
+        const visibility = frames.reduce((sum, frame) => sum + frame[index].visibility, 0) / frames.length;
+        if (visible.length === 0) {
+            return { x: center.x, y: center.y, z: center.z, visibility: visibility };
+        }
+
+        const distances = visible.map(landmark => Math.hypot(landmark.x - center.x, landmark.y - center.y));
+        const limit = this.getOutlierLimit(distances);
+        const kept = visible.filter((_, i) => distances[i] <= limit);
+        const mean = (key) => kept.reduce((sum, landmark) => sum + (landmark[key] || 0), 0) / kept.length;
+
+        return {
+            x: mean('x'),
+            y: mean('y'),
+            z: mean('z'),
+            visibility: visibility
+        };
+    }
+
+    /**
+     * フレームごとの評価結果から項目ごとのスコアのばらつきを求め、results の各項目に追加する
+     * frameResults: 採用フレームそれぞれを評価した結果（analyzeLateralView / analyzeFrontalView）
+     */
+    static applyVariability(results, frameResults) {
+        results.details.forEach(item => {
+            const scores = frameResults
+                .map(frameResult => frameResult.details.find(detail => detail.key === item.key))
+                .filter(detail => detail && detail.measurable)
+                .map(detail => detail.score);
+
+            if (scores.length < 2) {
+                return;
+            }
+
+            const mean = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+            const variance = scores.reduce((sum, score) => sum + (score - mean) ** 2, 0) / (scores.length - 1);
+
+            item.variability = {
+                scoreSd: Math.sqrt(variance),
+                scoreMin: Math.min(...scores),
+                scoreMax: Math.max(...scores),
+                frames: scores.length
+            };
+        });
+    }
+
+    static median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+}
@@ -0,0 +1,69 @@
+/**
+ * FrameSelector - 動画のフレームごとの解析適性（キーポイントの信頼度・立位の垂直さ）を評価し、最適なフレームを選ぶ
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// 信頼度を見る部位（左右のうち信頼度の高い側を使う）
+const KEY_PARTS = ['EAR', 'SHOULDER', 'HIP', 'KNEE', 'ANKLE'];
+
+// 肩〜足首の傾きがこれ以上なら立位として扱わない（度）
+const MAX_TILT_DEGREES = 30;
+
+export class FrameSelector {
+    constructor() {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+    }
+
+    /**
+     * 1フレームの評価
+     * aspect: 画像の幅/高さ（正規化座標の縦横比を揃える）
+     * 戻り値: { confidence（0〜1）, tilt（度、測れなければ null）, quality（0〜1） }
+     */
+    scoreFrame(landmarks, aspect) {
+        if (!landmarks) {
+            return { confidence: 0, tilt: null, quality: 0 };
+        }
+
+        const get = (part, side) => landmarks[this.LANDMARKS[`${side}_${part}`]];
+        const confidence = KEY_PARTS.reduce((sum, part) => sum + Math.max(
+            get(part, 'LEFT').visibility,
+            get(part, 'RIGHT').visibility
+        ), 0) / KEY_PARTS.length;
+
+        const shoulder = this.getMidpoint(get('SHOULDER', 'LEFT'), get('SHOULDER', 'RIGHT'));
+        const ankle = this.getMidpoint(get('ANKLE', 'LEFT'), get('ANKLE', 'RIGHT'));
+        if (!shoulder || !ankle || ankle.y <= shoulder.y) {
+            return { confidence, tilt: null, quality: 0 };
+        }
+
+        const tilt = Math.atan2(Math.abs(ankle.x - shoulder.x) * aspect, ankle.y - shoulder.y) * 180 / Math.PI;
+        const upright = Math.max(0, 1 - tilt / MAX_TILT_DEGREES);
+
+        return { confidence, tilt, quality: confidence * upright };
+    }
+
+    /**
+     * 信頼度で重み付けした2点の中点（どちらも見えなければ null）
+     */
+    getMidpoint(left, right) {
+        const weight = left.visibility + right.visibility;
+        if (weight <= 0) {
+            return null;
+        }
+        return {
+            x: (left.x * left.visibility + right.x * right.visibility) / weight,
+            y: (left.y * left.visibility + right.y * right.visibility) / weight
+        };
+    }
+
+    /**
+     * samples: [{ time, quality, ... }] から最も適したフレームを返す（候補がなければ null）
+     */
+    selectBest(samples) {
+        return samples.reduce(
+            (best, sample) => sample.quality > 0 && (!best || sample.quality > best.quality) ? sample : best,
+            null
+        );
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * JointAngleAnalyzer - 側面観の関節角度（度）を測定する
+ *
+ * 評価項目のスコアは代理指標（例: 骨盤傾斜は股関節-膝の線の傾き）で求めているため、
+ * 名前どおりの角度をここで別に測り、スコアの隣に表示する。
+ * 角度は画像の縦横比を考慮したピクセル座標で求め、使った点と方法を geometry に記録する。
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// C7（第7頸椎棘突起）の代理点: 肩峰から体幹長（肩-股関節）のこの割合だけ上方
+const C7_OFFSET_RATIO = 0.15;
+
+const PART_LABELS = {
+    EAR: '耳',
+    SHOULDER: '肩',
+    HIP: '股関節',
+    KNEE: '膝',
+    ANKLE: '足首'
+};
+
+// 測定する角度
+//   item: 隣に表示する評価項目、min / max: 目安の範囲（度、null は上限・下限なし）
+//   low / high: 目安の範囲を下回る・上回るときの解釈
+const ANGLES = [
+    { key: 'craniovertebral', name: '頭蓋脊椎角（CVA）', item: 'headPosture', min: 50, max: null, low: '頭部前方位の傾向', high: null },
+    { key: 'thoracicKyphosis', name: '胸椎後弯（代理）', item: 'spinalAlignment', min: 0, max: 10, low: '後弯の減少傾向（平坦）', high: '後弯の増強傾向' },
+    { key: 'hip', name: '股関節屈曲・伸展角', item: 'pelvicTilt', min: -10, max: 10, low: '股関節伸展位', high: '股関節屈曲位' },
+    { key: 'knee', name: '膝関節屈曲・過伸展角', item: 'kneePosition', min: -5, max: 5, low: '膝の過伸展（反張膝）', high: '膝関節屈曲位' },
+    { key: 'ankle', name: '足関節角（下腿の前傾）', item: 'ankleAlignment', min: 0, max: 5, low: '下腿の後傾（底屈位）', high: '下腿の前傾（背屈位）' }
+];
+
+export class JointAngleAnalyzer {
+    constructor(options = {}) {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.minVisibility = options.minVisibility ?? 0.3;
+    }
+
+    /**
+     * 関節角度を測定
+     * options.side: 評価に使う側、options.facing: 画像上で向いている方向（'right' | 'left'）
+     * options.imageSize: { width, height }（なければ縦横比 1:1 として計算し、geometry に記録）
+     * 戻り値: [{ key, name, item, measurable, degrees, valueText, normal, interpretation, geometry, reason }]
+     */
+    measure(landmarks, { side, facing, imageSize = null }) {
+        const direction = facing === 'left' ? -1 : 1;
+        const hasImageSize = Boolean(imageSize?.width && imageSize?.height);
+        const width = hasImageSize ? imageSize.width : 1;
+        const height = hasImageSize ? imageSize.height : 1;
+
+        const point = (part) => {
+            const landmark = landmarks[this.LANDMARKS[`${side.toUpperCase()}_${part}`]];
+            if (!landmark || landmark.visibility < this.minVisibility) return null;
+            return { x: landmark.x * width, y: landmark.y * height };
+        };
+        const points = {
+            ear: point('EAR'),
+            shoulder: point('SHOULDER'),
+            hip: point('HIP'),
+            knee: point('KNEE'),
+            ankle: point('ANKLE')
+        };
+
+        const context = {
+            points,
+            direction,
+            base: {
+                side: side,
+                facing: facing,
+                imageSize: hasImageSize ? { width, height } : null
+            }
+        };
+
+        return [
+            this.measureCraniovertebral(context),
+            this.measureThoracicKyphosis(context),
+            this.measureHip(context),
+            this.measureKnee(context),
+            this.measureAnkle(context)
+        ];
+    }
+
+    /**
+     * 頭蓋脊椎角: C7の代理点を通る水平線と、C7-耳の線がなす角（小さいほど頭部が前方）
+     */
+    measureCraniovertebral({ points, direction, base }) {
+        const missing = this.findMissing(points, ['ear', 'shoulder']);
+        if (missing) return this.createUnmeasurable('craniovertebral', missing);
+
+        const { ear, shoulder, hip } = points;
+        const offset = hip ? Math.hypot(hip.x - shoulder.x, hip.y - shoulder.y) * C7_OFFSET_RATIO : 0;
+        const c7 = { x: shoulder.x, y: shoulder.y - offset };
+        const degrees = Math.atan2(c7.y - ear.y, (ear.x - c7.x) * direction) * RAD_TO_DEG;
+
+        return this.createResult('craniovertebral', degrees, {
+            ...base,
+            method: hip
+                ? `C7の代理点（肩から体幹長の${C7_OFFSET_RATIO * 100}%上方）を通る水平線と、C7-耳の線がなす角`
+                : 'C7の代理点（股関節が検出できないため肩）を通る水平線と、C7-耳の線がなす角',
+            points: { ear, c7, shoulder }
+        });
+    }
+
+    /**
+     * 胸椎後弯の代理: 耳-肩-股関節の屈曲（肩が耳-股関節線より後方なら正＝後弯方向）
+     */
+    measureThoracicKyphosis({ points, direction, base }) {
+        const missing = this.findMissing(points, ['ear', 'shoulder', 'hip']);
+        if (missing) return this.createUnmeasurable('thoracicKyphosis', missing);
+
+        const { ear, shoulder, hip } = points;
+        const degrees = -this.getSignedBend(ear, shoulder, hip, direction);
+
+        return this.createResult('thoracicKyphosis', degrees, {
+            ...base,
+            method: '耳-肩-股関節の3点の屈曲角（180°-∠耳・肩・股関節）。肩が耳-股関節線より後方なら正',
+            points: { ear, shoulder, hip }
+        });
+    }
+
+    /**
+     * 股関節角: 肩-股関節-膝の屈曲（股関節が肩-膝線より後方なら正＝屈曲）
+     */
+    measureHip({ points, direction, base }) {
+        const missing = this.findMissing(points, ['shoulder', 'hip', 'knee']);
+        if (missing) return this.createUnmeasurable('hip', missing);
+
+        const { shoulder, hip, knee } = points;
+        const degrees = -this.getSignedBend(shoulder, hip, knee, direction);
+
+        return this.createResult('hip', degrees, {
+            ...base,
+            method: '肩-股関節-膝の屈曲角（180°-∠肩・股関節・膝）。股関節が肩-膝線より後方なら屈曲（正）',
+            points: { shoulder, hip, knee }
+        });
+    }
+
+    /**
+     * 膝関節角: 股関節-膝-足首の屈曲（膝が股関節-足首線より前方なら正＝屈曲、後方なら負＝過伸展）
+     */
+    measureKnee({ points, direction, base }) {
+        const missing = this.findMissing(points, ['hip', 'knee', 'ankle']);
+        if (missing) return this.createUnmeasurable('knee', missing);
+
+        const { hip, knee, ankle } = points;
+        const degrees = this.getSignedBend(hip, knee, ankle, direction);
+
+        return this.createResult('knee', degrees, {
+            ...base,
+            method: '股関節-膝-足首の屈曲角（180°-∠股関節・膝・足首）。膝が股関節-足首線より前方なら屈曲（正）',
+            points: { hip, knee, ankle }
+        });
+    }
+
+    /**
+     * 足関節角: 下腿（膝-足首）の鉛直からの前傾（前傾が正＝背屈位）
+     */
+    measureAnkle({ points, direction, base }) {
+        const missing = this.findMissing(points, ['knee', 'ankle']);
+        if (missing) return this.createUnmeasurable('ankle', missing);
+
+        const { knee, ankle } = points;
+        const degrees = Math.atan2((knee.x - ankle.x) * direction, ankle.y - knee.y) * RAD_TO_DEG;
+
+        return this.createResult('ankle', degrees, {
+            ...base,
+            method: '足首を通る鉛直線と下腿（膝-足首）がなす角。膝が前方なら正',
+            points: { knee, ankle }
+        });
+    }
+
+    /**
+     * a-b-c の b での屈曲角（180° - ∠abc）。b が a-c 線より前方なら正、後方なら負
+     */
+    getSignedBend(a, b, c, direction) {
+        const angleA = Math.atan2(a.y - b.y, a.x - b.x);
+        const angleC = Math.atan2(c.y - b.y, c.x - b.x);
+        let interior = Math.abs(angleA - angleC) * RAD_TO_DEG;
+        if (interior > 180) interior = 360 - interior;
+
+        // a-c 線上で b と同じ高さの点に対する b の前後の位置
+        const t = (b.y - a.y) / (c.y - a.y || 1e-9);
+        const lineX = a.x + (c.x - a.x) * t;
+        const sign = (b.x - lineX) * direction >= 0 ? 1 : -1;
+
+        return (180 - interior) * sign;
+    }
+
+    findMissing(points, names) {
+        const missing = names.filter(name => !points[name]);
+        return missing.length > 0 ? missing : null;
+    }
+
+    createResult(key, degrees, geometry) {
+        const definition = ANGLES.find(angle => angle.key === key);
+        const round = (value) => Math.round(value * 10) / 10;
+        const points = Object.fromEntries(Object.entries(geometry.points).map(
+            ([name, point]) => [name, { x: round(point.x), y: round(point.y) }]
+        ));
+
+        let interpretation = '目安の範囲内';
+        if (definition.min !== null && degrees < definition.min) {
+            interpretation = definition.low;
+        } else if (definition.max !== null && degrees > definition.max) {
+            interpretation = definition.high;
+        }
+
+        return {
+            key: key,
+            name: definition.name,
+            item: definition.item,
+            measurable: true,
+            degrees: degrees,
+            valueText: `${degrees.toFixed(1)}°`,
+            normal: JointAngleAnalyzer.formatRange(definition),
+            interpretation: interpretation,
+            geometry: { ...geometry, points },
+            reason: null
+        };
+    }
+
+    createUnmeasurable(key, missing) {
+        const definition = ANGLES.find(angle => angle.key === key);
+        return {
+            key: key,
+            name: definition.name,
+            item: definition.item,
+            measurable: false,
+            degrees: null,
+            valueText: '-',
+            normal: JointAngleAnalyzer.formatRange(definition),
+            interpretation: null,
+            geometry: null,
+            reason: `${missing.map(name => PART_LABELS[name.toUpperCase()]).join('、')}を検出できません`
+        };
+    }
+
+    static formatRange({ min, max }) {
+        if (max === null) return `${min}°以上`;
+        if (min === null) return `${max}°以下`;
+        return `${min}〜${max}°`;
+    }
+
+    static get ANGLES() {
+        return ANGLES;
+    }
+}
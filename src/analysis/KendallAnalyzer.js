@@ -3,136 +3,250 @@
  */
 
 import { PoseDetector } from '../pose/PoseDetector.js';
+import { ScoringProfile } from './ScoringProfile.js';
+import { PostureClassifier } from './PostureClassifier.js';
+import { JointAngleAnalyzer } from './JointAngleAnalyzer.js';
+
+// 測定不可の理由表示に使う部位名
+const PART_LABELS = {
+    NOSE: '鼻',
+    EAR: '耳',
+    SHOULDER: '肩',
+    HIP: '股関節',
+    KNEE: '膝',
+    ANKLE: '足首',
+    HEEL: '踵',
+    FOOT_INDEX: 'つま先'
+};
 
 export class KendallAnalyzer {
-    constructor() {
+    /**
+     * options.minVisibility: 評価に使うランドマークの信頼度の下限（既定 0.3）
+     * options.profile: ScoringProfile - 採点基準（既定は臨床（厳格））
+     */
+    constructor(options = {}) {
         this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.minVisibility = options.minVisibility ?? 0.3;
+        this.profile = options.profile || ScoringProfile.fromPreset(ScoringProfile.DEFAULT_ID);
+        this.postureClassifier = new PostureClassifier({ minVisibility: this.minVisibility });
+        this.jointAngleAnalyzer = new JointAngleAnalyzer({ minVisibility: this.minVisibility });
+    }
+
+    setProfile(profile) {
+        this.profile = profile;
     }
 
     /**
      * 側面観評価（Lateral View）
-     * ケンダル法に基づく6つの評価項目
+     * ケンダル法に基づく6つの評価項目と、所見の組み合わせによる姿勢タイプの分類
+     * options.side: 'auto'（既定）| 'left' | 'right' - 評価に使う側
+     * options.calibration: Calibration - 指定時は距離の項目を実寸（cm）に換算して cm の基準で採点
+     * options.imageSize: { width, height } - 関節角度を画像の縦横比を考慮して求める
+     * options.tiltCorrection: TiltCorrection - 指定時はランドマークを回転してカメラの傾きを補正してから評価
      */
-    analyzeLateralView(landmarks) {
+    analyzeLateralView(landmarks, options = {}) {
+        landmarks = this.correctTilt(landmarks, options.tiltCorrection);
+        const sideSelection = this.selectLateralSide(landmarks, options.side);
+        const side = sideSelection.side;
+
         const results = {
             totalScore: 0,
+            side: side,
+            sideSelection: sideSelection,
+            facing: this.getFacingDirection(landmarks, side),
+            profile: this.profile.getSummary(),
+            tiltCorrection: options.tiltCorrection ? options.tiltCorrection.toJSON() : null,
             details: []
         };
 
         // 1. 頭部前方位（Forward Head Posture）
-        const headPosture = this.evaluateHeadPosture(landmarks);
+        const headPosture = this.evaluateHeadPosture(landmarks, side, options.calibration);
         results.details.push(headPosture);
 
         // 2. 肩の位置（Shoulder Position）
-        const shoulderPosition = this.evaluateShoulderPosition(landmarks);
+        const shoulderPosition = this.evaluateShoulderPosition(landmarks, side, options.calibration);
         results.details.push(shoulderPosition);
 
         // 3. 脊柱アライメント（Spinal Alignment）
-        const spinalAlignment = this.evaluateSpinalAlignment(landmarks);
+        const spinalAlignment = this.evaluateSpinalAlignment(landmarks, side);
         results.details.push(spinalAlignment);
 
         // 4. 骨盤傾斜（Pelvic Tilt）
-        const pelvicTilt = this.evaluatePelvicTilt(landmarks);
+        const pelvicTilt = this.evaluatePelvicTilt(landmarks, side);
         results.details.push(pelvicTilt);
 
         // 5. 膝の位置（Knee Position）
-        const kneePosition = this.evaluateKneePosition(landmarks);
+        const kneePosition = this.evaluateKneePosition(landmarks, side, options.calibration);
         results.details.push(kneePosition);
 
         // 6. 足首アライメント（Ankle Alignment）
-        const ankleAlignment = this.evaluateAnkleAlignment(landmarks);
+        const ankleAlignment = this.evaluateAnkleAlignment(landmarks, side, options.calibration);
         results.details.push(ankleAlignment);
 
-        // 総合スコアを計算（平均）
-        const totalScore = results.details.reduce((sum, item) => sum + item.score, 0) / results.details.length;
-        results.totalScore = totalScore;
+        // 採点に使った単位（キャリブレーションがあれば cm）
+        this.applyCalibration(results, options.calibration);
+
+        // 所見の重症度
+        this.applySeverity(results.details);
+
+        // 総合スコアを計算（測定可能な項目の加重平均）
+        Object.assign(results, this.calculateTotalScore(results.details));
+
+        // 姿勢タイプ（理想・後弯前弯・フラットバック・スウェイバック・軍隊型）
+        results.postureType = this.postureClassifier.classify(landmarks, {
+            side: side,
+            facing: results.facing,
+            profile: this.profile
+        });
+
+        // 関節角度（頭蓋脊椎角・胸椎後弯・股関節・膝・足関節）
+        results.jointAngles = this.jointAngleAnalyzer.measure(landmarks, {
+            side: side,
+            facing: results.facing,
+            imageSize: options.imageSize
+        });
 
         return results;
     }
 
+    /**
+     * 側面観で評価に使う側（カメラ側）を決定
+     * 明示指定がなければ左右のランドマーク信頼度の合計で判定する
+     */
+    selectLateralSide(landmarks, requestedSide = 'auto') {
+        const parts = ['EAR', 'SHOULDER', 'HIP', 'KNEE', 'ANKLE'];
+        const sumVisibility = (side) => parts.reduce(
+            (sum, part) => sum + (landmarks[this.getSideIndex(part, side)]?.visibility || 0),
+            0
+        );
+
+        const leftVisibility = sumVisibility('left');
+        const rightVisibility = sumVisibility('right');
+
+        if (requestedSide === 'left' || requestedSide === 'right') {
+            return { side: requestedSide, mode: 'manual', leftVisibility, rightVisibility };
+        }
+
+        const side = rightVisibility > leftVisibility ? 'right' : 'left';
+        return { side, mode: 'auto', leftVisibility, rightVisibility };
+    }
+
+    /**
+     * 側面観でクライアントが画像上のどちらを向いているか（'right' | 'left'）
+     * 鼻と耳の位置関係、なければつま先と踵の位置関係から判定する
+     */
+    getFacingDirection(landmarks, side = 'left') {
+        const pairs = [
+            [this.LANDMARKS.NOSE, this.getSideIndex('EAR', side)],
+            [this.getSideIndex('FOOT_INDEX', side), this.getSideIndex('HEEL', side)]
+        ];
+
+        for (const [front, back] of pairs) {
+            const frontPoint = landmarks[front];
+            const backPoint = landmarks[back];
+            if (frontPoint?.visibility >= this.minVisibility && backPoint?.visibility >= this.minVisibility) {
+                return frontPoint.x >= backPoint.x ? 'right' : 'left';
+            }
+        }
+
+        // 判定できない場合、左側面が見えていれば右向きとみなす
+        return side === 'left' ? 'right' : 'left';
+    }
+
+    /**
+     * 部位名と側からランドマークのインデックスを取得（例: 'EAR', 'right' → RIGHT_EAR）
+     */
+    getSideIndex(part, side = 'left') {
+        return this.LANDMARKS[`${side.toUpperCase()}_${part}`];
+    }
+
     /**
      * 1. 頭部前方位の評価
      * 理想: 耳孔が肩の真上にある
      */
-    evaluateHeadPosture(landmarks) {
-        const ear = landmarks[this.LANDMARKS.LEFT_EAR];
-        const shoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+    evaluateHeadPosture(landmarks, side = 'left', calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'headPosture', '頭部前方位', [
+            this.getSideIndex('EAR', side),
+            this.getSideIndex('SHOULDER', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const ear = landmarks[this.getSideIndex('EAR', side)];
+        const shoulder = landmarks[this.getSideIndex('SHOULDER', side)];
 
         // 水平方向の距離を計算
         const horizontalDistance = Math.abs(ear.x - shoulder.x);
 
         // 理想値: 0（耳が肩の真上）
-        // 厳密な評価: 0.01以内で優秀、0.02で良好、0.03以上で注意
-        let score = 100;
-        if (horizontalDistance > 0.01) {
-            // 0.01を超えたら減点開始（より厳しく）
-            score = Math.max(0, 100 - (horizontalDistance - 0.01) * 1500);
-        }
+        const { score, ...measure } = this.scoreDistance('headPosture', horizontalDistance, 0, calibration);
 
         // 角度を計算（参考値）
         const angle = Math.atan2(ear.y - shoulder.y, ear.x - shoulder.x) * (180 / Math.PI);
 
         return {
+            key: 'headPosture',
             name: '頭部前方位',
             score: score,
+            measurable: true,
             value: horizontalDistance.toFixed(3),
+            displacement: { dx: horizontalDistance, dy: 0 },
+            ...measure,
             angle: angle.toFixed(1) + '°',
-            description: this.getHeadPostureDescription(score)
+            description: this.profile.describe('headPosture', score)
         };
     }
 
-    getHeadPostureDescription(score) {
-        if (score >= 90) return '✅ 優秀：頭部が理想的な位置にあります';
-        if (score >= 70) return '⚠️ 良好：軽度の前方偏位が見られます';
-        if (score >= 50) return '⚠️ 注意：中等度の頭部前方位です';
-        return '❌ 要改善：顕著な頭部前方位が見られます';
-    }
-
     /**
      * 2. 肩の位置の評価
      * 理想: 肩が耳孔と股関節の中間にある
      */
-    evaluateShoulderPosition(landmarks) {
-        const ear = landmarks[this.LANDMARKS.LEFT_EAR];
-        const shoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
-        const hip = landmarks[this.LANDMARKS.LEFT_HIP];
+    evaluateShoulderPosition(landmarks, side = 'left', calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'shoulderPosition', '肩の位置', [
+            this.getSideIndex('EAR', side),
+            this.getSideIndex('SHOULDER', side),
+            this.getSideIndex('HIP', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const ear = landmarks[this.getSideIndex('EAR', side)];
+        const shoulder = landmarks[this.getSideIndex('SHOULDER', side)];
+        const hip = landmarks[this.getSideIndex('HIP', side)];
 
         // 理想的な肩の位置（耳と股関節の中間）
         const idealShoulderX = (ear.x + hip.x) / 2;
         const deviation = Math.abs(shoulder.x - idealShoulderX);
 
-        // スコア計算（より厳しく）
-        let score = 100;
-        if (deviation > 0.015) {
-            score = Math.max(0, 100 - (deviation - 0.015) * 2000);
-        }
+        const { score, ...measure } = this.scoreDistance('shoulderPosition', deviation, 0, calibration);
 
         // 肩の傾き角度
         const angle = Math.atan2(shoulder.y - hip.y, shoulder.x - hip.x) * (180 / Math.PI);
 
         return {
+            key: 'shoulderPosition',
             name: '肩の位置',
             score: score,
+            measurable: true,
             value: deviation.toFixed(3),
+            displacement: { dx: deviation, dy: 0 },
+            ...measure,
             angle: angle.toFixed(1) + '°',
-            description: this.getShoulderDescription(score)
+            description: this.profile.describe('shoulderPosition', score)
         };
     }
 
-    getShoulderDescription(score) {
-        if (score >= 90) return '✅ 優秀：肩が理想的な位置にあります';
-        if (score >= 70) return '⚠️ 良好：軽度の位置偏位が見られます';
-        if (score >= 50) return '⚠️ 注意：中等度の肩の位置異常です';
-        return '❌ 要改善：顕著な肩の位置異常が見られます';
-    }
-
     /**
      * 3. 脊柱アライメントの評価
      * 理想: 肩と股関節を結ぶ線が垂直に近い
      */
-    evaluateSpinalAlignment(landmarks) {
-        const shoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
-        const hip = landmarks[this.LANDMARKS.LEFT_HIP];
+    evaluateSpinalAlignment(landmarks, side = 'left') {
+        const unmeasurable = this.checkVisibility(landmarks, 'spinalAlignment', '脊柱アライメント', [
+            this.getSideIndex('SHOULDER', side),
+            this.getSideIndex('HIP', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const shoulder = landmarks[this.getSideIndex('SHOULDER', side)];
+        const hip = landmarks[this.getSideIndex('HIP', side)];
 
         // 肩と股関節の水平距離を評価（垂直に近いほど良い）
         const horizontalDistance = Math.abs(shoulder.x - hip.x);
@@ -145,44 +259,32 @@ export class KendallAnalyzer {
         const angle = Math.atan2(horizontalDistance, verticalDistance) * (180 / Math.PI);
         
         // 理想: 角度が0度に近い（完全に垂直）
-        // 許容範囲: 5度以内は優秀、10度以内は良好
-        let score = 100;
-        if (angle > 5) {
-            score = Math.max(0, 100 - (angle - 5) * 10);
-        }
-
-        console.log('🔍 脊柱アライメント計算:', {
-            shoulder: { x: shoulder.x, y: shoulder.y },
-            hip: { x: hip.x, y: hip.y },
-            horizontalDistance,
-            verticalDistance,
-            angle: angle.toFixed(1),
-            score: score.toFixed(0)
-        });
+        const score = this.profile.score('spinalAlignment', angle);
 
         return {
+            key: 'spinalAlignment',
             name: '脊柱アライメント',
             score: score,
+            measurable: true,
             value: angle.toFixed(1) + '°',
             angle: angle.toFixed(1) + '°',
-            description: this.getSpinalDescription(score)
+            description: this.profile.describe('spinalAlignment', score)
         };
     }
 
-    getSpinalDescription(score) {
-        if (score >= 90) return '✅ 優秀：脊柱アライメントが理想的です';
-        if (score >= 70) return '⚠️ 良好：軽度のアライメント偏位があります';
-        if (score >= 50) return '⚠️ 注意：中等度の脊柱アライメント異常です';
-        return '❌ 要改善：顕著な脊柱アライメント異常が見られます';
-    }
-
     /**
      * 4. 骨盤傾斜の評価
      * 理想: 骨盤が中間位（前後傾なし）
      */
-    evaluatePelvicTilt(landmarks) {
-        const hip = landmarks[this.LANDMARKS.LEFT_HIP];
-        const knee = landmarks[this.LANDMARKS.LEFT_KNEE];
+    evaluatePelvicTilt(landmarks, side = 'left') {
+        const unmeasurable = this.checkVisibility(landmarks, 'pelvicTilt', '骨盤傾斜', [
+            this.getSideIndex('HIP', side),
+            this.getSideIndex('KNEE', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const hip = landmarks[this.getSideIndex('HIP', side)];
+        const knee = landmarks[this.getSideIndex('KNEE', side)];
 
         // 股関節と膝の水平距離を評価（垂直に近いほど良い）
         const horizontalDistance = Math.abs(knee.x - hip.x);
@@ -194,97 +296,596 @@ export class KendallAnalyzer {
         const angle = Math.atan2(horizontalDistance, verticalDistance) * (180 / Math.PI);
         
         // 理想: 角度が0度に近い（完全に垂直）
-        // 厳密な評価: 3度以内で優秀、5度で良好、8度以上で注意
-        let score = 100;
-        if (angle > 3) {
-            score = Math.max(0, 100 - (angle - 3) * 12);
-        }
+        const score = this.profile.score('pelvicTilt', angle);
 
         return {
+            key: 'pelvicTilt',
             name: '骨盤傾斜',
             score: score,
+            measurable: true,
             value: angle.toFixed(1) + '°',
             angle: angle.toFixed(1) + '°',
-            description: this.getPelvicDescription(score)
+            description: this.profile.describe('pelvicTilt', score)
         };
     }
 
-    getPelvicDescription(score) {
-        if (score >= 90) return '✅ 優秀：骨盤が中間位にあります';
-        if (score >= 70) return '⚠️ 良好：軽度の骨盤傾斜があります';
-        if (score >= 50) return '⚠️ 注意：中等度の骨盤傾斜です';
-        return '❌ 要改善：顕著な骨盤傾斜が見られます';
-    }
-
     /**
      * 5. 膝の位置の評価
      * 理想: 膝が股関節の真下にある
      */
-    evaluateKneePosition(landmarks) {
-        const hip = landmarks[this.LANDMARKS.LEFT_HIP];
-        const knee = landmarks[this.LANDMARKS.LEFT_KNEE];
+    evaluateKneePosition(landmarks, side = 'left', calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'kneePosition', '膝の位置', [
+            this.getSideIndex('HIP', side),
+            this.getSideIndex('KNEE', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const hip = landmarks[this.getSideIndex('HIP', side)];
+        const knee = landmarks[this.getSideIndex('KNEE', side)];
 
         // 水平方向の距離を計算
         const horizontalDistance = Math.abs(knee.x - hip.x);
 
-        // スコア計算（より厳しく）
-        let score = 100;
-        if (horizontalDistance > 0.02) {
-            score = Math.max(0, 100 - (horizontalDistance - 0.02) * 1800);
-        }
+        const { score, ...measure } = this.scoreDistance('kneePosition', horizontalDistance, 0, calibration);
 
         // 角度計算
         const angle = Math.atan2(knee.y - hip.y, knee.x - hip.x) * (180 / Math.PI);
 
         return {
+            key: 'kneePosition',
             name: '膝の位置',
             score: score,
+            measurable: true,
             value: horizontalDistance.toFixed(3),
+            displacement: { dx: horizontalDistance, dy: 0 },
+            ...measure,
             angle: angle.toFixed(1) + '°',
-            description: this.getKneeDescription(score)
+            description: this.profile.describe('kneePosition', score)
         };
     }
 
-    getKneeDescription(score) {
-        if (score >= 90) return '✅ 優秀：膝が理想的な位置にあります';
-        if (score >= 70) return '⚠️ 良好：軽度の膝の位置偏位があります';
-        if (score >= 50) return '⚠️ 注意：中等度の膝の位置異常です';
-        return '❌ 要改善：顕著な膝の位置異常が見られます';
-    }
-
     /**
      * 6. 足首アライメントの評価
      * 理想: 足首が膝の真下にある
      */
-    evaluateAnkleAlignment(landmarks) {
-        const knee = landmarks[this.LANDMARKS.LEFT_KNEE];
-        const ankle = landmarks[this.LANDMARKS.LEFT_ANKLE];
+    evaluateAnkleAlignment(landmarks, side = 'left', calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'ankleAlignment', '足首アライメント', [
+            this.getSideIndex('KNEE', side),
+            this.getSideIndex('ANKLE', side)
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const knee = landmarks[this.getSideIndex('KNEE', side)];
+        const ankle = landmarks[this.getSideIndex('ANKLE', side)];
 
         // 水平方向の距離を計算
         const horizontalDistance = Math.abs(ankle.x - knee.x);
 
-        // スコア計算（より厳しく）
-        let score = 100;
-        if (horizontalDistance > 0.02) {
-            score = Math.max(0, 100 - (horizontalDistance - 0.02) * 1800);
-        }
+        const { score, ...measure } = this.scoreDistance('ankleAlignment', horizontalDistance, 0, calibration);
 
         // 角度計算
         const angle = Math.atan2(ankle.y - knee.y, ankle.x - knee.x) * (180 / Math.PI);
 
         return {
+            key: 'ankleAlignment',
             name: '足首アライメント',
             score: score,
+            measurable: true,
             value: horizontalDistance.toFixed(3),
+            displacement: { dx: horizontalDistance, dy: 0 },
+            ...measure,
+            angle: angle.toFixed(1) + '°',
+            description: this.profile.describe('ankleAlignment', score)
+        };
+    }
+
+    /**
+     * 正面観評価（Frontal View）
+     * 左右対称性と鉛直線からの側方偏位を評価する5項目
+     * options.calibration: Calibration - 指定時は距離の項目を実寸（cm）に換算して cm の基準で採点
+     * options.tiltCorrection: TiltCorrection - 指定時はカメラの傾きを補正してから評価
+     */
+    analyzeFrontalView(landmarks, options = {}) {
+        landmarks = this.correctTilt(landmarks, options.tiltCorrection);
+        const results = {
+            totalScore: 0,
+            profile: this.profile.getSummary(),
+            tiltCorrection: options.tiltCorrection ? options.tiltCorrection.toJSON() : null,
+            details: []
+        };
+
+        // 1. 肩の高さの左右差（Shoulder Level）
+        results.details.push(this.evaluateShoulderLevel(landmarks, options.calibration));
+
+        // 2. 骨盤の高さの左右差（Pelvic Level）
+        results.details.push(this.evaluatePelvicLevel(landmarks, options.calibration));
+
+        // 3. 頭部の側屈（Head Tilt）
+        results.details.push(this.evaluateHeadTilt(landmarks));
+
+        // 4. 体幹の側方偏位（Trunk Lateral Shift）
+        results.details.push(this.evaluateTrunkShift(landmarks, options.calibration));
+
+        // 5. 膝の内反・外反（Knee Valgus/Varus）
+        results.details.push(this.evaluateKneeAlignment(landmarks, options.calibration));
+
+        // 採点に使った単位（キャリブレーションがあれば cm）
+        this.applyCalibration(results, options.calibration);
+
+        // 所見の重症度
+        this.applySeverity(results.details);
+
+        // 総合スコアを計算（測定可能な項目の加重平均）
+        Object.assign(results, this.calculateTotalScore(results.details));
+
+        return results;
+    }
+
+    /**
+     * 正面1. 肩の高さの左右差の評価（後面観でも key と name を変えて使う）
+     * 理想: 左右の肩峰が同じ高さにある
+     */
+    evaluateShoulderLevel(landmarks, calibration = null, key = 'shoulderLevel', name = '肩の高さ') {
+        const unmeasurable = this.checkVisibility(landmarks, key, name, [
+            this.LANDMARKS.LEFT_SHOULDER,
+            this.LANDMARKS.RIGHT_SHOULDER
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftShoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = landmarks[this.LANDMARKS.RIGHT_SHOULDER];
+
+        // 垂直方向の高さの差
+        const heightDifference = Math.abs(leftShoulder.y - rightShoulder.y);
+
+        const { score, ...measure } = this.scoreDistance(key, 0, heightDifference, calibration);
+
+        // 肩を結ぶ線の水平からの傾き
+        const angle = this.getLineTilt(leftShoulder, rightShoulder);
+
+        return {
+            key: key,
+            name: name,
+            score: score,
+            measurable: true,
+            value: heightDifference.toFixed(3),
+            displacement: { dx: 0, dy: heightDifference },
+            ...measure,
             angle: angle.toFixed(1) + '°',
-            description: this.getAnkleDescription(score)
+            description: this.profile.describe(key, score)
         };
     }
 
-    getAnkleDescription(score) {
-        if (score >= 90) return '✅ 優秀：足首が理想的な位置にあります';
-        if (score >= 70) return '⚠️ 良好：軽度の足首アライメント偏位があります';
-        if (score >= 50) return '⚠️ 注意：中等度の足首アライメント異常です';
-        return '❌ 要改善：顕著な足首アライメント異常が見られます';
+    /**
+     * 正面2. 骨盤の高さの左右差の評価（後面観でも key と name を変えて使う）
+     * 理想: 左右の股関節が同じ高さにある
+     */
+    evaluatePelvicLevel(landmarks, calibration = null, key = 'pelvicLevel', name = '骨盤の高さ') {
+        const unmeasurable = this.checkVisibility(landmarks, key, name, [
+            this.LANDMARKS.LEFT_HIP,
+            this.LANDMARKS.RIGHT_HIP
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftHip = landmarks[this.LANDMARKS.LEFT_HIP];
+        const rightHip = landmarks[this.LANDMARKS.RIGHT_HIP];
+
+        const heightDifference = Math.abs(leftHip.y - rightHip.y);
+
+        // 骨盤は肩より左右差が小さいのが通常なので、プリセットでは厳しめの基準
+        const { score, ...measure } = this.scoreDistance(key, 0, heightDifference, calibration);
+
+        const angle = this.getLineTilt(leftHip, rightHip);
+
+        return {
+            key: key,
+            name: name,
+            score: score,
+            measurable: true,
+            value: heightDifference.toFixed(3),
+            displacement: { dx: 0, dy: heightDifference },
+            ...measure,
+            angle: angle.toFixed(1) + '°',
+            description: this.profile.describe(key, score)
+        };
+    }
+
+    /**
+     * 正面3. 頭部の側屈の評価（後面観でも key と name を変えて使う）
+     * 理想: 両耳を結ぶ線が水平
+     */
+    evaluateHeadTilt(landmarks, key = 'headTilt', name = '頭部の側屈') {
+        const unmeasurable = this.checkVisibility(landmarks, key, name, [
+            this.LANDMARKS.LEFT_EAR,
+            this.LANDMARKS.RIGHT_EAR
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftEar = landmarks[this.LANDMARKS.LEFT_EAR];
+        const rightEar = landmarks[this.LANDMARKS.RIGHT_EAR];
+
+        // 両耳を結ぶ線の水平からの傾き
+        const angle = this.getLineTilt(leftEar, rightEar);
+        const tilt = Math.abs(angle);
+
+        const score = this.profile.score(key, tilt);
+
+        return {
+            key: key,
+            name: name,
+            score: score,
+            measurable: true,
+            value: tilt.toFixed(1) + '°',
+            angle: angle.toFixed(1) + '°',
+            description: this.profile.describe(key, score)
+        };
+    }
+
+    /**
+     * 正面4. 体幹の側方偏位の評価
+     * 理想: 肩と骨盤の中点が両足首の中点を通る鉛直線上にある
+     */
+    evaluateTrunkShift(landmarks, calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'trunkShift', '体幹の側方偏位', [
+            this.LANDMARKS.LEFT_SHOULDER,
+            this.LANDMARKS.RIGHT_SHOULDER,
+            this.LANDMARKS.LEFT_HIP,
+            this.LANDMARKS.RIGHT_HIP,
+            this.LANDMARKS.LEFT_ANKLE,
+            this.LANDMARKS.RIGHT_ANKLE
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftShoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = landmarks[this.LANDMARKS.RIGHT_SHOULDER];
+        const leftHip = landmarks[this.LANDMARKS.LEFT_HIP];
+        const rightHip = landmarks[this.LANDMARKS.RIGHT_HIP];
+        const leftAnkle = landmarks[this.LANDMARKS.LEFT_ANKLE];
+        const rightAnkle = landmarks[this.LANDMARKS.RIGHT_ANKLE];
+
+        // 両足首の中点を通る鉛直線（重心線）
+        const plumbLineX = (leftAnkle.x + rightAnkle.x) / 2;
+        const plumbLineY = (leftAnkle.y + rightAnkle.y) / 2;
+
+        // 体幹の中心（肩中点と骨盤中点の平均）
+        const midShoulderX = (leftShoulder.x + rightShoulder.x) / 2;
+        const midHipX = (leftHip.x + rightHip.x) / 2;
+        const midShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+        const trunkCenterX = (midShoulderX + midHipX) / 2;
+
+        const horizontalDistance = Math.abs(trunkCenterX - plumbLineX);
+
+        const { score, ...measure } = this.scoreDistance('trunkShift', horizontalDistance, 0, calibration);
+
+        // 鉛直線からの体幹の傾き（肩中点と足首中点を結ぶ線）
+        const angle = Math.atan2(
+            midShoulderX - plumbLineX,
+            Math.abs(plumbLineY - midShoulderY)
+        ) * (180 / Math.PI);
+
+        return {
+            key: 'trunkShift',
+            name: '体幹の側方偏位',
+            score: score,
+            measurable: true,
+            value: horizontalDistance.toFixed(3),
+            displacement: { dx: horizontalDistance, dy: 0 },
+            ...measure,
+            angle: angle.toFixed(1) + '°',
+            description: this.profile.describe('trunkShift', score)
+        };
+    }
+
+    /**
+     * 正面5. 膝の内反・外反の評価
+     * 理想: 膝が股関節と足首を結ぶ線上にある
+     */
+    evaluateKneeAlignment(landmarks, calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'kneeAlignment', '膝の内反・外反', [
+            this.LANDMARKS.LEFT_HIP,
+            this.LANDMARKS.LEFT_KNEE,
+            this.LANDMARKS.LEFT_ANKLE,
+            this.LANDMARKS.RIGHT_HIP,
+            this.LANDMARKS.RIGHT_KNEE,
+            this.LANDMARKS.RIGHT_ANKLE
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftHip = landmarks[this.LANDMARKS.LEFT_HIP];
+        const rightHip = landmarks[this.LANDMARKS.RIGHT_HIP];
+        const leftDeviation = this.getKneeMedialDeviation(
+            leftHip,
+            landmarks[this.LANDMARKS.LEFT_KNEE],
+            landmarks[this.LANDMARKS.LEFT_ANKLE],
+            rightHip
+        );
+        const rightDeviation = this.getKneeMedialDeviation(
+            rightHip,
+            landmarks[this.LANDMARKS.RIGHT_KNEE],
+            landmarks[this.LANDMARKS.RIGHT_ANKLE],
+            leftHip
+        );
+
+        // 正: 内側偏位（外反・X脚）、負: 外側偏位（内反・O脚）
+        // 左右で向きが逆（片側が外反・反対側が内反）でも打ち消し合わないよう、偏位の大きい側で採点する
+        const worse = Math.abs(leftDeviation) >= Math.abs(rightDeviation)
+            ? { side: '左', deviation: leftDeviation }
+            : { side: '右', deviation: rightDeviation };
+        const deviation = Math.abs(worse.deviation);
+
+        const { score, ...measure } = this.scoreDistance('kneeAlignment', deviation, 0, calibration);
+
+        const type = worse.deviation >= 0 ? '外反' : '内反';
+
+        return {
+            key: 'kneeAlignment',
+            name: '膝の内反・外反',
+            score: score,
+            measurable: true,
+            value: deviation.toFixed(3) + `（${worse.side} ${type}）`,
+            variant: worse.deviation >= 0 ? 'valgus' : 'varus',
+            displacement: { dx: deviation, dy: 0 },
+            ...measure,
+            angle: `左 ${leftDeviation.toFixed(3)} / 右 ${rightDeviation.toFixed(3)}`,
+            description: this.profile.describe('kneeAlignment', score, {
+                label: type === '外反' ? '膝外反（X脚傾向）' : '膝内反（O脚傾向）'
+            })
+        };
+    }
+
+    /**
+     * 股関節-足首線に対する膝の内側方向への偏位（正規化座標）
+     * oppositeHipの方向を内側とみなす
+     */
+    getKneeMedialDeviation(hip, knee, ankle, oppositeHip) {
+        // 膝の高さにおける股関節-足首線上のx座標
+        const t = (knee.y - hip.y) / ((ankle.y - hip.y) || 1);
+        const lineX = hip.x + (ankle.x - hip.x) * t;
+        const medialSign = Math.sign(oppositeHip.x - hip.x) || 1;
+
+        return (knee.x - lineX) * medialSign;
+    }
+
+    /**
+     * 後面観評価（Posterior View）
+     * 背面から見た左右対称性・脊柱の側方偏位（側弯のスクリーニング）・踵のアライメントの5項目
+     * options.calibration: Calibration - 指定時は距離の項目を実寸（cm）に換算して cm の基準で採点
+     * options.tiltCorrection: TiltCorrection - 指定時はカメラの傾きを補正してから評価
+     */
+    analyzePosteriorView(landmarks, options = {}) {
+        landmarks = this.correctTilt(landmarks, options.tiltCorrection);
+        const results = {
+            totalScore: 0,
+            profile: this.profile.getSummary(),
+            tiltCorrection: options.tiltCorrection ? options.tiltCorrection.toJSON() : null,
+            details: []
+        };
+
+        // 1. 肩の高さの左右差（後面）
+        results.details.push(this.evaluateShoulderLevel(landmarks, options.calibration, 'posteriorShoulderLevel', '肩の高さ（後面）'));
+
+        // 2. 骨盤の高さの左右差（後面）
+        results.details.push(this.evaluatePelvicLevel(landmarks, options.calibration, 'posteriorPelvicLevel', '骨盤の高さ（後面）'));
+
+        // 3. 脊柱の側方偏位（側弯のスクリーニング）
+        results.details.push(this.evaluateScoliosisScreen(landmarks, options.calibration));
+
+        // 4. 頭部の側屈（後面）
+        results.details.push(this.evaluateHeadTilt(landmarks, 'posteriorHeadTilt', '頭部の側屈（後面）'));
+
+        // 5. 踵の内反・外反（Rearfoot Varus/Valgus）
+        results.details.push(this.evaluateHeelAlignment(landmarks));
+
+        this.applyCalibration(results, options.calibration);
+        this.applySeverity(results.details);
+        Object.assign(results, this.calculateTotalScore(results.details));
+
+        return results;
+    }
+
+    /**
+     * 後面3. 脊柱の側方偏位の評価（側弯のスクリーニングの代理指標）
+     * 理想: 肩中点と骨盤中点が同じ鉛直線上にある
+     * 棘突起は検出できないため、肩中点と骨盤中点の横方向のずれで代用する
+     */
+    evaluateScoliosisScreen(landmarks, calibration = null) {
+        const unmeasurable = this.checkVisibility(landmarks, 'scoliosisScreen', '脊柱の側方偏位（側弯スクリーニング）', [
+            this.LANDMARKS.LEFT_SHOULDER,
+            this.LANDMARKS.RIGHT_SHOULDER,
+            this.LANDMARKS.LEFT_HIP,
+            this.LANDMARKS.RIGHT_HIP
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftShoulder = landmarks[this.LANDMARKS.LEFT_SHOULDER];
+        const rightShoulder = landmarks[this.LANDMARKS.RIGHT_SHOULDER];
+        const leftHip = landmarks[this.LANDMARKS.LEFT_HIP];
+        const rightHip = landmarks[this.LANDMARKS.RIGHT_HIP];
+
+        const midShoulderX = (leftShoulder.x + rightShoulder.x) / 2;
+        const midShoulderY = (leftShoulder.y + rightShoulder.y) / 2;
+        const midHipX = (leftHip.x + rightHip.x) / 2;
+        const midHipY = (leftHip.y + rightHip.y) / 2;
+
+        const offset = midShoulderX - midHipX;
+        const horizontalDistance = Math.abs(offset);
+
+        const { score, ...measure } = this.scoreDistance('scoliosisScreen', horizontalDistance, 0, calibration);
+
+        // 背面から見ると右肩が画像の右側にある。肩中点がそちらへずれていれば右への偏位
+        const rightSign = Math.sign(rightShoulder.x - leftShoulder.x) || 1;
+        const direction = offset * rightSign >= 0 ? '右' : '左';
+
+        // 骨盤中点から肩中点への線の鉛直からの傾き
+        const angle = Math.atan2(offset, Math.abs(midHipY - midShoulderY)) * (180 / Math.PI);
+
+        return {
+            key: 'scoliosisScreen',
+            name: '脊柱の側方偏位（側弯スクリーニング）',
+            score: score,
+            measurable: true,
+            value: horizontalDistance.toFixed(3) + `（${direction}）`,
+            displacement: { dx: horizontalDistance, dy: 0 },
+            ...measure,
+            angle: angle.toFixed(1) + '°',
+            description: this.profile.describe('scoliosisScreen', score, {
+                label: `上部体幹の${direction}方への偏位`
+            })
+        };
+    }
+
+    /**
+     * 後面5. 踵の内反・外反の評価
+     * 理想: 踵（踵骨）が下腿の延長線上でまっすぐ立っている
+     */
+    evaluateHeelAlignment(landmarks) {
+        const unmeasurable = this.checkVisibility(landmarks, 'heelAlignment', '踵の内反・外反', [
+            this.LANDMARKS.LEFT_ANKLE,
+            this.LANDMARKS.LEFT_HEEL,
+            this.LANDMARKS.RIGHT_ANKLE,
+            this.LANDMARKS.RIGHT_HEEL
+        ]);
+        if (unmeasurable) return unmeasurable;
+
+        const leftAnkle = landmarks[this.LANDMARKS.LEFT_ANKLE];
+        const rightAnkle = landmarks[this.LANDMARKS.RIGHT_ANKLE];
+        const leftTilt = this.getHeelLateralTilt(leftAnkle, landmarks[this.LANDMARKS.LEFT_HEEL], rightAnkle);
+        const rightTilt = this.getHeelLateralTilt(rightAnkle, landmarks[this.LANDMARKS.RIGHT_HEEL], leftAnkle);
+
+        // 正: 踵が外側へ傾く（外反・回内足傾向）、負: 内側へ傾く（内反・回外足傾向）
+        const meanTilt = (leftTilt + rightTilt) / 2;
+        const tilt = Math.abs(meanTilt);
+
+        const score = this.profile.score('heelAlignment', tilt);
+
+        const type = meanTilt >= 0 ? '外反' : '内反';
+
+        return {
+            key: 'heelAlignment',
+            name: '踵の内反・外反',
+            score: score,
+            measurable: true,
+            value: tilt.toFixed(1) + `°（${type}）`,
+            variant: meanTilt >= 0 ? 'valgus' : 'varus',
+            angle: `左 ${leftTilt.toFixed(1)}° / 右 ${rightTilt.toFixed(1)}°`,
+            description: this.profile.describe('heelAlignment', score, {
+                label: type === '外反' ? '踵の外反（回内足傾向）' : '踵の内反（回外足傾向）'
+            })
+        };
+    }
+
+    /**
+     * 足首から踵への線の鉛直からの傾き（度）
+     * oppositeAnkleと反対の方向を外側とみなし、踵が外側にあれば正
+     */
+    getHeelLateralTilt(ankle, heel, oppositeAnkle) {
+        const lateralSign = Math.sign(ankle.x - oppositeAnkle.x) || 1;
+        return Math.atan2((heel.x - ankle.x) * lateralSign, Math.abs(heel.y - ankle.y)) * (180 / Math.PI);
+    }
+
+    /**
+     * 2点を結ぶ線の水平からの傾き（度）
+     * 画像上で左側の点から右側の点へ向かう線として計算
+     */
+    getLineTilt(pointA, pointB) {
+        const [left, right] = pointA.x <= pointB.x ? [pointA, pointB] : [pointB, pointA];
+        return Math.atan2(right.y - left.y, right.x - left.x) * (180 / Math.PI);
+    }
+
+    /**
+     * 評価に必要なランドマークの信頼度を確認
+     * 不足があれば「測定不可」の評価結果を、十分ならnullを返す
+     */
+    checkVisibility(landmarks, key, name, indices) {
+        const insufficient = indices.filter(
+            index => (landmarks[index]?.visibility || 0) < this.minVisibility
+        );
+
+        if (insufficient.length === 0) {
+            return null;
+        }
+
+        const labels = insufficient.map(index => {
+            const visibility = landmarks[index]?.visibility || 0;
+            return `${this.getLandmarkLabel(index)}（${visibility.toFixed(2)}）`;
+        });
+
+        return {
+            key: key,
+            name: name,
+            score: null,
+            measurable: false,
+            value: '-',
+            angle: '-',
+            reason: `${labels.join('、')}の信頼度が基準値 ${this.minVisibility} 未満です`,
+            description: '⛔ 測定不可：必要なランドマークを十分な精度で検出できませんでした'
+        };
+    }
+
+    /**
+     * ランドマークのインデックスから表示名を取得（例: 27 → 左足首）
+     */
+    getLandmarkLabel(index) {
+        const key = Object.keys(this.LANDMARKS).find(k => this.LANDMARKS[k] === index);
+        if (!key) return `#${index}`;
+
+        const sideLabel = key.startsWith('LEFT_') ? '左' : key.startsWith('RIGHT_') ? '右' : '';
+        const part = key.replace(/^(LEFT|RIGHT)_/, '');
+        return sideLabel + (PART_LABELS[part] || part);
+    }
+
+    /**
+     * 測定可能な項目のみから総合スコアを計算（採点プロファイルの重みによる加重平均）
+     * すべて測定不可（または測定できた項目の重みがすべて0）の場合、totalScoreはnull
+     */
+    calculateTotalScore(details) {
+        const measured = details.filter(item => item.measurable);
+        const weightSum = measured.reduce((sum, item) => sum + this.profile.getWeight(item.key), 0);
+        const totalScore = weightSum > 0
+            ? measured.reduce((sum, item) => sum + item.score * this.profile.getWeight(item.key), 0) / weightSum
+            : null;
+
+        return {
+            totalScore: totalScore,
+            measuredCount: measured.length,
+            excludedCount: details.length - measured.length
+        };
+    }
+
+    /**
+     * 測定できた項目に採点プロファイルの段階による重症度を記録
+     */
+    applySeverity(details) {
+        details.forEach(item => {
+            item.severity = item.measurable ? this.profile.getSeverity(item.key, item.score) : null;
+        });
+    }
+
+    /**
+     * 傾き補正があればランドマークを真の鉛直に揃えた座標に回転（元の配列は変更しない）
+     */
+    correctTilt(landmarks, tiltCorrection) {
+        return tiltCorrection ? tiltCorrection.apply(landmarks) : landmarks;
+    }
+
+    /**
+     * 距離の項目を採点（正規化座標の偏位 dx, dy）
+     * キャリブレーションがあれば cm に換算して cm の基準で、なければ正規化座標の基準で採点する
+     * 戻り値: { score, scoringUnit, valueCm（cm で採点したときのみ） }
+     */
+    scoreDistance(key, dx, dy, calibration) {
+        if (calibration) {
+            const valueCm = calibration.toCm(dx, dy);
+            return { score: this.profile.score(key, valueCm, 'cm'), scoringUnit: 'cm', valueCm };
+        }
+        return { score: this.profile.score(key, Math.hypot(dx, dy)), scoringUnit: 'normalized' };
+    }
+
+    /**
+     * キャリブレーションと、距離の項目の採点に使った単位を記録
+     */
+    applyCalibration(results, calibration) {
+        results.calibration = calibration ? calibration.toJSON() : null;
+        results.scoringUnit = calibration ? 'cm' : 'normalized';
     }
 }
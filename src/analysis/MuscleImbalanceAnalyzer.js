@@ -0,0 +1,101 @@
+/**
+ * MuscleImbalanceAnalyzer - 評価項目の所見と姿勢タイプから、短縮（緊張）・弱化（伸張）が疑われる筋群を推定する
+ *
+ * 推定は MuscleImbalanceRules のルールによる。2Dの姿勢から筋の状態は直接わからないため、
+ * 結果は徒手筋力検査や筋長検査で確認すべき候補として扱う。
+ */
+
+import { MuscleImbalanceRules } from './MuscleImbalanceRules.js';
+
+// 条件ごとの根拠の強さ（重症度が重いほど強い）
+const SEVERITY_PRIORITY = {
+    mild: 1,
+    moderate: 2,
+    severe: 3
+};
+
+const SEVERITY_LABELS = {
+    mild: '軽度',
+    moderate: '中等度',
+    severe: '重度'
+};
+
+// 姿勢分類の所見の根拠の強さ
+const POSTURE_FINDING_PRIORITY = 1;
+
+// 姿勢タイプの条件を使う信頼度の下限と根拠の強さ
+const MIN_POSTURE_TYPE_CONFIDENCE = 0.5;
+const POSTURE_TYPE_PRIORITY = 2;
+
+export class MuscleImbalanceAnalyzer {
+    constructor(rules = MuscleImbalanceRules.createDefault()) {
+        this.rules = rules;
+    }
+
+    setRules(rules) {
+        this.rules = rules;
+    }
+
+    /**
+     * analysisResults: { lateral, frontal, posterior }（KendallAnalyzer の結果）
+     * 戻り値: { rulesVersion, tight: [{ id, name, score, reasons }], weak: [...] }
+     *   score: 当てはまったルールの根拠の強さの合計（大きいほど上位）、reasons: 「ルール ← 根拠となった所見」
+     */
+    infer(analysisResults) {
+        const details = [analysisResults.lateral, analysisResults.frontal, analysisResults.posterior]
+            .filter(Boolean)
+            .flatMap(results => results.details);
+        const postureType = analysisResults.lateral?.postureType || null;
+
+        const groups = { tight: new Map(), weak: new Map() };
+        this.rules.rules.forEach(rule => {
+            const evidence = rule.conditions.map(condition => this.matchCondition(condition, details, postureType));
+            if (evidence.some(match => !match)) return;
+
+            const strength = Math.max(...evidence.map(match => match.strength));
+            const reason = `${rule.label} ← ${evidence.map(match => match.label).join('・')}`;
+
+            ['tight', 'weak'].forEach(state => {
+                rule[state].forEach(id => {
+                    const group = groups[state].get(id) || { id, name: MuscleImbalanceRules.MUSCLE_GROUPS[id], score: 0, reasons: [] };
+                    group.score += strength;
+                    group.reasons.push(reason);
+                    groups[state].set(id, group);
+                });
+            });
+        });
+
+        const sorted = (map) => [...map.values()].sort((a, b) => b.score - a.score);
+        return {
+            rulesVersion: this.rules.version,
+            tight: sorted(groups.tight),
+            weak: sorted(groups.weak)
+        };
+    }
+
+    /**
+     * 条件に当てはまれば { strength, label }、当てはまらなければ null
+     */
+    matchCondition(condition, details, postureType) {
+        if (condition.finding) {
+            const item = details.find(detail => detail.key === condition.finding
+                && detail.measurable
+                && SEVERITY_PRIORITY[detail.severity] >= SEVERITY_PRIORITY[condition.minSeverity]
+                && (!condition.variant || detail.variant === condition.variant));
+            return item
+                ? { strength: SEVERITY_PRIORITY[item.severity], label: `${item.name}（${SEVERITY_LABELS[item.severity]}）` }
+                : null;
+        }
+
+        if (condition.postureFinding) {
+            const finding = postureType?.findings.find(finding => finding.key === condition.postureFinding
+                && finding.state === condition.state);
+            return finding ? { strength: POSTURE_FINDING_PRIORITY, label: finding.label } : null;
+        }
+
+        if (postureType?.type === condition.postureType && postureType.confidence >= MIN_POSTURE_TYPE_CONFIDENCE) {
+            return { strength: POSTURE_TYPE_PRIORITY * postureType.confidence, label: postureType.label };
+        }
+        return null;
+    }
+}
@@ -0,0 +1,290 @@
+/**
+ * MuscleImbalanceRules - 姿勢の所見から短縮（緊張）・弱化（伸張）が疑われる筋群を推定するルール
+ *
+ * rules: [{ id, label, conditions, tight, weak }]
+ *   conditions: すべて満たしたときにルールを適用する条件の配列
+ *     { finding, minSeverity, variant? }: KendallAnalyzer の評価項目の key と重症度（'mild' | 'moderate' | 'severe'）
+ *     { postureFinding, state }: PostureClassifier の所見（head / thorax / pelvis / pelvisShift / knee）と状態
+ *     { postureType }: PostureClassifier の姿勢タイプ
+ *   tight / weak: 短縮・弱化が疑われる筋群の ID（MUSCLE_GROUPS）
+ */
+
+// 推定の対象とする筋群（ID は人体図の領域と対応）
+const MUSCLE_GROUPS = {
+    deepNeckFlexors: '深層頸部屈筋群',
+    suboccipitals: '後頭下筋群',
+    sternocleidomastoid: '胸鎖乳突筋・斜角筋',
+    upperTrapezius: '上部僧帽筋・肩甲挙筋',
+    pectorals: '大胸筋・小胸筋',
+    lowerTrapezius: '中部・下部僧帽筋・菱形筋',
+    thoracicExtensors: '胸部脊柱起立筋',
+    abdominals: '腹筋群',
+    lumbarExtensors: '腰部脊柱起立筋',
+    quadratusLumborum: '腰方形筋',
+    hipFlexors: '股関節屈筋群（腸腰筋・大腿直筋）',
+    gluteusMaximus: '大殿筋',
+    gluteusMedius: '中殿筋',
+    tensorFasciaeLatae: '大腿筋膜張筋・腸脛靭帯',
+    adductors: '股関節内転筋群',
+    quadriceps: '大腿四頭筋',
+    hamstrings: 'ハムストリングス',
+    calves: '下腿三頭筋',
+    tibialisAnterior: '前脛骨筋'
+};
+
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const DEFAULT_RULES = {
+    version: 1,
+    rules: [
+        {
+            id: 'forward-head',
+            label: '頭部前方位',
+            conditions: [{ finding: 'headPosture', minSeverity: 'mild' }],
+            tight: ['suboccipitals', 'upperTrapezius', 'sternocleidomastoid'],
+            weak: ['deepNeckFlexors']
+        },
+        {
+            id: 'rounded-shoulders',
+            label: '肩の前方位（巻き肩）',
+            conditions: [{ finding: 'shoulderPosition', minSeverity: 'mild' }],
+            tight: ['pectorals'],
+            weak: ['lowerTrapezius']
+        },
+        {
+            id: 'upper-crossed',
+            label: '上位交差症候群（頭部前方位＋巻き肩）',
+            conditions: [
+                { finding: 'headPosture', minSeverity: 'mild' },
+                { finding: 'shoulderPosition', minSeverity: 'mild' }
+            ],
+            tight: ['upperTrapezius', 'pectorals'],
+            weak: ['deepNeckFlexors', 'lowerTrapezius']
+        },
+        {
+            id: 'thoracic-kyphosis',
+            label: '上部体幹の前方偏位（胸椎後弯）',
+            conditions: [{ postureFinding: 'thorax', state: 'forward' }],
+            tight: ['pectorals', 'abdominals'],
+            weak: ['thoracicExtensors', 'lowerTrapezius']
+        },
+        {
+            id: 'anterior-pelvic-tilt',
+            label: '骨盤前傾',
+            conditions: [{ postureFinding: 'pelvis', state: 'anterior' }],
+            tight: ['hipFlexors', 'lumbarExtensors'],
+            weak: ['abdominals', 'gluteusMaximus', 'hamstrings']
+        },
+        {
+            id: 'posterior-pelvic-tilt',
+            label: '骨盤後傾',
+            conditions: [{ postureFinding: 'pelvis', state: 'posterior' }],
+            tight: ['hamstrings', 'abdominals'],
+            weak: ['hipFlexors', 'lumbarExtensors']
+        },
+        {
+            id: 'head-and-pelvis',
+            label: '頭部前方位＋骨盤前傾（上位・下位交差）',
+            conditions: [
+                { finding: 'headPosture', minSeverity: 'mild' },
+                { postureFinding: 'pelvis', state: 'anterior' }
+            ],
+            tight: ['upperTrapezius', 'hipFlexors'],
+            weak: ['deepNeckFlexors', 'abdominals']
+        },
+        {
+            id: 'knee-hyperextension',
+            label: '膝の過伸展（反張膝）',
+            conditions: [{ postureFinding: 'knee', state: 'hyperextended' }],
+            tight: ['quadriceps', 'calves'],
+            weak: ['hamstrings']
+        },
+        {
+            id: 'knee-flexion',
+            label: '膝の屈曲',
+            conditions: [{ postureFinding: 'knee', state: 'flexed' }],
+            tight: ['hamstrings'],
+            weak: ['quadriceps']
+        },
+        {
+            id: 'ankle',
+            label: '足首アライメントの偏位',
+            conditions: [{ finding: 'ankleAlignment', minSeverity: 'mild' }],
+            tight: ['calves'],
+            weak: ['tibialisAnterior']
+        },
+        {
+            id: 'shoulder-level',
+            label: '肩の高さの左右差',
+            conditions: [{ finding: 'shoulderLevel', minSeverity: 'mild' }],
+            tight: ['upperTrapezius'],
+            weak: ['lowerTrapezius']
+        },
+        {
+            id: 'head-tilt',
+            label: '頭部の側屈',
+            conditions: [{ finding: 'headTilt', minSeverity: 'mild' }],
+            tight: ['sternocleidomastoid', 'upperTrapezius'],
+            weak: []
+        },
+        {
+            id: 'pelvic-level',
+            label: '骨盤の高さの左右差',
+            conditions: [{ finding: 'pelvicLevel', minSeverity: 'mild' }],
+            tight: ['quadratusLumborum'],
+            weak: ['gluteusMedius']
+        },
+        {
+            id: 'trunk-shift',
+            label: '体幹の側方偏位',
+            conditions: [{ finding: 'trunkShift', minSeverity: 'mild' }],
+            tight: ['quadratusLumborum'],
+            weak: ['gluteusMedius', 'abdominals']
+        },
+        {
+            id: 'knee-valgus',
+            label: '膝の外反（X脚傾向）',
+            conditions: [{ finding: 'kneeAlignment', minSeverity: 'mild', variant: 'valgus' }],
+            tight: ['adductors', 'tensorFasciaeLatae'],
+            weak: ['gluteusMedius', 'gluteusMaximus']
+        },
+        {
+            id: 'knee-varus',
+            label: '膝の内反（O脚傾向）',
+            conditions: [{ finding: 'kneeAlignment', minSeverity: 'mild', variant: 'varus' }],
+            tight: ['tensorFasciaeLatae'],
+            weak: ['adductors']
+        },
+        {
+            id: 'posterior-shoulder-level',
+            label: '肩の高さの左右差（後面）',
+            conditions: [{ finding: 'posteriorShoulderLevel', minSeverity: 'mild' }],
+            tight: ['upperTrapezius'],
+            weak: ['lowerTrapezius']
+        },
+        {
+            id: 'posterior-pelvic-level',
+            label: '骨盤の高さの左右差（後面）',
+            conditions: [{ finding: 'posteriorPelvicLevel', minSeverity: 'mild' }],
+            tight: ['quadratusLumborum'],
+            weak: ['gluteusMedius']
+        },
+        {
+            id: 'scoliosis-screen',
+            label: '脊柱の側方偏位（側弯の疑い）',
+            conditions: [{ finding: 'scoliosisScreen', minSeverity: 'mild' }],
+            tight: ['quadratusLumborum'],
+            weak: ['abdominals', 'gluteusMedius']
+        },
+        {
+            id: 'heel-valgus',
+            label: '踵の外反（回内足傾向）',
+            conditions: [{ finding: 'heelAlignment', minSeverity: 'mild', variant: 'valgus' }],
+            tight: ['calves'],
+            weak: ['tibialisAnterior', 'gluteusMedius']
+        },
+        {
+            id: 'kyphotic-lordotic',
+            label: '後弯前弯型',
+            conditions: [{ postureType: 'kyphoticLordotic' }],
+            tight: ['hipFlexors', 'lumbarExtensors', 'pectorals', 'upperTrapezius'],
+            weak: ['abdominals', 'thoracicExtensors', 'deepNeckFlexors']
+        },
+        {
+            id: 'flat-back',
+            label: 'フラットバック型',
+            conditions: [{ postureType: 'flatBack' }],
+            tight: ['hamstrings', 'abdominals'],
+            weak: ['hipFlexors', 'lumbarExtensors']
+        },
+        {
+            id: 'sway-back',
+            label: 'スウェイバック型',
+            conditions: [{ postureType: 'swayBack' }],
+            tight: ['hamstrings', 'abdominals'],
+            weak: ['hipFlexors', 'thoracicExtensors', 'deepNeckFlexors']
+        },
+        {
+            id: 'military',
+            label: '軍隊型',
+            conditions: [{ postureType: 'military' }],
+            tight: ['lumbarExtensors', 'hipFlexors'],
+            weak: ['abdominals', 'hamstrings']
+        }
+    ]
+};
+
+export class MuscleImbalanceRules {
+    constructor(data) {
+        MuscleImbalanceRules.validate(data);
+
+        this.version = data.version;
+        this.rules = data.rules;
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            rules: this.rules
+        };
+    }
+
+    /**
+     * ルールの形式を検証（不正なら Error を投げる）
+     */
+    static validate(data) {
+        if (!data || !Array.isArray(data.rules)) {
+            throw new Error('rules の配列が必要です');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('バージョンは1以上の整数で指定してください');
+        }
+
+        const ids = new Set();
+        data.rules.forEach((rule, index) => {
+            const label = rule?.label || `${index + 1}番目のルール`;
+            if (!rule?.id || !rule.label) {
+                throw new Error(`${label}に id と label が必要です`);
+            }
+            if (ids.has(rule.id)) {
+                throw new Error(`ルールのID「${rule.id}」が重複しています`);
+            }
+            ids.add(rule.id);
+
+            if (!Array.isArray(rule.conditions) || rule.conditions.length === 0) {
+                throw new Error(`「${label}」の conditions に1つ以上の条件が必要です`);
+            }
+            rule.conditions.forEach(condition => {
+                if (condition.finding) {
+                    if (!SEVERITIES.includes(condition.minSeverity)) {
+                        throw new Error(`「${label}」の minSeverity は ${SEVERITIES.join(' / ')} のいずれかで指定してください`);
+                    }
+                } else if (condition.postureFinding) {
+                    if (!condition.state) {
+                        throw new Error(`「${label}」の postureFinding の条件に state が必要です`);
+                    }
+                } else if (!condition.postureType) {
+                    throw new Error(`「${label}」の条件に finding・postureFinding・postureType のいずれかが必要です`);
+                }
+            });
+
+            ['tight', 'weak'].forEach(field => {
+                if (!Array.isArray(rule[field])) {
+                    throw new Error(`「${label}」の ${field} は配列で指定してください`);
+                }
+                const unknown = rule[field].filter(id => !MUSCLE_GROUPS[id]);
+                if (unknown.length > 0) {
+                    throw new Error(`「${label}」に存在しない筋群があります（${unknown.join('、')}）`);
+                }
+            });
+        });
+    }
+
+    static createDefault() {
+        return new MuscleImbalanceRules(structuredClone(DEFAULT_RULES));
+    }
+
+    static get MUSCLE_GROUPS() {
+        return MUSCLE_GROUPS;
+    }
+}
@@ -0,0 +1,182 @@
+/**
+ * PostureClassifier - 側面観の所見の組み合わせからケンダルの姿勢タイプを分類する
+ *
+ * 2Dのランドマークでは胸椎・腰椎の弯曲や骨盤の傾きを直接測れないため、以下を代理指標とする。
+ *   頭部: 耳が肩より前方か
+ *   胸郭: 肩（上部体幹）が股関節より前方か後方か（後方なら上部体幹の後方偏位）
+ *   骨盤: 大腿（股関節-膝）の傾き（膝が前方なら股関節屈曲＝前傾、後方なら伸展＝後傾）と、足首に対する骨盤の前方偏位
+ *   膝: 足首に対して膝が後方か（反張）前方か（屈曲）
+ * 各指標の閾値は採点プロファイルの対応する項目の許容値を使う。
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// 姿勢タイプと各所見の典型的な状態（配列はいずれかに当てはまれば一致）
+const POSTURE_TYPES = {
+    ideal: {
+        label: '理想的なアライメント',
+        expected: { head: ['neutral'], thorax: ['neutral'], pelvis: ['neutral'], pelvisShift: ['neutral'], knee: ['neutral'] }
+    },
+    kyphoticLordotic: {
+        label: '後弯前弯型（Kyphotic-Lordotic）',
+        expected: { head: ['forward'], thorax: ['forward'], pelvis: ['anterior'], pelvisShift: ['neutral'], knee: ['hyperextended', 'neutral'] }
+    },
+    flatBack: {
+        label: 'フラットバック型（Flat-Back）',
+        expected: { head: ['forward'], thorax: ['neutral'], pelvis: ['posterior'], pelvisShift: ['neutral'], knee: ['flexed', 'neutral'] }
+    },
+    swayBack: {
+        label: 'スウェイバック型（Sway-Back）',
+        expected: { head: ['forward'], thorax: ['posterior'], pelvis: ['posterior'], pelvisShift: ['forward'], knee: ['hyperextended'] }
+    },
+    military: {
+        label: '軍隊型（Military）',
+        expected: { head: ['neutral'], thorax: ['neutral', 'posterior'], pelvis: ['anterior'], pelvisShift: ['neutral'], knee: ['hyperextended'] }
+    }
+};
+
+// 分類での所見の重み（骨盤と胸郭はタイプを分ける主な所見）
+const FINDING_WEIGHTS = {
+    head: 1,
+    thorax: 1.5,
+    pelvis: 1.5,
+    pelvisShift: 1,
+    knee: 1
+};
+
+// 所見の表示
+const FINDING_LABELS = {
+    head: { forward: '頭部前方位', neutral: '頭部は中間位' },
+    thorax: { forward: '上部体幹の前方偏位（胸椎後弯の増強傾向）', posterior: '上部体幹の後方偏位', neutral: '上部体幹は中間位' },
+    pelvis: { anterior: '骨盤前傾傾向（股関節屈曲位）', posterior: '骨盤後傾傾向（股関節伸展位）', neutral: '骨盤は中間位' },
+    pelvisShift: { forward: '骨盤の前方偏位', neutral: '骨盤は足部の上' },
+    knee: { hyperextended: '膝の過伸展（反張膝）', flexed: '膝の屈曲', neutral: '膝は中間位' }
+};
+
+// 分類に必要な測定できた所見の重みの割合
+const MIN_COVERAGE = 0.5;
+
+export class PostureClassifier {
+    constructor(options = {}) {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.minVisibility = options.minVisibility ?? 0.3;
+    }
+
+    /**
+     * 姿勢タイプを分類
+     * options.side: 評価に使う側、options.facing: 画像上で向いている方向（'right' | 'left'）、options.profile: ScoringProfile
+     * 戻り値: { type, label, confidence, findings, matches, candidates, reason }（測定できた所見が少なければ type は null、reason に理由）
+     */
+    classify(landmarks, { side, facing, profile }) {
+        const findings = this.measureFindings(landmarks, side, facing === 'left' ? -1 : 1, profile);
+        const totalWeight = Object.values(FINDING_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+        const measuredWeight = findings.reduce((sum, finding) => sum + FINDING_WEIGHTS[finding.key], 0);
+        const coverage = measuredWeight / totalWeight;
+
+        if (coverage < MIN_COVERAGE) {
+            return {
+                type: null,
+                label: '分類不可',
+                confidence: 0,
+                findings: findings,
+                matches: [],
+                candidates: [],
+                reason: '頭部・体幹・骨盤・膝の所見を十分に測定できませんでした'
+            };
+        }
+
+        // タイプごとに典型所見との一致度（重み付き）を求める
+        const candidates = Object.entries(POSTURE_TYPES).map(([type, definition]) => {
+            const matched = findings.filter(finding => definition.expected[finding.key].includes(finding.state));
+            const score = matched.reduce((sum, finding) => sum + FINDING_WEIGHTS[finding.key], 0) / measuredWeight;
+            return { type, label: definition.label, score, matched };
+        }).sort((a, b) => b.score - a.score);
+
+        const [best, runnerUp] = candidates;
+
+        // 一致度・次点との差・測定できた所見の割合から信頼度を求める
+        const margin = best.score - runnerUp.score;
+        const confidence = best.score * coverage * Math.min(1, 0.5 + margin * 2);
+
+        return {
+            type: best.type,
+            label: best.label,
+            confidence: confidence,
+            findings: findings,
+            matches: best.matched.map(finding => finding.key),
+            candidates: candidates.map(({ type, label, score }) => ({ type, label, score })),
+            reason: null
+        };
+    }
+
+    /**
+     * 分類に使う所見を測定（必要なランドマークが見えない所見は含めない）
+     * direction: 前方を正とする符号（右向きなら 1、左向きなら -1）
+     */
+    measureFindings(landmarks, side, direction, profile) {
+        const point = (part) => {
+            const landmark = landmarks[this.LANDMARKS[`${side.toUpperCase()}_${part}`]];
+            return landmark && landmark.visibility >= this.minVisibility ? landmark : null;
+        };
+        const ear = point('EAR');
+        const shoulder = point('SHOULDER');
+        const hip = point('HIP');
+        const knee = point('KNEE');
+        const ankle = point('ANKLE');
+        const tolerance = (key) => profile.getItem(key).tolerance;
+        const findings = [];
+
+        // 頭部: 耳の肩に対する前方偏位
+        if (ear && shoulder) {
+            const value = (ear.x - shoulder.x) * direction;
+            findings.push(this.createFinding('head', value > tolerance('headPosture') ? 'forward' : 'neutral', value, value.toFixed(3)));
+        }
+
+        // 胸郭: 肩-股関節線の前後の傾き（度、前方が正）
+        if (shoulder && hip) {
+            const value = Math.atan2((shoulder.x - hip.x) * direction, Math.abs(hip.y - shoulder.y)) * (180 / Math.PI);
+            const limit = tolerance('spinalAlignment');
+            const state = value > limit ? 'forward' : value < -limit ? 'posterior' : 'neutral';
+            findings.push(this.createFinding('thorax', state, value, `${value.toFixed(1)}°`));
+        }
+
+        // 骨盤: 大腿の前後の傾き（度、膝が前方なら正）
+        if (hip && knee) {
+            const value = Math.atan2((knee.x - hip.x) * direction, Math.abs(knee.y - hip.y)) * (180 / Math.PI);
+            const limit = tolerance('pelvicTilt');
+            const state = value > limit ? 'anterior' : value < -limit ? 'posterior' : 'neutral';
+            findings.push(this.createFinding('pelvis', state, value, `${value.toFixed(1)}°`));
+        }
+
+        // 骨盤の前方偏位: 足首に対する股関節の位置
+        if (hip && ankle) {
+            const value = (hip.x - ankle.x) * direction;
+            findings.push(this.createFinding('pelvisShift', value > tolerance('kneePosition') ? 'forward' : 'neutral', value, value.toFixed(3)));
+        }
+
+        // 膝: 足首に対する膝の前後の偏位（後方が反張）
+        // 股関節-足首線を基準にすると大腿の傾き（骨盤の指標）と連動するため下腿のみで判定する
+        if (knee && ankle) {
+            const value = (knee.x - ankle.x) * direction;
+            const limit = tolerance('ankleAlignment') / 2;
+            const state = value < -limit ? 'hyperextended' : value > limit ? 'flexed' : 'neutral';
+            findings.push(this.createFinding('knee', state, value, value.toFixed(3)));
+        }
+
+        return findings;
+    }
+
+    createFinding(key, state, value, valueText) {
+        return {
+            key: key,
+            state: state,
+            value: value,
+            label: FINDING_LABELS[key][state],
+            valueText: valueText
+        };
+    }
+
+    static get POSTURE_TYPES() {
+        return POSTURE_TYPES;
+    }
+}
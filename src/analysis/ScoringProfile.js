@@ -0,0 +1,422 @@
+/**
+ * ScoringProfile - ケンダル法の各評価項目の採点基準（許容値・減点の傾き・重み・所見の段階）
+ *
+ * 項目ごとの設定:
+ *   tolerance: 減点を始める測定値（正規化座標または度）
+ *   slope: 許容値を超えた分1単位あたりの減点
+ *   toleranceCm / slopeCm: 距離の項目のみ。キャリブレーション済みの画像では偏位を cm に換算してこちらで採点する
+ *   curve: 'linear'（超過量に比例）| 'quadratic'（超過量の2乗で加速、許容値の2倍の位置で linear と同じ減点）
+ *   weight: 総合スコアでの重み（0 なら総合スコアに含めない）
+ *   bands: [{ min, text }] スコアが min 以上の最初の段階の所見を表示（text の {label} は項目ごとの補足に置換）
+ */
+
+// 評価項目の一覧（設定画面の表示順）
+const ITEMS = [
+    { key: 'headPosture', name: '頭部前方位', view: 'lateral', unit: '', distance: true },
+    { key: 'shoulderPosition', name: '肩の位置', view: 'lateral', unit: '', distance: true },
+    { key: 'spinalAlignment', name: '脊柱アライメント', view: 'lateral', unit: '°' },
+    { key: 'pelvicTilt', name: '骨盤傾斜', view: 'lateral', unit: '°' },
+    { key: 'kneePosition', name: '膝の位置', view: 'lateral', unit: '', distance: true },
+    { key: 'ankleAlignment', name: '足首アライメント', view: 'lateral', unit: '', distance: true },
+    { key: 'shoulderLevel', name: '肩の高さ', view: 'frontal', unit: '', distance: true },
+    { key: 'pelvicLevel', name: '骨盤の高さ', view: 'frontal', unit: '', distance: true },
+    { key: 'headTilt', name: '頭部の側屈', view: 'frontal', unit: '°' },
+    { key: 'trunkShift', name: '体幹の側方偏位', view: 'frontal', unit: '', distance: true },
+    { key: 'kneeAlignment', name: '膝の内反・外反', view: 'frontal', unit: '', distance: true },
+    { key: 'posteriorShoulderLevel', name: '肩の高さ（後面）', view: 'posterior', unit: '', distance: true },
+    { key: 'posteriorPelvicLevel', name: '骨盤の高さ（後面）', view: 'posterior', unit: '', distance: true },
+    { key: 'scoliosisScreen', name: '脊柱の側方偏位（側弯スクリーニング）', view: 'posterior', unit: '', distance: true },
+    { key: 'posteriorHeadTilt', name: '頭部の側屈（後面）', view: 'posterior', unit: '°' },
+    { key: 'heelAlignment', name: '踵の内反・外反', view: 'posterior', unit: '°' }
+];
+
+const VIEW_LABELS = {
+    lateral: '側面観',
+    frontal: '正面観',
+    posterior: '後面観'
+};
+
+// 後から追加した項目（以前に保存したプロファイルになければ臨床（厳格）の設定で補う）
+const ADDED_ITEMS = ['posteriorShoulderLevel', 'posteriorPelvicLevel', 'scoliosisScreen', 'posteriorHeadTilt', 'heelAlignment'];
+
+const CURVES = ['linear', 'quadratic'];
+
+// 検証エラーの表示に使う設定名
+const FIELD_LABELS = {
+    tolerance: '許容値',
+    slope: '傾き',
+    weight: '重み'
+};
+
+// 距離の項目だけが持つ cm の基準の設定名
+const CM_FIELD_LABELS = {
+    toleranceCm: '許容値（cm）',
+    slopeCm: '傾き（cm）'
+};
+
+// 採点に使った単位（評価結果の scoringUnit）
+const SCORING_UNIT_LABELS = {
+    cm: '実寸（cm）',
+    normalized: '画像上の比率（キャリブレーションなし）'
+};
+
+// 所見の文言（優秀・良好・注意・要改善の順）
+const DESCRIPTIONS = {
+    headPosture: [
+        '✅ 優秀：頭部が理想的な位置にあります',
+        '⚠️ 良好：軽度の前方偏位が見られます',
+        '⚠️ 注意：中等度の頭部前方位です',
+        '❌ 要改善：顕著な頭部前方位が見られます'
+    ],
+    shoulderPosition: [
+        '✅ 優秀：肩が理想的な位置にあります',
+        '⚠️ 良好：軽度の位置偏位が見られます',
+        '⚠️ 注意：中等度の肩の位置異常です',
+        '❌ 要改善：顕著な肩の位置異常が見られます'
+    ],
+    spinalAlignment: [
+        '✅ 優秀：脊柱アライメントが理想的です',
+        '⚠️ 良好：軽度のアライメント偏位があります',
+        '⚠️ 注意：中等度の脊柱アライメント異常です',
+        '❌ 要改善：顕著な脊柱アライメント異常が見られます'
+    ],
+    pelvicTilt: [
+        '✅ 優秀：骨盤が中間位にあります',
+        '⚠️ 良好：軽度の骨盤傾斜があります',
+        '⚠️ 注意：中等度の骨盤傾斜です',
+        '❌ 要改善：顕著な骨盤傾斜が見られます'
+    ],
+    kneePosition: [
+        '✅ 優秀：膝が理想的な位置にあります',
+        '⚠️ 良好：軽度の膝の位置偏位があります',
+        '⚠️ 注意：中等度の膝の位置異常です',
+        '❌ 要改善：顕著な膝の位置異常が見られます'
+    ],
+    ankleAlignment: [
+        '✅ 優秀：足首が理想的な位置にあります',
+        '⚠️ 良好：軽度の足首アライメント偏位があります',
+        '⚠️ 注意：中等度の足首アライメント異常です',
+        '❌ 要改善：顕著な足首アライメント異常が見られます'
+    ],
+    shoulderLevel: [
+        '✅ 優秀：左右の肩の高さが揃っています',
+        '⚠️ 良好：軽度の肩の高さの左右差があります',
+        '⚠️ 注意：中等度の肩の高さの左右差です',
+        '❌ 要改善：顕著な肩の高さの左右差が見られます'
+    ],
+    pelvicLevel: [
+        '✅ 優秀：左右の骨盤の高さが揃っています',
+        '⚠️ 良好：軽度の骨盤の高さの左右差があります',
+        '⚠️ 注意：中等度の骨盤の高さの左右差です',
+        '❌ 要改善：顕著な骨盤の高さの左右差が見られます'
+    ],
+    headTilt: [
+        '✅ 優秀：頭部がまっすぐ保たれています',
+        '⚠️ 良好：軽度の頭部の側屈があります',
+        '⚠️ 注意：中等度の頭部の側屈です',
+        '❌ 要改善：顕著な頭部の側屈が見られます'
+    ],
+    trunkShift: [
+        '✅ 優秀：体幹が重心線上にあります',
+        '⚠️ 良好：軽度の体幹の側方偏位があります',
+        '⚠️ 注意：中等度の体幹の側方偏位です',
+        '❌ 要改善：顕著な体幹の側方偏位が見られます'
+    ],
+    kneeAlignment: [
+        '✅ 優秀：膝が下肢の軸上にあります',
+        '⚠️ 良好：軽度の{label}があります',
+        '⚠️ 注意：中等度の{label}です',
+        '❌ 要改善：顕著な{label}が見られます'
+    ],
+    posteriorShoulderLevel: [
+        '✅ 優秀：後面から見て左右の肩の高さが揃っています',
+        '⚠️ 良好：軽度の肩の高さの左右差があります',
+        '⚠️ 注意：中等度の肩の高さの左右差です',
+        '❌ 要改善：顕著な肩の高さの左右差が見られます'
+    ],
+    posteriorPelvicLevel: [
+        '✅ 優秀：後面から見て左右の骨盤の高さが揃っています',
+        '⚠️ 良好：軽度の骨盤の高さの左右差があります',
+        '⚠️ 注意：中等度の骨盤の高さの左右差です',
+        '❌ 要改善：顕著な骨盤の高さの左右差が見られます'
+    ],
+    scoliosisScreen: [
+        '✅ 優秀：肩と骨盤の中心が揃っています',
+        '⚠️ 良好：軽度の{label}があります（側弯の確認には前屈テストを行ってください）',
+        '⚠️ 注意：中等度の{label}です（側弯の確認には前屈テストを行ってください）',
+        '❌ 要改善：顕著な{label}が見られます（専門医での評価を検討してください）'
+    ],
+    posteriorHeadTilt: [
+        '✅ 優秀：後面から見て頭部がまっすぐ保たれています',
+        '⚠️ 良好：軽度の頭部の側屈があります',
+        '⚠️ 注意：中等度の頭部の側屈です',
+        '❌ 要改善：顕著な頭部の側屈が見られます'
+    ],
+    heelAlignment: [
+        '✅ 優秀：踵が下腿の軸上にあります',
+        '⚠️ 良好：軽度の{label}があります',
+        '⚠️ 注意：中等度の{label}です',
+        '❌ 要改善：顕著な{label}が見られます'
+    ]
+};
+
+// 臨床向けの厳しい基準（許容値・傾き）
+// 距離の項目の cm の基準は、全身が画像の高さの8割ほど（正規化座標の1 ≒ 190cm）に写った場合に
+// 正規化座標の基準とほぼ同じ採点になる値を臨床での目安に丸めたもの
+const STRICT_THRESHOLDS = {
+    headPosture: { tolerance: 0.01, slope: 1500, toleranceCm: 2, slopeCm: 8 },
+    shoulderPosition: { tolerance: 0.015, slope: 2000, toleranceCm: 3, slopeCm: 10 },
+    spinalAlignment: { tolerance: 5, slope: 10 },
+    pelvicTilt: { tolerance: 3, slope: 12 },
+    kneePosition: { tolerance: 0.02, slope: 1800, toleranceCm: 4, slopeCm: 9 },
+    ankleAlignment: { tolerance: 0.02, slope: 1800, toleranceCm: 4, slopeCm: 9 },
+    shoulderLevel: { tolerance: 0.01, slope: 2000, toleranceCm: 2, slopeCm: 10 },
+    pelvicLevel: { tolerance: 0.008, slope: 2500, toleranceCm: 1.5, slopeCm: 13 },
+    headTilt: { tolerance: 2, slope: 10 },
+    trunkShift: { tolerance: 0.015, slope: 1500, toleranceCm: 3, slopeCm: 8 },
+    kneeAlignment: { tolerance: 0.015, slope: 1500, toleranceCm: 3, slopeCm: 8 },
+    posteriorShoulderLevel: { tolerance: 0.01, slope: 2000, toleranceCm: 2, slopeCm: 10 },
+    posteriorPelvicLevel: { tolerance: 0.008, slope: 2500, toleranceCm: 1.5, slopeCm: 13 },
+    scoliosisScreen: { tolerance: 0.01, slope: 2000, toleranceCm: 2, slopeCm: 10 },
+    posteriorHeadTilt: { tolerance: 2, slope: 10 },
+    heelAlignment: { tolerance: 5, slope: 6 }
+};
+
+/**
+ * 厳しい基準から許容値・傾き・段階の境界を調整したプリセットを作る
+ */
+function buildPreset({ id, name, toleranceScale, slopeScale, bandMins, weights = {} }) {
+    const items = {};
+    ITEMS.forEach(({ key, distance }) => {
+        const { tolerance, slope, toleranceCm, slopeCm } = STRICT_THRESHOLDS[key];
+        items[key] = {
+            tolerance: Number((tolerance * toleranceScale).toPrecision(3)),
+            slope: Math.round(slope * slopeScale),
+            curve: 'linear',
+            weight: weights[key] ?? 1,
+            bands: DESCRIPTIONS[key].map((text, i) => ({ min: bandMins[i], text }))
+        };
+        if (distance) {
+            items[key].toleranceCm = Number((toleranceCm * toleranceScale).toPrecision(3));
+            items[key].slopeCm = Number((slopeCm * slopeScale).toPrecision(3));
+        }
+    });
+    return { id, name, version: 1, builtIn: true, items };
+}
+
+const PRESETS = [
+    buildPreset({
+        id: 'strict-clinical',
+        name: '臨床（厳格）',
+        toleranceScale: 1,
+        slopeScale: 1,
+        bandMins: [90, 70, 50, 0]
+    }),
+    buildPreset({
+        id: 'general-fitness',
+        name: '一般フィットネス',
+        toleranceScale: 1.5,
+        slopeScale: 0.75,
+        bandMins: [85, 65, 45, 0]
+    }),
+    // 加齢による円背・前方位は許容しつつ、転倒に関わる体幹・頭部の項目を重視する
+    buildPreset({
+        id: 'elderly',
+        name: '高齢者',
+        toleranceScale: 2,
+        slopeScale: 0.5,
+        bandMins: [80, 60, 40, 0],
+        weights: { headPosture: 1.5, spinalAlignment: 1.5, trunkShift: 1.5 }
+    })
+];
+
+export class ScoringProfile {
+    constructor(data) {
+        ScoringProfile.validate(data);
+
+        this.id = data.id;
+        this.name = data.name;
+        this.version = data.version;
+        this.builtIn = Boolean(data.builtIn);
+        this.items = data.items;
+    }
+
+    /**
+     * 測定値（偏位・角度の絶対値）からスコア（0〜100）を計算
+     * unit: 'cm' なら距離の項目の cm の基準（toleranceCm / slopeCm）で採点する
+     */
+    score(key, value, unit = 'normalized') {
+        const item = this.getItem(key);
+        const { curve } = item;
+        const tolerance = unit === 'cm' ? item.toleranceCm : item.tolerance;
+        const slope = unit === 'cm' ? item.slopeCm : item.slope;
+        if (!Number.isFinite(tolerance) || !Number.isFinite(slope)) {
+            throw new Error(`採点プロファイルの項目「${key}」は${unit === 'cm' ? 'cm' : '正規化座標'}の基準で採点できません`);
+        }
+
+        const excess = value - tolerance;
+        if (excess <= 0) {
+            return 100;
+        }
+
+        const penalty = curve === 'quadratic'
+            ? slope * excess * excess / (tolerance || 1)
+            : slope * excess;
+        return Math.max(0, 100 - penalty);
+    }
+
+    /**
+     * スコアに対応する段階の所見
+     */
+    describe(key, score, params = {}) {
+        const { bands } = this.getItem(key);
+        const band = bands.find(b => score >= b.min) || bands[bands.length - 1];
+        return band.text.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+    }
+
+    /**
+     * スコアの段階から重症度（'none' | 'mild' | 'moderate' | 'severe'）を求める
+     * 最上位の段階は問題なし、最下位は重度、2番目は軽度、それ以外は中等度とする
+     */
+    getSeverity(key, score) {
+        const { bands } = this.getItem(key);
+        const index = bands.findIndex(b => score >= b.min);
+        if (index === 0) return 'none';
+        if (index < 0 || index === bands.length - 1) return 'severe';
+        return index === 1 ? 'mild' : 'moderate';
+    }
+
+    getWeight(key) {
+        return this.getItem(key).weight;
+    }
+
+    getItem(key) {
+        const item = this.items[key];
+        if (!item) {
+            throw new Error(`採点プロファイルに項目「${key}」の設定がありません`);
+        }
+        return item;
+    }
+
+    /**
+     * 評価結果に記録する識別情報
+     */
+    getSummary() {
+        return { id: this.id, name: this.name, version: this.version };
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            name: this.name,
+            version: this.version,
+            items: this.items
+        };
+    }
+
+    /**
+     * 評価結果に記録された識別情報の表示（例: 臨床（厳格） v1）、記録がなければ null
+     */
+    static formatSummary(summary) {
+        return summary ? `${summary.name} v${summary.version}` : null;
+    }
+
+    /**
+     * 採点プロファイルの形式を検証（不正なら Error を投げる）
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('採点プロファイルの形式が正しくありません');
+        }
+        if (!data.id || !data.name) {
+            throw new Error('採点プロファイルにIDと名前が必要です');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('採点プロファイルのバージョンは1以上の整数で指定してください');
+        }
+
+        // 以前のバージョンで保存したプロファイルには後から追加した項目がない
+        if (data.items && typeof data.items === 'object') {
+            ADDED_ITEMS.filter(key => !data.items[key]).forEach(key => {
+                data.items[key] = structuredClone(PRESETS[0].items[key]);
+            });
+
+            // cm の基準がない距離の項目も臨床（厳格）の設定で補う
+            ITEMS.filter(({ key, distance }) => distance && data.items[key]).forEach(({ key }) => {
+                Object.keys(CM_FIELD_LABELS).forEach(field => {
+                    data.items[key][field] ??= PRESETS[0].items[key][field];
+                });
+            });
+        }
+
+        ITEMS.forEach(({ key, name, distance }) => {
+            const item = data.items?.[key];
+            if (!item) {
+                throw new Error(`「${name}」の設定がありません`);
+            }
+            const fields = distance ? { ...FIELD_LABELS, ...CM_FIELD_LABELS } : FIELD_LABELS;
+            Object.entries(fields).forEach(([field, label]) => {
+                if (!Number.isFinite(item[field]) || item[field] < 0) {
+                    throw new Error(`「${name}」の${label}は0以上の数値で指定してください`);
+                }
+            });
+            if (!CURVES.includes(item.curve)) {
+                throw new Error(`「${name}」の曲線は ${CURVES.join(' / ')} のいずれかで指定してください`);
+            }
+            if (!Array.isArray(item.bands) || item.bands.length === 0
+                || item.bands.some(band => !Number.isFinite(band.min) || typeof band.text !== 'string')) {
+                throw new Error(`「${name}」の所見の段階が正しくありません`);
+            }
+        });
+
+        // 方向ごとに重みがすべて0だと総合スコアを計算できない
+        Object.keys(VIEW_LABELS).forEach(view => {
+            const weightSum = ITEMS
+                .filter(item => item.view === view)
+                .reduce((sum, { key }) => sum + data.items[key].weight, 0);
+            if (weightSum <= 0) {
+                throw new Error(`${VIEW_LABELS[view]}の項目の重みがすべて0です`);
+            }
+        });
+
+        // 段階はスコアの高い順に判定する
+        Object.values(data.items).forEach(item => {
+            item.bands.sort((a, b) => b.min - a.min);
+        });
+    }
+
+    /**
+     * プリセットのIDから採点プロファイルを作成
+     */
+    static fromPreset(id) {
+        const preset = PRESETS.find(p => p.id === id);
+        if (!preset) {
+            throw new Error(`採点プロファイル「${id}」が見つかりません`);
+        }
+        return new ScoringProfile(structuredClone(preset));
+    }
+
+    static get PRESETS() {
+        return PRESETS;
+    }
+
+    static get DEFAULT_ID() {
+        return 'strict-clinical';
+    }
+
+    static get ITEMS() {
+        return ITEMS;
+    }
+
+    static get CURVES() {
+        return CURVES;
+    }
+
+    static get VIEW_LABELS() {
+        return VIEW_LABELS;
+    }
+
+    static get SCORING_UNIT_LABELS() {
+        return SCORING_UNIT_LABELS;
+    }
+}
@@ -0,0 +1,162 @@
+/**
+ * TiltCorrection - カメラの傾き（ロール）の補正
+ *
+ * 画像上の鉛直線（ドア枠・壁の角）・水平線（床の線）、または撮影時の端末の傾きセンサーから
+ * 画像の傾きを求め、評価の前にランドマークを画像の中心まわりに回転して真の鉛直に揃える。
+ * angle は画像の内容が時計回りに傾いている角度（度）。
+ */
+
+const RAD_TO_DEG = 180 / Math.PI;
+
+// 補正できる傾きの上限（度）。これを超える線は種類の選び間違いとみなす
+const MAX_TILT = 20;
+
+// 端末がこれ以上寝ていると（重力の画面方向の成分が小さいと）ロールを求められない
+const MIN_SCREEN_GRAVITY_RATIO = 0.5;
+
+const METHOD_LABELS = {
+    vertical: '鉛直線',
+    horizontal: '水平線',
+    device: '端末の傾きセンサー'
+};
+
+export class TiltCorrection {
+    /**
+     * method: 'vertical' | 'horizontal'（画像上の基準線）| 'device'（撮影時のセンサー）
+     * angle: 画像の傾き（度、時計回りが正）
+     * reference: 基準線なら { start, end }（画像のピクセル座標）、センサーならその値
+     */
+    constructor({ method, angle, imageWidth, imageHeight, reference = null }) {
+        this.method = method;
+        this.angle = angle;
+        this.imageWidth = imageWidth;
+        this.imageHeight = imageHeight;
+        this.reference = reference;
+    }
+
+    /**
+     * 画像上に引いた鉛直・水平の基準線から傾きを求める
+     * start/end は画像のピクセル座標
+     */
+    static fromReferenceLine(start, end, method, imageWidth, imageHeight) {
+        if (!METHOD_LABELS[method] || method === 'device') {
+            throw new Error(`未対応の基準線の種類です: ${method}`);
+        }
+
+        let dx = end.x - start.x;
+        let dy = end.y - start.y;
+        if (Math.hypot(dx, dy) < 10) {
+            throw new Error('基準線が短すぎます');
+        }
+
+        // 鉛直線は下向き、水平線は右向きに揃えて、本来の向きからの角度を求める
+        if (method === 'vertical' && dy < 0 || method === 'horizontal' && dx < 0) {
+            dx = -dx;
+            dy = -dy;
+        }
+        const angle = Math.atan2(dy, dx) * RAD_TO_DEG - (method === 'vertical' ? 90 : 0);
+
+        if (Math.abs(angle) > MAX_TILT) {
+            throw new Error(`${METHOD_LABELS[method]}が${MAX_TILT}°以上傾いています。基準線の種類を確認してください`);
+        }
+
+        return new TiltCorrection({
+            method,
+            angle,
+            imageWidth,
+            imageHeight,
+            reference: { start, end }
+        });
+    }
+
+    /**
+     * 撮影時の端末の重力加速度（devicemotion の accelerationIncludingGravity）から傾きを求める
+     * reading: { gravity: { x, y, z }, screenAngle, facingMode }
+     * 端末が寝ていて求められない場合は null
+     */
+    static fromDeviceOrientation(reading, imageWidth, imageHeight) {
+        const { gravity, screenAngle = 0, facingMode = 'user' } = reading || {};
+        if (!gravity || ![gravity.x, gravity.y, gravity.z].every(Number.isFinite)) {
+            return null;
+        }
+
+        const total = Math.hypot(gravity.x, gravity.y, gravity.z);
+        if (total === 0 || Math.hypot(gravity.x, gravity.y) / total < MIN_SCREEN_GRAVITY_RATIO) {
+            return null;
+        }
+
+        // 端末の（画面から見た）時計回りの回転。画面の回転（横向き）の分を戻す
+        let deviceRoll = Math.atan2(-gravity.x, gravity.y) * RAD_TO_DEG + screenAngle;
+        deviceRoll = ((deviceRoll + 540) % 360) - 180;
+
+        // インカメラは端末と同じ向き、背面カメラは逆向きに画像が傾く
+        const angle = facingMode === 'environment' ? -deviceRoll : deviceRoll;
+        if (Math.abs(angle) > MAX_TILT) {
+            return null;
+        }
+
+        return new TiltCorrection({
+            method: 'device',
+            angle,
+            imageWidth,
+            imageHeight,
+            reference: { gravity, screenAngle, facingMode }
+        });
+    }
+
+    /**
+     * ランドマークを画像の中心まわりに回転し、傾きを打ち消した正規化座標にする
+     */
+    apply(landmarks) {
+        const radians = -this.angle / RAD_TO_DEG;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const cx = this.imageWidth / 2;
+        const cy = this.imageHeight / 2;
+
+        return landmarks.map(landmark => {
+            const x = landmark.x * this.imageWidth - cx;
+            const y = landmark.y * this.imageHeight - cy;
+            return {
+                ...landmark,
+                x: (cx + x * cos - y * sin) / this.imageWidth,
+                y: (cy + x * sin + y * cos) / this.imageHeight
+            };
+        });
+    }
+
+    /**
+     * 補正後の座標で描く図形を画像に重ねるため、Canvasを画像の傾きに合わせて回転する
+     * （呼び出し側で ctx.save() / ctx.restore() すること）
+     */
+    rotateContext(ctx) {
+        ctx.translate(this.imageWidth / 2, this.imageHeight / 2);
+        ctx.rotate(this.angle / RAD_TO_DEG);
+        ctx.translate(-this.imageWidth / 2, -this.imageHeight / 2);
+    }
+
+    /**
+     * 表示用の説明文
+     */
+    describe() {
+        const direction = this.angle >= 0 ? '時計回り' : '反時計回り';
+        return `${METHOD_LABELS[this.method]}で${Math.abs(this.angle).toFixed(1)}°（${direction}）の傾きを補正`;
+    }
+
+    /**
+     * 結果に保存するための要約
+     */
+    toJSON() {
+        return {
+            method: this.method,
+            angle: this.angle,
+            imageWidth: this.imageWidth,
+            imageHeight: this.imageHeight,
+            reference: this.reference
+        };
+    }
+
+    static get METHOD_LABELS() {
+        return METHOD_LABELS;
+    }
+}
@@ -3,49 +3,194 @@
  * メインエントリーポイント
  */
 
-import { PoseDetector } from './pose/PoseDetector.js';
+import { WorkerPoseDetector } from './pose/WorkerPoseDetector.js';
 import { UIController } from './ui/UIController.js';
 import { KendallAnalyzer } from './analysis/KendallAnalyzer.js';
+import { Calibration } from './analysis/Calibration.js';
+import { TiltCorrection } from './analysis/TiltCorrection.js';
+import { CaptureGuide } from './analysis/CaptureGuide.js';
+import { FrameAverager } from './analysis/FrameAverager.js';
+import { BurstRecorder } from './pose/BurstRecorder.js';
+import { CalibrationTool } from './ui/CalibrationTool.js';
+import { PostureOverlay } from './ui/PostureOverlay.js';
+import { LiveFeedback } from './ui/LiveFeedback.js';
+import { ScoringProfileEditor } from './ui/ScoringProfileEditor.js';
+import { ExerciseLibraryEditor } from './ui/ExerciseLibraryEditor.js';
+import { ExerciseRecommender } from './recommendation/ExerciseRecommender.js';
+import { MuscleRulesEditor } from './ui/MuscleRulesEditor.js';
+import { MuscleImbalanceAnalyzer } from './analysis/MuscleImbalanceAnalyzer.js';
+import { VideoFramePicker } from './ui/VideoFramePicker.js';
+import { SessionStore } from './storage/SessionStore.js';
+import { ReportGenerator } from './report/ReportGenerator.js';
+import { SlidesExporter } from './report/SlidesExporter.js';
+
+// 評価する方向と表示名
+const VIEW_LABELS = {
+    lateral: '側面観',
+    frontal: '正面観',
+    posterior: '後面観'
+};
+const VIEWS = Object.keys(VIEW_LABELS);
 
 class PostureAnalysisApp {
     constructor() {
         this.poseDetector = null;
+        // 実行中の解析の中止用（AbortController）
+        this.analysisController = null;
         this.uiController = null;
         this.kendallAnalyzer = null;
+        this.postureOverlay = new PostureOverlay();
+        this.liveFeedback = null;
+        this.videoFramePicker = null;
+        this.scoringProfileEditor = null;
+        this.muscleRulesEditor = null;
+        this.muscleImbalanceAnalyzer = null;
+        this.exerciseLibraryEditor = null;
+        this.exerciseRecommender = null;
         
-        // 2方向の画像とポーズ結果を保持
+        // 3方向の画像とポーズ結果を保持（どの方向も省略できる）
         this.images = {
             lateral: null,   // 側面観
-            frontal: null    // 正面観
+            frontal: null,   // 正面観
+            posterior: null  // 後面観
         };
         this.poseResults = {
             lateral: null,
-            frontal: null
+            frontal: null,
+            posterior: null
+        };
+
+        // 連続撮影・動画から記録したフレーム（方向ごと、解析時に平均する）
+        this.bursts = {
+            lateral: null,
+            frontal: null,
+            posterior: null
         };
+
+        // 基準線によるキャリブレーション（方向ごと）
+        this.calibrations = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+
+        // 鉛直・水平の基準線による傾き補正と、撮影時の端末の傾きセンサーの値（方向ごと）
+        this.tiltCorrections = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.deviceOrientations = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.analysisResults = null;
+
+        // 解析Canvasに描画中の画像
+        this.displayedImages = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+
+        // クライアントと評価セッション
+        this.sessionStore = null;
+        this.currentClientId = null;
+        this.currentSession = null;
     }
 
     async init() {
         console.log('🚀 AI姿勢分析アプリを初期化中...');
 
+        // オフライン対応（モデルの読み込みに失敗しても次回の起動に備えて先に登録する）
+        this.registerServiceWorker();
+
         try {
             // UIコントローラーの初期化
             this.uiController = new UIController();
             this.uiController.init();
 
-            // MediaPipe Poseの初期化
-            this.poseDetector = new PoseDetector();
-            await this.poseDetector.init();
+            // MediaPipe Poseの初期化（静止画の前処理は設定パネルの選択に従う）
+            // 推定は使えれば Web Worker で行い、使えなければメインスレッドで行う
+            this.poseDetector = new WorkerPoseDetector({ preprocess: this.uiController.getPreprocessOptions() });
+            await this.poseDetector.init({
+                onProgress: ({ message }) => this.uiController.setModelLoading(true, message)
+            });
+            this.uiController.setModelLoading(false, `${this.poseDetector.getModelInfo().label} を使用中`);
+
+            // 採点プロファイル（設定パネルで選択・編集）
+            this.scoringProfileEditor = new ScoringProfileEditor({
+                onChange: (profile) => this.changeScoringProfile(profile)
+            });
+            this.scoringProfileEditor.init();
 
             // ケンダル法解析器の初期化
-            this.kendallAnalyzer = new KendallAnalyzer();
+            this.kendallAnalyzer = new KendallAnalyzer({ profile: this.scoringProfileEditor.getProfile() });
+
+            // 筋のアンバランスの推定（ルールは設定パネルで編集）
+            this.muscleRulesEditor = new MuscleRulesEditor({
+                onChange: (rules) => this.changeMuscleRules(rules)
+            });
+            this.muscleRulesEditor.init();
+            this.muscleImbalanceAnalyzer = new MuscleImbalanceAnalyzer(this.muscleRulesEditor.getRules());
+
+            // 修正エクササイズの推奨（ライブラリは設定パネルで編集）
+            this.exerciseLibraryEditor = new ExerciseLibraryEditor({
+                onChange: (library) => this.changeExerciseLibrary(library)
+            });
+            this.exerciseLibraryEditor.init();
+            this.exerciseRecommender = new ExerciseRecommender(this.exerciseLibraryEditor.getLibrary());
+
+            // Webカメラのライブ評価
+            this.liveFeedback = new LiveFeedback({
+                video: document.getElementById('cameraVideo'),
+                canvas: document.getElementById('cameraOverlay'),
+                poseDetector: this.poseDetector,
+                kendallAnalyzer: this.kendallAnalyzer,
+                postureOverlay: this.postureOverlay,
+                getView: () => this.uiController.getCameraView(),
+                getAnalysisOptions: () => this.uiController.getAnalysisOptions(),
+                onUpdate: (update) => this.uiController.renderLiveScores(update),
+                captureGuide: new CaptureGuide(),
+                onGuide: (guide) => this.uiController.setCameraGuidance(guide.message),
+                onAutoCapture: () => this.uiController.captureCurrentView()
+            });
+
+            // 動画アップロード時のフレーム選択
+            this.videoFramePicker = new VideoFramePicker({
+                poseDetector: this.poseDetector,
+                onSelect: (view, selection) => this.useVideoSelection(view, selection)
+            });
+            this.videoFramePicker.init();
 
             // イベントリスナーの設定
             this.setupEventListeners();
 
+            // セッションストアの初期化（失敗しても解析は利用可能）
+            await this.initSessionStore();
+
             console.log('✅ 初期化完了！');
         } catch (error) {
             console.error('❌ 初期化エラー:', error);
-            alert('アプリの初期化に失敗しました。ページを再読み込みしてください。');
+            this.uiController?.setModelError(error.message);
+            alert(`アプリの初期化に失敗しました。ページを再読み込みしてください: ${error.message}`);
+        }
+    }
+
+    /**
+     * アプリ本体とモデルの重みをキャッシュする Service Worker を登録（ビルドしたアプリのみ）
+     */
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !import.meta.env.PROD) {
+            return;
+        }
+
+        try {
+            await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+            console.log('✅ Service Worker 登録完了（オフラインで利用可能）');
+        } catch (error) {
+            console.error('❌ Service Worker 登録エラー:', error);
         }
     }
 
@@ -55,36 +200,145 @@ class PostureAnalysisApp {
             console.log('タブ切り替え:', tab);
         });
 
-        // 側面観画像アップロード
-        this.uiController.on('lateralImageUploaded', async (imageData) => {
-            console.log('側面観画像がアップロードされました');
-            this.images.lateral = imageData;
+        // 画像アップロード（側面観・正面観・後面観）
+        this.uiController.on('imageUploaded', async ({ view, imageData }) => {
+            console.log(`${VIEW_LABELS[view]}画像がアップロードされました`);
+            this.images[view] = imageData;
+            this.bursts[view] = null;
+            this.calibrations[view] = null;
+            this.clearTiltCorrection(view);
             this.checkAndShowAnalysisSection();
         });
 
-        // 正面観画像アップロード
-        this.uiController.on('frontalImageUploaded', async (imageData) => {
-            console.log('正面観画像がアップロードされました');
-            this.images.frontal = imageData;
-            this.checkAndShowAnalysisSection();
+        // 画像の削除（次の解析ではその方向を評価しない）
+        this.uiController.on('imageRemoved', (view) => {
+            console.log(`${VIEW_LABELS[view]}画像が削除されました`);
+            this.images[view] = null;
+            this.bursts[view] = null;
+            this.calibrations[view] = null;
+            this.clearTiltCorrection(view);
         });
 
-        // カメラ撮影（側面観・正面観）
-        this.uiController.on('photoCapture', async ({ view, imageData }) => {
-            console.log(`${view}が撮影されました`);
-            if (view === 'lateral') {
-                this.images.lateral = imageData;
-            } else {
-                this.images.frontal = imageData;
+        // 動画アップロード（フレーム選択パネルで使うフレーム・区間を選ぶ）
+        this.uiController.on('videoUploaded', async ({ view, file }) => {
+            try {
+                await this.videoFramePicker.open(view, file);
+            } catch (error) {
+                console.error('❌ 動画読み込みエラー:', error);
+                this.videoFramePicker.close();
+                alert(`動画の読み込みに失敗しました: ${error.message}`);
             }
+        });
+
+        // カメラ撮影（側面観・正面観・後面観）
+        // 撮影時の端末の傾きセンサーの値があれば、基準線の指定がない限り傾き補正に使う
+        this.uiController.on('photoCapture', async ({ view, imageData, burst, deviceOrientation }) => {
+            console.log(`${VIEW_LABELS[view]}が撮影されました`);
+            this.images[view] = imageData;
+            this.bursts[view] = burst || null;
+            this.calibrations[view] = null;
+            this.clearTiltCorrection(view);
+            this.deviceOrientations[view] = deviceOrientation || null;
             this.checkAndShowAnalysisSection();
         });
 
+        // 連続撮影
+        this.uiController.on('burstCaptureClick', async () => {
+            await this.recordCameraBurst();
+        });
+
+        // ライブ評価・自動撮影の開始・停止
+        this.uiController.on('cameraFeedbackChange', (features) => {
+            this.liveFeedback.configure(features);
+        });
+
+        // 静止画の前処理（人物を中心にした切り出し）の切り替え
+        this.uiController.on('preprocessChange', async (options) => {
+            try {
+                await this.poseDetector.setPreprocessOptions(options);
+            } catch (error) {
+                console.error('❌ 前処理の設定エラー:', error);
+                alert(`前処理の設定に失敗しました: ${error.message}`);
+            }
+        });
+
+        // 推定モデルの切り替え
+        this.uiController.on('modelChange', async (modelId) => {
+            await this.changeModel(modelId);
+        });
+
+        // 基準線の指定
+        this.uiController.on('calibrationLineDrawn', async ({ view, start, end, lengthCm }) => {
+            await this.calibrateFromReferenceLine(view, start, end, lengthCm);
+        });
+
+        // 傾き補正の基準線の指定・解除
+        this.uiController.on('tiltLineDrawn', async ({ view, start, end, method }) => {
+            await this.correctTiltFromReferenceLine(view, start, end, method);
+        });
+
+        this.uiController.on('clearTiltClick', () => {
+            VIEWS.forEach(view => this.clearTiltCorrection(view));
+            this.uiController.setTiltStatus('傾き補正を解除しました');
+            if (this.hasPoseResults()) {
+                this.scorePose({ scroll: false });
+            }
+        });
+
+        // 身長の入力
+        this.uiController.on('clientHeightChange', () => {
+            if (this.hasPoseResults()) {
+                this.scorePose({ scroll: false });
+            }
+        });
+
+        // ランドマークの手動修正（ドラッグ中は再描画のみ、確定時に再評価）
+        this.uiController.on('landmarkMove', ({ view, index, x, y }) => {
+            this.adjustLandmark(view, index, x, y);
+        });
+
+        this.uiController.on('landmarkCommit', ({ view, index }) => {
+            console.log(`✏️ ランドマークを手動修正: ${view} #${index}`);
+            this.scorePose({ scroll: false });
+        });
+
+        // クライアント・セッション
+        this.uiController.on('clientSelect', async (clientId) => {
+            await this.selectClient(clientId);
+        });
+
+        this.uiController.on('addClient', async (name) => {
+            await this.addClient(name);
+        });
+
+        this.uiController.on('saveSessionClick', async () => {
+            await this.saveSession();
+        });
+
+        this.uiController.on('openSession', async (sessionId) => {
+            await this.openSession(sessionId);
+        });
+
+        this.uiController.on('deleteSession', async (sessionId) => {
+            await this.deleteSession(sessionId);
+        });
+
+        this.uiController.on('compareSessions', async ({ baseId, targetId }) => {
+            await this.compareSessions(baseId, targetId);
+        });
+
         // 解析ボタン
         this.uiController.on('analyzeClick', async () => {
             await this.analyzePose();
         });
 
+        // 解析の中止
+        this.uiController.on('cancelAnalysisClick', () => {
+            if (this.analysisController) {
+                this.analysisController.abort();
+            }
+        });
+
         // リセットボタン
         this.uiController.on('resetClick', () => {
             this.reset();
@@ -94,11 +348,16 @@ class PostureAnalysisApp {
         this.uiController.on('generateReportClick', async () => {
             await this.generateReport();
         });
+
+        // Googleスライド作成ボタン
+        this.uiController.on('generateSlidesClick', async () => {
+            await this.exportSlides();
+        });
     }
 
     checkAndShowAnalysisSection() {
-        // 少なくとも側面観があれば解析セクションを表示
-        if (this.images.lateral) {
+        // いずれかの方向の画像があれば解析セクションを表示
+        if (VIEWS.some(view => this.images[view])) {
             document.getElementById('analysisSection').style.display = 'block';
             document.getElementById('analysisSection').scrollIntoView({ 
                 behavior: 'smooth', 
@@ -107,109 +366,877 @@ class PostureAnalysisApp {
         }
     }
 
+    /**
+     * いずれかの方向の検出結果があるか
+     */
+    hasPoseResults() {
+        return VIEWS.some(view => this.poseResults[view]);
+    }
+
     async analyzePose() {
-        if (!this.images.lateral) {
-            alert('少なくとも側面観の画像を選択してください');
+        if (!VIEWS.some(view => this.images[view])) {
+            alert('少なくとも1方向の画像を選択してください');
             return;
         }
 
+        this.analysisController = new AbortController();
+        const { signal } = this.analysisController;
+
         try {
             // ローディング表示
             this.uiController.showLoading();
 
             console.log('🔍 姿勢解析を開始...');
+            this.analysisResults = null;
+            this.currentSession = null;
 
-            // 側面観の解析
-            if (this.images.lateral) {
-                this.poseResults.lateral = await this.poseDetector.detectPose(this.images.lateral);
-                await this.displayPose('lateral', this.images.lateral, this.poseResults.lateral);
-            }
+            // 側面観・正面観・後面観の解析（画像のない方向は前回の結果を破棄）
+            for (const view of VIEWS) {
+                if (!this.images[view]) {
+                    this.poseResults[view] = null;
+                    this.displayedImages[view] = null;
+                    this.uiController.setEditableLandmarks(view, null);
+                    continue;
+                }
 
-            // 正面観の解析
-            if (this.images.frontal) {
-                this.poseResults.frontal = await this.poseDetector.detectPose(this.images.frontal);
-                await this.displayPose('frontal', this.images.frontal, this.poseResults.frontal);
+                this.poseResults[view] = this.bursts[view]
+                    ? this.averageBurst(this.bursts[view])
+                    : await this.poseDetector.detectPose(this.images[view], {
+                        signal,
+                        onProgress: ({ message }) => this.uiController.setLoadingMessage(`${VIEW_LABELS[view]}: ${message}`)
+                    });
+                this.poseResults[view].manualAdjustments = [];
+                this.uiController.setEditableLandmarks(view, this.poseResults[view].poseLandmarks);
+                await this.displayPose(view, this.images[view], this.poseResults[view]);
             }
 
             console.log('✅ 骨格検出完了');
 
             // ケンダル法で評価
-            const analysisResults = this.kendallAnalyzer.analyzeLateralView(
-                this.poseResults.lateral.poseLandmarks
+            this.scorePose();
+
+            // ローディング非表示
+            this.uiController.hideLoading();
+
+        } catch (error) {
+            this.uiController.hideLoading();
+            if (error.name === 'AbortError') {
+                console.log('⏹️ 解析を中止しました');
+                return;
+            }
+            console.error('❌ 解析エラー:', error);
+            alert(`解析に失敗しました: ${error.message}`);
+        } finally {
+            this.analysisController = null;
+        }
+    }
+
+    /**
+     * 検出済みのランドマークからケンダル法の評価を行い結果を表示
+     * options.scroll: falseなら結果表示時にスクロールしない（再評価用）
+     */
+    scorePose(options = {}) {
+        const analysisOptions = this.uiController.getAnalysisOptions();
+
+        const analysisResults = {
+            lateral: null,
+            frontal: null,
+            posterior: null,
+            modelLabel: this.poseDetector.getModelInfo().label
+        };
+
+        // 側面観評価
+        if (this.poseResults.lateral) {
+            analysisResults.lateral = this.kendallAnalyzer.analyzeLateralView(
+                this.poseResults.lateral.poseLandmarks,
+                {
+                    side: analysisOptions.lateralSide,
+                    calibration: this.getCalibration('lateral', analysisOptions.clientHeightCm),
+                    tiltCorrection: this.getTiltCorrection('lateral'),
+                    imageSize: {
+                        width: this.poseResults.lateral.imageWidth,
+                        height: this.poseResults.lateral.imageHeight
+                    }
+                }
+            );
+            console.log('🔍 側面観の評価側:', analysisResults.lateral.sideSelection);
+        }
+
+        // 正面観評価
+        if (this.poseResults.frontal) {
+            analysisResults.frontal = this.kendallAnalyzer.analyzeFrontalView(
+                this.poseResults.frontal.poseLandmarks,
+                {
+                    calibration: this.getCalibration('frontal', analysisOptions.clientHeightCm),
+                    tiltCorrection: this.getTiltCorrection('frontal')
+                }
             );
+        }
+
+        // 後面観評価
+        if (this.poseResults.posterior) {
+            analysisResults.posterior = this.kendallAnalyzer.analyzePosteriorView(
+                this.poseResults.posterior.poseLandmarks,
+                {
+                    calibration: this.getCalibration('posterior', analysisOptions.clientHeightCm),
+                    tiltCorrection: this.getTiltCorrection('posterior')
+                }
+            );
+        }
 
-            // 正面観評価（実装予定）
-            if (this.poseResults.frontal) {
-                // TODO: 正面観評価を追加
-                console.log('正面観評価は実装予定');
+        VIEWS.filter(view => analysisResults[view]).forEach(view => {
+            // 複数フレームの平均なら項目ごとのばらつきを追加
+            if (this.poseResults[view].burst) {
+                this.applyBurstVariability(view, analysisResults[view]);
             }
 
-            console.log('✅ 姿勢評価完了:', analysisResults);
+            // 手動修正したランドマークを結果に記録
+            analysisResults[view].manualAdjustments = this.poseResults[view].manualAdjustments;
+        });
 
-            // 結果を表示
-            this.uiController.displayResults(analysisResults);
+        // 所見・姿勢タイプから推定される筋のアンバランス
+        analysisResults.muscleImbalance = this.muscleImbalanceAnalyzer.infer(analysisResults);
 
-            // ローディング非表示
-            this.uiController.hideLoading();
+        // 所見・姿勢タイプに応じたエクササイズ
+        analysisResults.recommendations = this.exerciseRecommender.recommend(analysisResults);
+
+        console.log('✅ 姿勢評価完了:', analysisResults);
+        this.analysisResults = analysisResults;
+
+        // 評価結果に合わせて鉛直線・偏位を再描画
+        this.renderCanvas('lateral');
+
+        // 結果を表示
+        this.uiController.displayResults(analysisResults, { scroll: options.scroll });
+    }
+
+    /**
+     * 記録したフレームを外れ値を除いて平均し、detectPose と同じ形式の結果にする
+     */
+    averageBurst(burst) {
+        if (burst.frames.length === 0) {
+            throw new Error('記録したフレームから姿勢が検出できませんでした');
+        }
+
+        const averaged = new FrameAverager({ minVisibility: this.kendallAnalyzer.minVisibility }).average(burst.frames);
+        console.log(`🎞️ ${averaged.frameCount}フレームを平均（外れ値${averaged.rejectedCount}フレームを除外）`);
+
+        return {
+            poseLandmarks: averaged.landmarks,
+            model: this.poseDetector.modelId,
+            imageWidth: burst.imageWidth,
+            imageHeight: burst.imageHeight,
+            burst: {
+                frames: averaged.inliers,
+                frameCount: averaged.frameCount,
+                rejectedCount: averaged.rejectedCount,
+                durationMs: burst.durationMs,
+                source: burst.source
+            }
+        };
+    }
+
+    /**
+     * 採用したフレームを1枚ずつ評価し、平均での評価結果に項目ごとのばらつきを追加
+     */
+    applyBurstVariability(view, results) {
+        const burst = this.poseResults[view].burst;
+        const tiltCorrection = this.getTiltCorrection(view);
+        // 平均と同じ単位（cm または正規化座標）で採点する
+        const calibration = results.calibration ? new Calibration(results.calibration) : null;
+        const frameResults = burst.frames.map(frame => {
+            if (view === 'lateral') {
+                return this.kendallAnalyzer.analyzeLateralView(frame, { side: results.side, tiltCorrection, calibration });
+            }
+            return view === 'posterior'
+                ? this.kendallAnalyzer.analyzePosteriorView(frame, { tiltCorrection, calibration })
+                : this.kendallAnalyzer.analyzeFrontalView(frame, { tiltCorrection, calibration });
+        });
+
+        FrameAverager.applyVariability(results, frameResults);
+        results.burst = {
+            frameCount: burst.frameCount,
+            usedFrames: burst.frames.length,
+            rejectedCount: burst.rejectedCount,
+            durationMs: burst.durationMs,
+            source: burst.source
+        };
+    }
+
+    /**
+     * カメラ映像から3秒間のフレームを記録して撮影する
+     */
+    async recordCameraBurst() {
+        const video = document.getElementById('cameraVideo');
+
+        // 検出器を連続撮影に専念させる
+        this.liveFeedback.stop();
+        this.uiController.setBurstRecording(true);
 
+        try {
+            const burst = await new BurstRecorder(this.poseDetector).recordLive(video, {
+                onProgress: (ratio) => {
+                    this.uiController.setCameraGuidance(`🎞️ 記録中... ${Math.round(ratio * 100)}%（そのまま静止してください）`);
+                }
+            });
+
+            if (burst.frames.length === 0) {
+                alert('姿勢が検出できませんでした。全身が映るように立ってください');
+                return;
+            }
+            this.uiController.captureCurrentView(burst);
         } catch (error) {
-            console.error('❌ 解析エラー:', error);
-            this.uiController.hideLoading();
-            alert(`解析に失敗しました: ${error.message}`);
+            console.error('❌ 連続撮影エラー:', error);
+            alert(`連続撮影に失敗しました: ${error.message}`);
+        } finally {
+            this.uiController.setBurstRecording(false);
+            this.uiController.emitCameraFeedbackChange();
         }
     }
 
-    async displayPose(view, imageData, poseResults) {
-        const canvasId = view === 'lateral' ? 'lateralCanvas' : 'frontalCanvas';
-        const canvas = document.getElementById(canvasId);
-        const ctx = canvas.getContext('2d');
+    /**
+     * 動画から選んだフレーム（区間を平均する場合は burst 付き）を解析に使う
+     */
+    useVideoSelection(view, { imageData, burst }) {
+        this.images[view] = imageData;
+        this.bursts[view] = burst;
+        this.calibrations[view] = null;
+        this.clearTiltCorrection(view);
+        this.uiController.showImagePreview(view, imageData);
+        this.checkAndShowAnalysisSection();
+    }
+
+    /**
+     * 方向ごとのキャリブレーションを取得
+     * 基準線を優先し、なければ身長から推定する
+     */
+    getCalibration(view, clientHeightCm) {
+        if (this.calibrations[view]) {
+            return this.calibrations[view];
+        }
+
+        const poseResult = this.poseResults[view];
+        if (!poseResult || !clientHeightCm) {
+            return null;
+        }
+
+        return Calibration.fromBodyHeight(
+            poseResult.poseLandmarks,
+            clientHeightCm,
+            poseResult.imageWidth,
+            poseResult.imageHeight,
+            this.kendallAnalyzer.minVisibility
+        );
+    }
+
+    async calibrateFromReferenceLine(view, start, end, lengthCm) {
+        const poseResult = this.poseResults[view];
+        if (!poseResult) {
+            alert('先に姿勢解析を実行してください');
+            this.uiController.setCalibrationStatus('解析後に基準線を指定してください');
+            return;
+        }
 
+        try {
+            this.calibrations[view] = Calibration.fromReferenceLine(
+                start,
+                end,
+                lengthCm,
+                poseResult.imageWidth,
+                poseResult.imageHeight
+            );
+            this.uiController.setCalibrationStatus(
+                `${VIEW_LABELS[view]}: ${this.calibrations[view].describe()}`
+            );
+            this.scorePose({ scroll: false });
+        } catch (error) {
+            console.error('❌ キャリブレーションエラー:', error);
+            alert(`キャリブレーションに失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 方向ごとの傾き補正を取得
+     * 基準線を優先し、なければ撮影時の端末の傾きセンサーの値から求める
+     */
+    getTiltCorrection(view) {
+        if (this.tiltCorrections[view]) {
+            return this.tiltCorrections[view];
+        }
+
+        const poseResult = this.poseResults[view];
+        if (!poseResult || !this.deviceOrientations[view]) {
+            return null;
+        }
+
+        return TiltCorrection.fromDeviceOrientation(
+            this.deviceOrientations[view],
+            poseResult.imageWidth,
+            poseResult.imageHeight
+        );
+    }
+
+    clearTiltCorrection(view) {
+        this.tiltCorrections[view] = null;
+        this.deviceOrientations[view] = null;
+    }
+
+    async correctTiltFromReferenceLine(view, start, end, method) {
+        const poseResult = this.poseResults[view];
+        if (!poseResult) {
+            alert('先に姿勢解析を実行してください');
+            this.uiController.setTiltStatus('解析後に基準線を指定してください');
+            return;
+        }
+
+        try {
+            this.tiltCorrections[view] = TiltCorrection.fromReferenceLine(
+                start,
+                end,
+                method,
+                poseResult.imageWidth,
+                poseResult.imageHeight
+            );
+            this.uiController.setTiltStatus(
+                `${VIEW_LABELS[view]}: ${this.tiltCorrections[view].describe()}`
+            );
+            this.scorePose({ scroll: false });
+        } catch (error) {
+            console.error('❌ 傾き補正エラー:', error);
+            this.renderCanvas(view);
+            alert(`傾き補正に失敗しました: ${error.message}`);
+        }
+    }
+
+    async changeModel(modelId) {
+        const previousModelId = this.poseDetector.modelId;
+
+        // 切り替え中は検出器を使えないためライブ評価・自動撮影を一時停止
+        this.liveFeedback.stop();
+
+        try {
+            this.uiController.setModelLoading(true, 'モデルを読み込み中...');
+            await this.poseDetector.setModel(modelId, {
+                onProgress: ({ message }) => this.uiController.setModelLoading(true, message)
+            });
+            this.uiController.setModelLoading(false, `${this.poseDetector.getModelInfo().label} を使用中`);
+
+            // 既存の検出結果は別モデルのものなので破棄（連続撮影は代表フレームの1枚で解析し直す）
+            this.poseResults = {
+                lateral: null,
+                frontal: null,
+                posterior: null
+            };
+            this.bursts = {
+                lateral: null,
+                frontal: null,
+                posterior: null
+            };
+            this.analysisResults = null;
+        } catch (error) {
+            console.error('❌ モデル切り替えエラー:', error);
+            this.uiController.setSelectedModel(previousModelId);
+            this.uiController.setModelLoading(false, 'モデルの読み込みに失敗しました');
+            alert(`モデルの切り替えに失敗しました: ${error.message}`);
+        } finally {
+            // 画面の設定に合わせて再開
+            this.uiController.emitCameraFeedbackChange();
+        }
+    }
+
+    /**
+     * 筋のアンバランス推定ルールの変更を表示中の結果に反映
+     */
+    changeMuscleRules(rules) {
+        this.muscleImbalanceAnalyzer.setRules(rules);
+
+        if (this.analysisResults) {
+            this.analysisResults.muscleImbalance = this.muscleImbalanceAnalyzer.infer(this.analysisResults);
+            this.uiController.renderMuscleImbalance(this.analysisResults.muscleImbalance);
+        }
+    }
+
+    /**
+     * エクササイズライブラリの変更を表示中の結果の推奨に反映
+     */
+    changeExerciseLibrary(library) {
+        this.exerciseRecommender.setLibrary(library);
+
+        if (this.analysisResults) {
+            this.analysisResults.recommendations = this.exerciseRecommender.recommend(this.analysisResults);
+            this.uiController.renderRecommendations(this.analysisResults.recommendations);
+        }
+    }
+
+    /**
+     * 採点プロファイルを切り替え、評価済みなら新しい基準で採点し直す
+     */
+    changeScoringProfile(profile) {
+        console.log(`📏 採点プロファイル: ${profile.name} v${profile.version}`);
+        this.kendallAnalyzer.setProfile(profile);
+
+        if (this.hasPoseResults()) {
+            this.scorePose({ scroll: false });
+        }
+    }
+
+    async displayPose(view, imageData, poseResults) {
         // 画像を読み込む
-        const img = new Image();
-        await new Promise((resolve, reject) => {
-            img.onload = resolve;
-            img.onerror = reject;
-            img.src = imageData;
-        });
+        const img = await this.loadImage(imageData);
+
+        // ランドマーク修正時の再描画用に保持
+        this.displayedImages[view] = img;
 
         // Canvasサイズを画像に合わせる
+        const canvas = document.getElementById(`${view}Canvas`);
         canvas.width = img.width;
         canvas.height = img.height;
 
+        this.renderCanvas(view);
+    }
+
+    /**
+     * 読み込み済みの画像に骨格と基準線を重ねて描画
+     */
+    renderCanvas(view) {
+        const img = this.displayedImages[view];
+        if (!img) return;
+
+        const canvas = document.getElementById(`${view}Canvas`);
+        const viewResults = this.analysisResults ? this.analysisResults[view] : null;
+        this.drawAnnotatedView(
+            canvas,
+            img,
+            view,
+            this.poseResults[view],
+            viewResults,
+            this.calibrations[view],
+            viewResults?.tiltCorrection ? new TiltCorrection(viewResults.tiltCorrection) : null
+        );
+    }
+
+    /**
+     * 画像・骨格・鉛直線・基準線を1枚のCanvasに描画
+     * 解析画面・セッション比較で共通に使う
+     * tiltCorrection があれば鉛直線・偏位は補正後の座標で描き、画像の傾きに合わせて回転して重ねる
+     */
+    drawAnnotatedView(canvas, img, view, poseResult, viewResults, calibration, tiltCorrection = null) {
+        const ctx = canvas.getContext('2d');
+
         // 画像を描画
         ctx.drawImage(img, 0, 0);
 
         // 骨格を描画
-        this.poseDetector.drawLandmarks(canvas, poseResults);
+        this.poseDetector.drawLandmarks(canvas, poseResult);
+
+        // 側面観は鉛直線と偏位を重ねる（評価済みの場合）
+        if (view === 'lateral' && poseResult && viewResults) {
+            if (tiltCorrection) {
+                ctx.save();
+                tiltCorrection.rotateContext(ctx);
+                this.postureOverlay.drawLateral(canvas, tiltCorrection.apply(poseResult.poseLandmarks), viewResults);
+                ctx.restore();
+            } else {
+                this.postureOverlay.drawLateral(canvas, poseResult.poseLandmarks, viewResults);
+            }
+        }
+
+        // 基準線を描画
+        if (calibration && calibration.method === 'reference') {
+            CalibrationTool.drawReferenceLine(ctx, calibration.reference.start, calibration.reference.end);
+        }
+        if (tiltCorrection && tiltCorrection.method !== 'device') {
+            CalibrationTool.drawReferenceLine(ctx, tiltCorrection.reference.start, tiltCorrection.reference.end, CalibrationTool.TILT_COLOR);
+        }
+    }
+
+    /**
+     * 画像データから注釈付きのCanvasを新規作成
+     */
+    async createAnnotatedCanvas(imageData, view, poseResult, viewResults) {
+        const img = await this.loadImage(imageData);
+        const canvas = document.createElement('canvas');
+        canvas.width = img.width;
+        canvas.height = img.height;
+
+        this.drawAnnotatedView(
+            canvas,
+            img,
+            view,
+            poseResult,
+            viewResults,
+            viewResults?.calibration,
+            viewResults?.tiltCorrection ? new TiltCorrection(viewResults.tiltCorrection) : null
+        );
+        return canvas;
+    }
+
+    loadImage(imageData) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('画像の読み込みに失敗しました'));
+            img.src = imageData;
+        });
+    }
+
+    /**
+     * ランドマークを手動で移動・追加（修正前の座標を記録）
+     */
+    adjustLandmark(view, index, x, y) {
+        const poseResult = this.poseResults[view];
+        if (!poseResult) return;
+
+        const landmark = poseResult.poseLandmarks[index];
+        let adjustment = poseResult.manualAdjustments.find(a => a.index === index);
+        if (!adjustment) {
+            adjustment = {
+                index: index,
+                label: this.kendallAnalyzer.getLandmarkLabel(index),
+                original: { ...landmark },
+                added: landmark.visibility < this.kendallAnalyzer.minVisibility
+            };
+            poseResult.manualAdjustments.push(adjustment);
+        }
+
+        // 手動で指定した点は信頼度1として扱う
+        poseResult.poseLandmarks[index] = { x, y, z: 0, visibility: 1 };
+        adjustment.corrected = { x, y };
+
+        this.renderCanvas(view);
+    }
+
+    async initSessionStore() {
+        try {
+            this.sessionStore = new SessionStore();
+            await this.sessionStore.init();
+            await this.refreshClientList();
+        } catch (error) {
+            console.error('❌ セッションストア初期化エラー:', error);
+            this.sessionStore = null;
+            this.uiController.setSessionStatus('履歴の保存機能を利用できません（ブラウザの設定を確認してください）');
+        }
     }
 
+    async refreshClientList() {
+        const clients = await this.sessionStore.listClients();
+        this.uiController.renderClientList(clients, this.currentClientId);
+    }
+
+    async refreshSessionList() {
+        if (!this.currentClientId) {
+            this.uiController.renderSessionList(null);
+            return;
+        }
+        const sessions = await this.sessionStore.listSessions(this.currentClientId);
+        this.uiController.renderSessionList(sessions, this.currentSession?.id);
+    }
+
+    async selectClient(clientId) {
+        this.currentClientId = clientId;
+
+        try {
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('❌ セッション一覧の更新エラー:', error);
+            alert(`セッション一覧の更新に失敗しました: ${error.message}`);
+        }
+    }
+
+    async addClient(name) {
+        if (!this.sessionStore) return;
+
+        try {
+            const client = await this.sessionStore.addClient({ name });
+            this.currentClientId = client.id;
+            await this.refreshClientList();
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('❌ クライアント追加エラー:', error);
+            alert(`クライアントの追加に失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 現在の画像・ランドマーク・評価結果・メモをセッションとして保存
+     * 開いているセッションがあれば上書きする
+     */
+    async saveSession() {
+        if (!this.sessionStore) {
+            alert('履歴の保存機能を利用できません');
+            return;
+        }
+        if (!this.analysisResults) {
+            alert('先に姿勢解析を実行してください');
+            return;
+        }
+        if (!this.currentClientId) {
+            alert('保存先のクライアントを選択してください');
+            return;
+        }
+
+        try {
+            this.currentSession = await this.sessionStore.saveSession({
+                id: this.currentSession?.id,
+                date: this.currentSession?.date,
+                clientId: this.currentClientId,
+                images: this.images,
+                poseResults: this.poseResults,
+                analysisResults: this.analysisResults,
+                notes: this.uiController.getSessionNotes()
+            });
+
+            this.uiController.setSessionStatus(`✅ 保存しました（${new Date(this.currentSession.updatedAt).toLocaleString('ja-JP')}）`);
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('❌ セッション保存エラー:', error);
+            alert(`セッションの保存に失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 保存済みセッションを読み込んで表示
+     */
+    async openSession(sessionId) {
+        try {
+            const session = await this.sessionStore.getSession(sessionId);
+            if (!session) {
+                alert('セッションが見つかりません');
+                return;
+            }
+
+            this.images = { ...session.images };
+            this.poseResults = { ...session.poseResults };
+            this.bursts = {
+                lateral: null,
+                frontal: null,
+                posterior: null
+            };
+            this.analysisResults = session.analysisResults;
+            this.currentSession = session;
+
+            // 基準線によるキャリブレーションと傾き補正を復元（後面観のない以前のセッションにも対応）
+            VIEWS.forEach(view => {
+                const calibration = this.analysisResults[view]?.calibration;
+                this.calibrations[view] = calibration && calibration.method === 'reference'
+                    ? new Calibration(calibration)
+                    : null;
+
+                const tiltCorrection = this.analysisResults[view]?.tiltCorrection;
+                this.tiltCorrections[view] = tiltCorrection ? new TiltCorrection(tiltCorrection) : null;
+                this.deviceOrientations[view] = null;
+            });
+
+            document.getElementById('analysisSection').style.display = 'block';
+
+            for (const view of VIEWS) {
+                this.images[view] = this.images[view] || null;
+                this.poseResults[view] = this.poseResults[view] || null;
+                this.displayedImages[view] = null;
+                this.uiController.showImagePreview(view, this.images[view]);
+                this.uiController.setEditableLandmarks(view, this.poseResults[view]?.poseLandmarks || null);
+                if (this.images[view] && this.poseResults[view]) {
+                    await this.displayPose(view, this.images[view], this.poseResults[view]);
+                }
+            }
+
+            this.uiController.displayResults(this.analysisResults);
+            this.uiController.setSessionNotes(session.notes);
+            this.uiController.setSessionStatus(`📂 ${new Date(session.date).toLocaleString('ja-JP')} の評価を表示中`);
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('❌ セッション読み込みエラー:', error);
+            alert(`セッションの読み込みに失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * 2つのセッションの側面観を比較表示
+     */
+    async compareSessions(baseId, targetId) {
+        try {
+            const sessions = await Promise.all([
+                this.sessionStore.getSession(baseId),
+                this.sessionStore.getSession(targetId)
+            ]);
+
+            if (sessions.some(session => !session || !session.poseResults.lateral)) {
+                alert('比較には側面観の評価が必要です');
+                return;
+            }
+
+            // 日付の古い方をビフォーとする
+            sessions.sort((a, b) => a.date.localeCompare(b.date));
+
+            const [base, target] = await Promise.all(sessions.map(async session => ({
+                label: new Date(session.date).toLocaleString('ja-JP'),
+                canvas: await this.createAnnotatedCanvas(
+                    session.images.lateral,
+                    'lateral',
+                    session.poseResults.lateral,
+                    session.analysisResults.lateral
+                ),
+                landmarks: session.poseResults.lateral.poseLandmarks,
+                results: session.analysisResults.lateral
+            })));
+
+            this.uiController.showComparison(base, target);
+        } catch (error) {
+            console.error('❌ セッション比較エラー:', error);
+            alert(`セッションの比較に失敗しました: ${error.message}`);
+        }
+    }
+
+    async deleteSession(sessionId) {
+        try {
+            await this.sessionStore.deleteSession(sessionId);
+            if (this.currentSession?.id === sessionId) {
+                this.currentSession = null;
+            }
+            await this.refreshSessionList();
+        } catch (error) {
+            console.error('❌ セッション削除エラー:', error);
+            alert(`セッションの削除に失敗しました: ${error.message}`);
+        }
+    }
+
+    /**
+     * PDF・スライド共通のレポート内容を組み立てる
+     */
+    async buildReport() {
+        const client = this.currentClientId && this.sessionStore
+            ? await this.sessionStore.getClient(this.currentClientId)
+            : null;
+
+        return {
+            clinicName: this.uiController.getClinicName(),
+            date: this.currentSession?.date || new Date().toISOString(),
+            client: client || {},
+            notes: this.uiController.getSessionNotes(),
+            modelLabel: this.analysisResults.modelLabel,
+            scoringProfile: VIEWS.map(view => this.analysisResults[view]?.profile).find(Boolean) || null,
+            muscleImbalance: this.analysisResults.muscleImbalance || null,
+            recommendations: this.analysisResults.recommendations || [],
+            views: Object.fromEntries(VIEWS.map(view => [
+                view,
+                this.analysisResults[view]
+                    ? {
+                        canvas: document.getElementById(`${view}Canvas`),
+                        results: this.analysisResults[view]
+                    }
+                    : null
+            ]))
+        };
+    }
+
+    /**
+     * 評価結果をPDFレポートとしてダウンロード（ブラウザ内で生成）
+     */
     async generateReport() {
-        if (!this.poseResults.lateral) {
+        if (!this.analysisResults) {
             alert('先に姿勢解析を実行してください');
             return;
         }
 
         try {
             console.log('📄 レポート生成中...');
-            
-            // TODO: Google Apps Script連携
-            alert('レポート生成機能は後ほど実装します');
 
+            const report = await this.buildReport();
+            const blob = await new ReportGenerator().generatePDF(report);
+            const clientName = report.client.name ? `${report.client.name}_` : '';
+            const fileName = `posture_report_${clientName}${report.date.slice(0, 10).replace(/-/g, '')}.pdf`;
+            this.downloadBlob(blob, fileName);
+
+            console.log('✅ レポート生成完了');
         } catch (error) {
             console.error('❌ レポート生成エラー:', error);
             alert(`レポート生成に失敗しました: ${error.message}`);
         }
     }
 
-    reset() {
+    /**
+     * Apps Script経由でGoogleスライドを作成し、URLを表示
+     */
+    async exportSlides() {
+        if (!this.analysisResults) {
+            alert('先に姿勢解析を実行してください');
+            return;
+        }
+
+        const endpointUrl = this.uiController.getSlidesEndpoint();
+        if (!endpointUrl) {
+            alert('設定パネルで Apps Script URL を入力してください');
+            return;
+        }
+
+        try {
+            console.log('📊 Googleスライド作成中...');
+            this.uiController.setSlidesExporting(true);
+            this.uiController.setReportStatus('Googleスライドを作成しています（数十秒かかる場合があります）');
+
+            const report = await this.buildReport();
+            const slideUrl = await new SlidesExporter({ endpointUrl }).export(report);
+
+            this.uiController.showSlideUrl(slideUrl);
+            this.uiController.setReportStatus('');
+            console.log('✅ Googleスライド作成完了:', slideUrl);
+        } catch (error) {
+            console.error('❌ スライド作成エラー:', error);
+            this.uiController.setReportStatus(`❌ ${error.message}`);
+            alert(`Googleスライドの作成に失敗しました: ${error.message}`);
+        } finally {
+            this.uiController.setSlidesExporting(false);
+        }
+    }
+
+    downloadBlob(blob, fileName) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    async reset() {
         this.images = {
             lateral: null,
-            frontal: null
+            frontal: null,
+            posterior: null
         };
         this.poseResults = {
             lateral: null,
-            frontal: null
+            frontal: null,
+            posterior: null
+        };
+        this.bursts = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.calibrations = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.tiltCorrections = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.deviceOrientations = {
+            lateral: null,
+            frontal: null,
+            posterior: null
         };
+        this.analysisResults = null;
+        this.displayedImages = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+        this.currentSession = null;
+        this.videoFramePicker.close();
         
         // UIをリセット
         this.uiController.reset();
@@ -217,6 +1244,16 @@ class PostureAnalysisApp {
         // 解析・結果セクションを非表示
         document.getElementById('analysisSection').style.display = 'none';
         document.getElementById('resultsSection').style.display = 'none';
+
+        // 選択中のクライアントは維持し、セッション一覧の選択表示のみ更新
+        if (this.sessionStore) {
+            try {
+                await this.refreshSessionList();
+            } catch (error) {
+                console.error('❌ セッション一覧の更新エラー:', error);
+                alert(`セッション一覧の更新に失敗しました: ${error.message}`);
+            }
+        }
         
         console.log('🔄 リセット完了');
     }
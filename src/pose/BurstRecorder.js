@@ -0,0 +1,108 @@
+/**
+ * BurstRecorder - カメラ映像・動画ファイルから数秒分のフレームを連続して姿勢推定する
+ */
+
+// 動画ファイルから取り出すフレーム数（1秒あたり）
+const FILE_FRAME_RATE = 10;
+
+export class BurstRecorder {
+    constructor(poseDetector) {
+        this.poseDetector = poseDetector;
+    }
+
+    /**
+     * 再生中のカメラ映像から durationMs の間、検出できる限りのフレームを記録
+     * onProgress(ratio): 0〜1
+     * 戻り値: { frames, imageData（中間のフレーム）, imageWidth, imageHeight, durationMs, source }
+     */
+    async recordLive(video, { durationMs = 3000, onProgress } = {}) {
+        const frames = [];
+        let imageData = null;
+        const start = performance.now();
+
+        while (performance.now() - start < durationMs) {
+            const result = await this.poseDetector.detectFrame(video);
+            if (result) {
+                frames.push(result.poseLandmarks);
+            }
+
+            // 記録区間の中間のフレームを表示・保存用の画像にする
+            if (!imageData && performance.now() - start >= durationMs / 2) {
+                imageData = BurstRecorder.grabFrame(video);
+            }
+
+            if (onProgress) {
+                onProgress(Math.min(1, (performance.now() - start) / durationMs));
+            }
+            await BurstRecorder.nextFrame();
+        }
+
+        return {
+            frames: frames,
+            imageData: imageData || BurstRecorder.grabFrame(video),
+            imageWidth: video.videoWidth,
+            imageHeight: video.videoHeight,
+            durationMs: durationMs,
+            source: 'camera'
+        };
+    }
+
+    /**
+     * 動画ファイルの startTime 秒から durationMs の区間を一定間隔でシークして記録
+     */
+    async recordFile(video, { startTime = 0, durationMs = 3000, onProgress } = {}) {
+        const frames = [];
+        const endTime = Math.min(video.duration, startTime + durationMs / 1000);
+        const count = Math.max(1, Math.round((endTime - startTime) * FILE_FRAME_RATE));
+        const middle = Math.floor(count / 2);
+        let imageData = null;
+
+        for (let i = 0; i < count; i++) {
+            await BurstRecorder.seek(video, startTime + (endTime - startTime) * i / count);
+
+            const result = await this.poseDetector.detectFrame(video);
+            if (result) {
+                frames.push(result.poseLandmarks);
+            }
+            if (i === middle) {
+                imageData = BurstRecorder.grabFrame(video);
+            }
+
+            if (onProgress) {
+                onProgress((i + 1) / count);
+            }
+        }
+
+        return {
+            frames: frames,
+            imageData: imageData,
+            imageWidth: video.videoWidth,
+            imageHeight: video.videoHeight,
+            durationMs: (endTime - startTime) * 1000,
+            source: 'video'
+        };
+    }
+
+    static seek(video, time) {
+        if (Math.abs(video.currentTime - time) < 0.001) {
+            return Promise.resolve();
+        }
+        return new Promise((resolve, reject) => {
+            video.onseeked = () => resolve();
+            video.onerror = () => reject(new Error('動画のシークに失敗しました'));
+            video.currentTime = time;
+        });
+    }
+
+    static grabFrame(video) {
+        const canvas = document.createElement('canvas');
+        canvas.width = video.videoWidth;
+        canvas.height = video.videoHeight;
+        canvas.getContext('2d').drawImage(video, 0, 0);
+        return canvas.toDataURL('image/jpeg');
+    }
+
+    static nextFrame() {
+        return new Promise(resolve => requestAnimationFrame(() => resolve()));
+    }
+}
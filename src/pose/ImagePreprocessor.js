@@ -0,0 +1,203 @@
+/**
+ * ImagePreprocessor - 姿勢検出の前処理（EXIFの向きの適用・縮小・人物を中心にした切り出し）
+ *
+ * スマートフォンの写真は EXIF の向き情報で回転して表示されるが、検出器へそのまま渡すと
+ * 向き・大きさがまちまちになる。ここで向きを適用した画像（元画像）を基準に縮小・切り出しを行い、
+ * 検出結果は mapToOriginal で元画像の正規化座標に戻す。
+ */
+
+// 検出に渡す画像の長辺の上限（px）
+const DEFAULT_MAX_DIMENSION = 1280;
+
+// 人物の切り出し: 検出した点の外接矩形に加える余白（矩形の高さに対する割合）
+const DEFAULT_CROP_MARGIN = 0.2;
+
+// 外接矩形がこの割合を超えて画像を占めるなら切り出しても効果がないため行わない
+const MAX_CROP_COVERAGE = 0.8;
+
+// 外接矩形を求めるのに必要な点の数
+const MIN_CROP_POINTS = 4;
+
+// EXIF の向き（Orientation タグ）の値と説明
+const ORIENTATION_LABELS = {
+    1: '回転なし',
+    2: '左右反転',
+    3: '180°回転',
+    4: '上下反転',
+    5: '左右反転＋反時計回りに90°回転',
+    6: '時計回りに90°回転',
+    7: '左右反転＋時計回りに90°回転',
+    8: '反時計回りに90°回転'
+};
+
+export class ImagePreprocessor {
+    /**
+     * options.maxDimension: 検出に渡す画像の長辺の上限
+     * options.personCrop: 1回目の検出結果から人物を中心に切り出して再検出する（2段階検出）
+     * options.cropMargin: 切り出しの余白（人物の高さに対する割合）
+     * options.minVisibility: 切り出し範囲の計算に使う点の信頼度の下限
+     */
+    constructor(options = {}) {
+        this.maxDimension = options.maxDimension ?? DEFAULT_MAX_DIMENSION;
+        this.personCrop = options.personCrop ?? false;
+        this.cropMargin = options.cropMargin ?? DEFAULT_CROP_MARGIN;
+        this.minVisibility = options.minVisibility ?? 0.3;
+    }
+
+    configure({ personCrop }) {
+        this.personCrop = Boolean(personCrop);
+    }
+
+    /**
+     * 画像データ（data URL）を EXIF の向きを適用して読み込む
+     * 戻り値: { bitmap, width, height, orientation }（width / height は向きを適用した元画像の大きさ）
+     */
+    async load(imageData) {
+        let blob;
+        try {
+            blob = await (await fetch(imageData)).blob();
+        } catch (error) {
+            throw new Error('画像の読み込みに失敗しました');
+        }
+
+        const orientation = ImagePreprocessor.readOrientation(await blob.arrayBuffer());
+
+        let bitmap;
+        try {
+            bitmap = await createImageBitmap(blob, { imageOrientation: 'from-image' });
+        } catch (error) {
+            throw new Error('画像の読み込みに失敗しました');
+        }
+
+        return {
+            bitmap,
+            width: bitmap.width,
+            height: bitmap.height,
+            orientation
+        };
+    }
+
+    /**
+     * 元画像の指定範囲（既定は全体）を長辺が上限以下になるよう縮小して Canvas に描く
+     * OffscreenCanvas が使えればそれを使う（Web Worker 内では DOM の Canvas を作れない）
+     * region: 元画像のピクセル座標の { x, y, width, height }
+     * 戻り値: { canvas, region, scale }
+     */
+    render(image, region = { x: 0, y: 0, width: image.width, height: image.height }) {
+        const scale = Math.min(1, this.maxDimension / Math.max(region.width, region.height));
+        const width = Math.max(1, Math.round(region.width * scale));
+        const height = Math.max(1, Math.round(region.height * scale));
+        const canvas = ImagePreprocessor.createCanvas(width, height);
+
+        const ctx = canvas.getContext('2d');
+        ctx.imageSmoothingQuality = 'high';
+        ctx.drawImage(
+            image.bitmap,
+            region.x, region.y, region.width, region.height,
+            0, 0, canvas.width, canvas.height
+        );
+
+        return { canvas, region, scale };
+    }
+
+    static createCanvas(width, height) {
+        if (typeof OffscreenCanvas !== 'undefined') {
+            return new OffscreenCanvas(width, height);
+        }
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        return canvas;
+    }
+
+    /**
+     * 検出した点の外接矩形に余白を加えた切り出し範囲（元画像のピクセル座標）
+     * 点が少ない、または人物が画像の大半を占めていれば null
+     */
+    getPersonRegion(landmarks, width, height) {
+        const points = landmarks.filter(landmark => landmark.visibility >= this.minVisibility);
+        if (points.length < MIN_CROP_POINTS) {
+            return null;
+        }
+
+        const xs = points.map(point => point.x * width);
+        const ys = points.map(point => point.y * height);
+        const margin = (Math.max(...ys) - Math.min(...ys)) * this.cropMargin;
+
+        const left = Math.max(0, Math.min(...xs) - margin);
+        const top = Math.max(0, Math.min(...ys) - margin);
+        const right = Math.min(width, Math.max(...xs) + margin);
+        const bottom = Math.min(height, Math.max(...ys) + margin);
+
+        const region = {
+            x: Math.floor(left),
+            y: Math.floor(top),
+            width: Math.ceil(right - left),
+            height: Math.ceil(bottom - top)
+        };
+        if (region.width <= 0 || region.height <= 0) {
+            return null;
+        }
+        if (region.width / width > MAX_CROP_COVERAGE && region.height / height > MAX_CROP_COVERAGE) {
+            return null;
+        }
+        return region;
+    }
+
+    /**
+     * 切り出した画像での正規化座標を、元画像での正規化座標に戻す
+     */
+    static mapToOriginal(landmarks, region, width, height) {
+        return landmarks.map(landmark => ({
+            ...landmark,
+            x: (region.x + landmark.x * region.width) / width,
+            y: (region.y + landmark.y * region.height) / height
+        }));
+    }
+
+    /**
+     * JPEG の EXIF から向き（1〜8）を読む。EXIF がない・JPEG 以外は 1
+     */
+    static readOrientation(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) {
+            return 1;
+        }
+
+        let offset = 2;
+        while (offset + 4 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            const length = view.getUint16(offset + 2);
+
+            // APP1（Exif）
+            if (marker === 0xFFE1 && offset + 10 <= view.byteLength && view.getUint32(offset + 4) === 0x45786966) {
+                const tiff = offset + 10;
+                const little = view.getUint16(tiff) === 0x4949;
+                const ifd = tiff + view.getUint32(tiff + 4, little);
+                if (ifd + 2 > view.byteLength) return 1;
+
+                const entries = view.getUint16(ifd, little);
+                for (let i = 0; i < entries; i++) {
+                    const entry = ifd + 2 + i * 12;
+                    if (entry + 10 > view.byteLength) return 1;
+                    if (view.getUint16(entry, little) === 0x0112) {
+                        const value = view.getUint16(entry + 8, little);
+                        return ORIENTATION_LABELS[value] ? value : 1;
+                    }
+                }
+                return 1;
+            }
+
+            // 画像データ（SOS）以降にEXIFはない
+            if (marker === 0xFFDA || (marker & 0xFF00) !== 0xFF00) {
+                return 1;
+            }
+            offset += 2 + length;
+        }
+        return 1;
+    }
+
+    static get ORIENTATION_LABELS() {
+        return ORIENTATION_LABELS;
+    }
+}
@@ -0,0 +1,71 @@
+/**
+ * ModelWeights - 姿勢推定モデルの重みの配置（アプリの静的ファイルとして配信し、オフラインでも読み込めるようにする）
+ *
+ * 重みは public/models/<ディレクトリ>/（model.json と .bin）に置き、npm run models:download で配布元から取得する。
+ * 実行時は「モデルの配置先URL + ディレクトリ + /model.json」から読み込む。
+ */
+
+// モデルIDごとの重み（検出器の設定名 → 配置先のディレクトリ）
+const MODEL_WEIGHTS = {
+    'movenet-lightning': {
+        modelUrl: 'movenet-lightning'
+    },
+    'movenet-thunder': {
+        modelUrl: 'movenet-thunder'
+    },
+    'blazepose-lite': {
+        detectorModelUrl: 'blazepose-detector',
+        landmarkModelUrl: 'blazepose-landmark-lite'
+    },
+    'blazepose-full': {
+        detectorModelUrl: 'blazepose-detector',
+        landmarkModelUrl: 'blazepose-landmark-full'
+    },
+    'blazepose-heavy': {
+        detectorModelUrl: 'blazepose-detector',
+        landmarkModelUrl: 'blazepose-landmark-heavy'
+    }
+};
+
+// 配置先のディレクトリ → 配布元（TF Hub。@tensorflow-models/pose-detection の既定と同じ版）
+const WEIGHT_SOURCES = {
+    'movenet-lightning': 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/lightning/4',
+    'movenet-thunder': 'https://tfhub.dev/google/tfjs-model/movenet/singlepose/thunder/4',
+    'blazepose-detector': 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/detector/1',
+    'blazepose-landmark-lite': 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/landmark/lite/2',
+    'blazepose-landmark-full': 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/landmark/full/2',
+    'blazepose-landmark-heavy': 'https://tfhub.dev/mediapipe/tfjs-model/blazepose_3d/landmark/heavy/2'
+};
+
+export class ModelWeights {
+    /**
+     * モデルIDの検出器に渡す重みのURL（{ modelUrl } または { detectorModelUrl, landmarkModelUrl }）
+     * baseUrl が空なら null（ライブラリの既定どおり配布元から読み込む）
+     */
+    static getUrls(modelId, baseUrl) {
+        const weights = MODEL_WEIGHTS[modelId];
+        if (!weights || !baseUrl) {
+            return null;
+        }
+
+        const base = baseUrl.endsWith('/') ? baseUrl : `${baseUrl}/`;
+        return Object.fromEntries(Object.entries(weights).map(
+            ([name, directory]) => [name, `${base}${directory}/model.json`]
+        ));
+    }
+
+    /**
+     * モデルIDの重みの配置先ディレクトリ
+     */
+    static getDirectories(modelId) {
+        return [...new Set(Object.values(MODEL_WEIGHTS[modelId] || {}))];
+    }
+
+    static get MODEL_WEIGHTS() {
+        return MODEL_WEIGHTS;
+    }
+
+    static get WEIGHT_SOURCES() {
+        return WEIGHT_SOURCES;
+    }
+}
@@ -5,32 +5,74 @@
 import * as poseDetection from '@tensorflow-models/pose-detection';
 import * as tf from '@tensorflow/tfjs';
 import '@tensorflow/tfjs-backend-webgl';
+import { ImagePreprocessor } from './ImagePreprocessor.js';
+import { ModelWeights } from './ModelWeights.js';
+
+// モデルの重みの配置先（.env の VITE_MODEL_BASE_URL で変更。空にすると配布元の TF Hub から読み込む）
+const MODEL_BASE_URL = import.meta.env.VITE_MODEL_BASE_URL ?? `${import.meta.env.BASE_URL}models/`;
+
+// MoveNetのキーポイントインデックス → MediaPipe形式（33点）のインデックス
+const MOVENET_TO_MEDIAPIPE = {
+    0: 0,   // nose
+    1: 2,   // left_eye -> left_eye
+    2: 5,   // right_eye -> right_eye
+    3: 7,   // left_ear
+    4: 8,   // right_ear
+    5: 11,  // left_shoulder
+    6: 12,  // right_shoulder
+    7: 13,  // left_elbow
+    8: 14,  // right_elbow
+    9: 15,  // left_wrist
+    10: 16, // right_wrist
+    11: 23, // left_hip
+    12: 24, // right_hip
+    13: 25, // left_knee
+    14: 26, // right_knee
+    15: 27, // left_ankle
+    16: 28  // right_ankle
+};
+
+// 進み具合（onProgress）の段階と表示メッセージ
+const PROGRESS_MESSAGES = {
+    backend: 'TensorFlow.js を初期化中...',
+    model: 'モデルを読み込み中...',
+    load: '画像を読み込み中...',
+    detect: '姿勢を検出中...',
+    refine: '人物を切り出して再検出中...'
+};
 
 export class PoseDetector {
-    constructor() {
+    /**
+     * options.model: 使用するモデルID（PoseDetector.MODELS のキー）
+     * options.preprocess: ImagePreprocessor のオプション（静止画の前処理）
+     * options.modelBaseUrl: モデルの重みの配置先（既定は MODEL_BASE_URL）
+     */
+    constructor(options = {}) {
         this.detector = null;
         this.isInitialized = false;
+        this.modelId = options.model || PoseDetector.DEFAULT_MODEL;
+        this.modelBaseUrl = options.modelBaseUrl ?? MODEL_BASE_URL;
+        this.preprocessor = new ImagePreprocessor(options.preprocess);
     }
 
-    async init() {
+    /**
+     * options.onProgress({ stage, message }): バックエンドの初期化・モデルの読み込みの進み具合
+     */
+    async init(options = {}) {
         console.log('📡 TensorFlow.js Pose Detectionを初期化中...');
 
         try {
             // WebGLバックエンドを明示的に設定
+            this.reportProgress(options.onProgress, 'backend');
             await tf.setBackend('webgl');
             await tf.ready();
             console.log('✅ TensorFlow.js Backend (WebGL) 初期化完了');
 
-            // MoveNet Lightningモデルを使用（高速で精度も良い）
-            this.detector = await poseDetection.createDetector(
-                poseDetection.SupportedModels.MoveNet,
-                {
-                    modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING
-                }
-            );
+            this.reportProgress(options.onProgress, 'model');
+            this.detector = await this.createDetector(this.modelId);
 
             this.isInitialized = true;
-            console.log('✅ TensorFlow.js Pose Detection初期化完了');
+            console.log(`✅ TensorFlow.js Pose Detection初期化完了（${this.getModelInfo().label}）`);
 
         } catch (error) {
             console.error('❌ TensorFlow.js Pose Detection初期化エラー:', error);
@@ -38,71 +80,213 @@ export class PoseDetector {
         }
     }
 
+    /**
+     * モデルIDに応じた検出器を生成
+     * 重みはアプリの配置先から読み込む。置かれていない場合、開発時のみ配布元から読み込む
+     * （Service Worker は別オリジンの配布元の応答をキャッシュしないため、本番ビルドやオフラインではエラーにする）
+     */
+    async createDetector(modelId) {
+        const model = PoseDetector.MODELS[modelId];
+        if (!model) {
+            throw new Error(`未対応のモデルです: ${modelId}`);
+        }
+
+        const urls = ModelWeights.getUrls(modelId, this.modelBaseUrl);
+        if (!urls) {
+            return this.createDetectorFrom(model, {});
+        }
+
+        try {
+            return await this.createDetectorFrom(model, urls);
+        } catch (error) {
+            if (import.meta.env.PROD || !navigator.onLine) {
+                throw new Error(`モデルの重みを ${this.modelBaseUrl} から読み込めません（npm run models:download で取得してからビルドしてください）: ${error.message}`);
+            }
+            console.warn(`⚠️ ${this.modelBaseUrl} からモデルを読み込めないため、配布元から読み込みます（開発時のみ）:`, error.message);
+            return this.createDetectorFrom(model, {});
+        }
+    }
+
+    /**
+     * urls: 重みのURL（ModelWeights.getUrls。空ならライブラリの既定の配布元）
+     */
+    async createDetectorFrom(model, urls) {
+        if (model.family === 'movenet') {
+            return poseDetection.createDetector(
+                poseDetection.SupportedModels.MoveNet,
+                {
+                    modelType: model.modelType,
+                    ...urls
+                }
+            );
+        }
+
+        // BlazePose（静止画なので時間方向の平滑化は無効）
+        return poseDetection.createDetector(
+            poseDetection.SupportedModels.BlazePose,
+            {
+                runtime: 'tfjs',
+                modelType: model.modelType,
+                enableSmoothing: false,
+                ...urls
+            }
+        );
+    }
+
+    /**
+     * 使用するモデルを切り替える
+     * options.onProgress: init と同じ
+     */
+    async setModel(modelId, options = {}) {
+        if (!PoseDetector.MODELS[modelId]) {
+            throw new Error(`未対応のモデルです: ${modelId}`);
+        }
+        if (modelId === this.modelId && this.isInitialized) {
+            return;
+        }
+
+        console.log(`🔄 モデルを切り替え中: ${modelId}`);
+        this.reportProgress(options.onProgress, 'model');
+        const detector = await this.createDetector(modelId);
+
+        if (this.detector) {
+            this.detector.dispose();
+        }
+        this.detector = detector;
+        this.modelId = modelId;
+        this.isInitialized = true;
+        console.log(`✅ モデル切り替え完了（${this.getModelInfo().label}）`);
+    }
+
+    /**
+     * 現在のモデル情報を取得
+     */
+    getModelInfo() {
+        return { id: this.modelId, ...PoseDetector.MODELS[this.modelId] };
+    }
+
+    /**
+     * 静止画の前処理（人物を中心にした切り出し）の設定を変更
+     */
+    setPreprocessOptions(options) {
+        this.preprocessor.configure(options);
+    }
+
     /**
      * 画像から姿勢を検出
+     * EXIFの向きの適用・縮小（・人物を中心にした切り出しと再検出）を行い、
+     * ランドマークは向きを適用した元画像の正規化座標で返す
+     * options.signal: AbortSignal（中止されたら次の段階へ進まず AbortError を投げる）
+     * options.onProgress({ stage, message }): 読み込み・検出の進み具合
      */
-    async detectPose(imageData) {
+    async detectPose(imageData, options = {}) {
         if (!this.isInitialized) {
             throw new Error('PoseDetectorが初期化されていません');
         }
 
-        return new Promise((resolve, reject) => {
-            const img = new Image();
-            
-            img.onload = async () => {
-                try {
-                    // TensorFlow.js Pose Detectionで姿勢推定
-                    const poses = await this.detector.estimatePoses(img);
-                    
-                    if (poses && poses.length > 0) {
-                        // MediaPipe形式に変換（画像サイズを渡す）
-                        const pose = poses[0];
-                        const landmarks = this.convertToMediaPipeFormat(pose.keypoints, img.width, img.height);
-                        
-                        resolve({
-                            poseLandmarks: landmarks
-                        });
-                    } else {
-                        reject(new Error('姿勢が検出できませんでした'));
-                    }
-
-                } catch (error) {
-                    reject(error);
+        const { signal, onProgress } = options;
+        signal?.throwIfAborted();
+
+        this.reportProgress(onProgress, 'load');
+        const image = await this.preprocessor.load(imageData);
+        try {
+            signal?.throwIfAborted();
+
+            // 1回目: 画像全体（縮小）から検出。縮小は縦横同率なので正規化座標はそのまま使える
+            this.reportProgress(onProgress, 'detect');
+            const full = this.preprocessor.render(image);
+            const result = await this.estimate(full.canvas, full.canvas.width, full.canvas.height);
+            signal?.throwIfAborted();
+            if (!result) {
+                throw new Error('姿勢が検出できませんでした');
+            }
+
+            // 2回目: 人物を中心に切り出して再検出し、元画像の座標に戻す
+            let crop = null;
+            const region = this.preprocessor.personCrop
+                ? this.preprocessor.getPersonRegion(result.poseLandmarks, image.width, image.height)
+                : null;
+            if (region) {
+                this.reportProgress(onProgress, 'refine');
+                const cropped = this.preprocessor.render(image, region);
+                const refined = await this.estimate(cropped.canvas, cropped.canvas.width, cropped.canvas.height);
+                signal?.throwIfAborted();
+                if (refined) {
+                    result.poseLandmarks = ImagePreprocessor.mapToOriginal(refined.poseLandmarks, region, image.width, image.height);
+                    crop = region;
+                } else {
+                    console.warn('⚠️ 切り出した画像から姿勢が検出できないため、画像全体の検出結果を使います');
                 }
-            };
+            }
 
-            img.onerror = (error) => {
-                reject(new Error('画像の読み込みに失敗しました'));
+            result.imageWidth = image.width;
+            result.imageHeight = image.height;
+            result.preprocessing = {
+                orientation: image.orientation,
+                scale: full.scale,
+                crop: crop
             };
 
-            img.src = imageData;
-        });
+            console.log('🔍 変換されたランドマーク（サンプル）:', {
+                nose: result.poseLandmarks[0],
+                leftShoulder: result.poseLandmarks[11],
+                leftHip: result.poseLandmarks[23],
+                imageSize: { width: image.width, height: image.height },
+                preprocessing: result.preprocessing
+            });
+            return result;
+        } finally {
+            image.bitmap.close();
+        }
+    }
+
+    /**
+     * 動画・Canvasの現在のフレームから姿勢を検出（ライブ表示用）
+     * 人物が検出できなければ null を返す
+     */
+    async detectFrame(source) {
+        if (!this.isInitialized) {
+            throw new Error('PoseDetectorが初期化されていません');
+        }
+
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!width || !height) {
+            return null;
+        }
+
+        return this.estimate(source, width, height);
+    }
+
+    reportProgress(onProgress, stage) {
+        if (onProgress) {
+            onProgress({ stage, message: PROGRESS_MESSAGES[stage] });
+        }
+    }
+
+    /**
+     * 姿勢推定を実行し、MediaPipe形式の結果を返す（検出なしは null）
+     */
+    async estimate(source, width, height) {
+        const poses = await this.detector.estimatePoses(source);
+        if (!poses || poses.length === 0) {
+            return null;
+        }
+
+        return {
+            poseLandmarks: this.convertToMediaPipeFormat(poses[0].keypoints, width, height),
+            model: this.modelId,
+            imageWidth: width,
+            imageHeight: height
+        };
     }
 
     /**
      * TensorFlow.js keypointsをMediaPipe形式に変換
+     * MoveNet（17点）は対応するインデックスへ、BlazePose（33点）はそのまま配置する
      */
     convertToMediaPipeFormat(keypoints, imageWidth, imageHeight) {
-        // MoveNetのキーポイントインデックス
-        const moveNetToMediaPipe = {
-            0: 0,   // nose
-            1: 2,   // left_eye -> left_eye
-            2: 5,   // right_eye -> right_eye
-            3: 7,   // left_ear
-            4: 8,   // right_ear
-            5: 11,  // left_shoulder
-            6: 12,  // right_shoulder
-            7: 13,  // left_elbow
-            8: 14,  // right_elbow
-            9: 15,  // left_wrist
-            10: 16, // right_wrist
-            11: 23, // left_hip
-            12: 24, // right_hip
-            13: 25, // left_knee
-            14: 26, // right_knee
-            15: 27, // left_ankle
-            16: 28  // right_ankle
-        };
+        const isMoveNet = PoseDetector.MODELS[this.modelId].family === 'movenet';
 
         // MediaPipe形式の33個のランドマーク配列を初期化
         const mediaPipeLandmarks = new Array(33).fill(null).map(() => ({
@@ -112,12 +296,11 @@ export class PoseDetector {
             visibility: 0
         }));
 
-        // MoveNetのキーポイントをMediaPipe形式に変換
+        // キーポイントをMediaPipe形式に変換
         keypoints.forEach((keypoint, index) => {
-            const mediaPipeIndex = moveNetToMediaPipe[index];
+            const mediaPipeIndex = isMoveNet ? MOVENET_TO_MEDIAPIPE[index] : index;
             if (mediaPipeIndex !== undefined) {
-                // MoveNetは既に正規化された座標（0-1）を返すのでそのまま使用
-                // ただし、y座標は画像の高さで正規化する必要がある場合がある
+                // ピクセル座標を画像サイズで正規化（0-1）
                 mediaPipeLandmarks[mediaPipeIndex] = {
                     x: keypoint.x / imageWidth,
                     y: keypoint.y / imageHeight,
@@ -127,13 +310,6 @@ export class PoseDetector {
             }
         });
 
-        console.log('🔍 変換されたランドマーク（サンプル）:', {
-            nose: mediaPipeLandmarks[0],
-            leftShoulder: mediaPipeLandmarks[11],
-            leftHip: mediaPipeLandmarks[23],
-            imageSize: { width: imageWidth, height: imageHeight }
-        });
-
         return mediaPipeLandmarks;
     }
 
@@ -147,24 +323,30 @@ export class PoseDetector {
             return;
         }
 
-        // ランドマークを描画
-        this.drawLandmarksManually(ctx, poseResults.poseLandmarks);
+        // 手動修正されたランドマークは色を変えて表示
+        const manualIndices = new Set(
+            (poseResults.manualAdjustments || []).map(adjustment => adjustment.index)
+        );
+
         // 接続線を描画
         this.drawConnectionsManually(ctx, poseResults.poseLandmarks);
+        // ランドマークを描画（接続線の上に重ねる）
+        this.drawLandmarksManually(ctx, poseResults.poseLandmarks, manualIndices);
     }
 
     /**
      * ランドマークを手動で描画
      */
-    drawLandmarksManually(ctx, landmarks) {
+    drawLandmarksManually(ctx, landmarks, manualIndices = new Set()) {
         landmarks.forEach((landmark, index) => {
             if (landmark.visibility > 0.5) {
-                const x = landmark.x;
-                const y = landmark.y;
+                // 正規化座標をピクセル座標に変換
+                const x = landmark.x * ctx.canvas.width;
+                const y = landmark.y * ctx.canvas.height;
 
                 ctx.beginPath();
                 ctx.arc(x, y, 6, 0, 2 * Math.PI);
-                ctx.fillStyle = '#FF0000';
+                ctx.fillStyle = manualIndices.has(index) ? '#2196F3' : '#FF0000';
                 ctx.fill();
                 ctx.strokeStyle = '#FFFFFF';
                 ctx.lineWidth = 2;
@@ -194,6 +376,12 @@ export class PoseDetector {
             [25, 27], // 左膝-左足首
             [24, 26], // 右股関節-右膝
             [26, 28], // 右膝-右足首
+            [27, 29], // 左足首-左踵（BlazePoseのみ）
+            [29, 31], // 左踵-左つま先
+            [27, 31], // 左足首-左つま先
+            [28, 30], // 右足首-右踵
+            [30, 32], // 右踵-右つま先
+            [28, 32], // 右足首-右つま先
         ];
 
         ctx.strokeStyle = '#00FF00';
@@ -219,6 +407,47 @@ export class PoseDetector {
         });
     }
 
+    /**
+     * 利用可能な姿勢推定モデル
+     */
+    static get MODELS() {
+        return {
+            'movenet-lightning': {
+                label: 'MoveNet Lightning（高速）',
+                family: 'movenet',
+                modelType: poseDetection.movenet.modelType.SINGLEPOSE_LIGHTNING
+            },
+            'movenet-thunder': {
+                label: 'MoveNet Thunder（高精度）',
+                family: 'movenet',
+                modelType: poseDetection.movenet.modelType.SINGLEPOSE_THUNDER
+            },
+            'blazepose-lite': {
+                label: 'BlazePose Lite',
+                family: 'blazepose',
+                modelType: 'lite'
+            },
+            'blazepose-full': {
+                label: 'BlazePose Full（耳・踵・つま先）',
+                family: 'blazepose',
+                modelType: 'full'
+            },
+            'blazepose-heavy': {
+                label: 'BlazePose Heavy（最高精度）',
+                family: 'blazepose',
+                modelType: 'heavy'
+            }
+        };
+    }
+
+    static get PROGRESS_MESSAGES() {
+        return PROGRESS_MESSAGES;
+    }
+
+    static get DEFAULT_MODEL() {
+        return 'movenet-lightning';
+    }
+
     /**
      * ランドマークのインデックス定義（MediaPipe互換）
      */
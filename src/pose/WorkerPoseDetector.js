@@ -0,0 +1,234 @@
+/**
+ * WorkerPoseDetector - 姿勢推定を Web Worker（poseWorker.js）で実行する PoseDetector
+ *
+ * PoseDetector と同じ init / setModel / detectPose / detectFrame で使え、推定中も画面が固まらない。
+ * Worker や Worker 内の WebGL（OffscreenCanvas）が使えない環境では、
+ * 継承した PoseDetector の処理（メインスレッド）に切り替える。
+ */
+
+import { PoseDetector } from './PoseDetector.js';
+
+export class WorkerPoseDetector extends PoseDetector {
+    constructor(options = {}) {
+        super(options);
+        this.worker = null;
+        this.nextJobId = 0;
+
+        // Worker が停止した後、メインスレッドで初期化し直している間の Promise
+        this.fallbackInit = null;
+
+        // 応答待ちのジョブ（id → { resolve, reject, onProgress, cleanup }）
+        this.jobs = new Map();
+    }
+
+    /**
+     * Worker で推定しているか（false ならメインスレッド）
+     */
+    get usesWorker() {
+        return this.worker !== null;
+    }
+
+    /**
+     * Worker を起動して初期化する。使えなければメインスレッドで初期化する
+     * options.onProgress({ stage, message }): PoseDetector.init と同じ
+     */
+    async init(options = {}) {
+        if (!WorkerPoseDetector.isSupported()) {
+            console.log('ℹ️ Web Worker / OffscreenCanvas が使えないため、メインスレッドで姿勢推定します');
+            return super.init(options);
+        }
+
+        try {
+            this.worker = new Worker(new URL('./poseWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = ({ data }) => this.handleMessage(data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+
+            // 重みの配置先は Worker のスクリプトではなくページを基準に解決して渡す
+            const { backend } = await this.request('init', {
+                model: this.modelId,
+                modelBaseUrl: this.modelBaseUrl && new URL(this.modelBaseUrl, location.href).href,
+                preprocess: { ...this.preprocessor }
+            }, options);
+
+            this.isInitialized = true;
+            console.log(`✅ Web Worker で姿勢推定を実行します（${backend}、${this.getModelInfo().label}）`);
+        } catch (error) {
+            this.terminate();
+            if (!error.unsupported) {
+                throw error;
+            }
+            console.warn('⚠️ Web Worker で姿勢推定を実行できないため、メインスレッドで実行します:', error.message);
+            return super.init(options);
+        }
+    }
+
+    async setModel(modelId, options = {}) {
+        if (!this.worker) {
+            await this.fallbackInit;
+            return super.setModel(modelId, options);
+        }
+
+        if (!PoseDetector.MODELS[modelId]) {
+            throw new Error(`未対応のモデルです: ${modelId}`);
+        }
+        if (modelId === this.modelId && this.isInitialized) {
+            return;
+        }
+
+        await this.request('setModel', { modelId }, options);
+        this.modelId = modelId;
+        this.isInitialized = true;
+    }
+
+    /**
+     * Worker の前処理の設定も変え、反映されたら resolve する
+     */
+    async setPreprocessOptions(options) {
+        super.setPreprocessOptions(options);
+        if (this.worker) {
+            await this.request('setPreprocessOptions', { options });
+        }
+    }
+
+    /**
+     * options.signal で中止すると、Worker の結果を待たずに AbortError で reject する
+     */
+    async detectPose(imageData, options = {}) {
+        if (!this.worker) {
+            await this.fallbackInit;
+            return super.detectPose(imageData, options);
+        }
+        if (!this.isInitialized) {
+            throw new Error('PoseDetectorが初期化されていません');
+        }
+
+        return this.request('detectPose', { imageData }, options);
+    }
+
+    /**
+     * 動画・Canvas の現在のフレームを ImageBitmap にして Worker へ渡す
+     */
+    async detectFrame(source) {
+        if (!this.worker) {
+            await this.fallbackInit;
+            return super.detectFrame(source);
+        }
+        if (!this.isInitialized) {
+            throw new Error('PoseDetectorが初期化されていません');
+        }
+
+        const width = source.videoWidth || source.width;
+        const height = source.videoHeight || source.height;
+        if (!width || !height) {
+            return null;
+        }
+
+        const bitmap = await createImageBitmap(source);
+        return this.request('detectFrame', { bitmap }, {}, [bitmap]);
+    }
+
+    /**
+     * Worker にジョブを送り、結果（result）で resolve する
+     */
+    request(type, payload, { signal, onProgress } = {}, transfer = []) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(signal.reason);
+                return;
+            }
+
+            const id = ++this.nextJobId;
+            const onAbort = () => this.cancel(id, signal.reason);
+            signal?.addEventListener('abort', onAbort, { once: true });
+
+            this.jobs.set(id, {
+                resolve,
+                reject,
+                onProgress,
+                cleanup: () => signal?.removeEventListener('abort', onAbort)
+            });
+            this.worker.postMessage({ id, type, ...payload }, transfer);
+        });
+    }
+
+    /**
+     * 実行中のジョブを取り消す（Worker には次の段階へ進まないよう伝え、結果は破棄する）
+     */
+    cancel(id, reason) {
+        const job = this.takeJob(id);
+        if (!job) return;
+
+        this.worker?.postMessage({ type: 'cancel', targetId: id });
+        job.reject(reason);
+    }
+
+    handleMessage(data) {
+        const job = this.jobs.get(data.id);
+        if (!job) {
+            // 取り消し済みのジョブの応答
+            return;
+        }
+
+        if (data.type === 'progress') {
+            if (job.onProgress) {
+                job.onProgress({ stage: data.stage, message: data.message });
+            }
+            return;
+        }
+
+        this.takeJob(data.id);
+        if (data.type === 'result') {
+            job.resolve(data.result);
+        } else {
+            const error = new Error(data.message);
+            error.unsupported = data.type === 'unsupported';
+            job.reject(error);
+        }
+    }
+
+    /**
+     * Worker のスクリプトを読み込めない・Worker 内で例外が捕捉されなかった場合は Worker を止め、
+     * 応答待ちのジョブをすべて失敗させる。以降の推定はメインスレッドで行う
+     * （初期化中なら init() がメインスレッドで初期化し直す）
+     */
+    handleWorkerError(event) {
+        event.preventDefault();
+        const error = new Error(event.message || 'Web Worker を開始できません');
+        error.unsupported = true;
+
+        const wasInitialized = this.isInitialized;
+        this.terminate();
+        this.isInitialized = false;
+        [...this.jobs.keys()].forEach(id => this.takeJob(id).reject(error));
+
+        if (wasInitialized) {
+            console.warn('⚠️ Web Worker が停止したため、メインスレッドで姿勢推定します:', error.message);
+            this.fallbackInit = super.init().catch(initError => {
+                console.error('❌ メインスレッドでの姿勢推定の初期化エラー:', initError);
+            });
+        }
+    }
+
+    takeJob(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            this.jobs.delete(id);
+            job.cleanup();
+        }
+        return job;
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    /**
+     * Worker で推定できる環境か（Worker 内の WebGL の有無は起動後に確かめる）
+     */
+    static isSupported() {
+        return typeof Worker !== 'undefined' && typeof OffscreenCanvas !== 'undefined';
+    }
+}
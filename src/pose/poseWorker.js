@@ -0,0 +1,78 @@
+/**
+ * poseWorker - Web Worker 内で姿勢推定（PoseDetector）を実行する
+ *
+ * WorkerPoseDetector から { id, type, ... } のメッセージを受け取り、
+ * 同じ id で { type: 'progress' | 'result' | 'error' | 'unsupported', ... } を返す。
+ * 静止画は OffscreenCanvas に描いて、動画のフレームは ImageBitmap で受け取って検出する。
+ */
+
+import * as tf from '@tensorflow/tfjs';
+import '@tensorflow/tfjs-backend-webgl';
+import { PoseDetector } from './PoseDetector.js';
+
+let detector = null;
+
+// 実行中のジョブ（id → AbortController）。キャンセルされたジョブは次の段階へ進まない
+const jobs = new Map();
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'cancel') {
+        jobs.get(data.targetId)?.abort();
+        return;
+    }
+
+    const controller = new AbortController();
+    jobs.set(data.id, controller);
+    const onProgress = (progress) => self.postMessage({ id: data.id, type: 'progress', ...progress });
+
+    try {
+        const result = await handleMessage(data, { signal: controller.signal, onProgress });
+        self.postMessage({ id: data.id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({
+            id: data.id,
+            type: error.unsupported ? 'unsupported' : 'error',
+            name: error.name,
+            message: error.message
+        });
+    } finally {
+        jobs.delete(data.id);
+        if (data.bitmap) {
+            data.bitmap.close();
+        }
+    }
+};
+
+async function handleMessage(message, options) {
+    switch (message.type) {
+        case 'init':
+            return init(message, options);
+        case 'setModel':
+            await detector.setModel(message.modelId, options);
+            return null;
+        case 'setPreprocessOptions':
+            detector.setPreprocessOptions(message.options);
+            return null;
+        case 'detectPose':
+            return detector.detectPose(message.imageData, options);
+        case 'detectFrame':
+            return detector.detectFrame(message.bitmap);
+        default:
+            throw new Error(`未対応のメッセージです: ${message.type}`);
+    }
+}
+
+/**
+ * WebGL が使えなければ（OffscreenCanvas の WebGL がない等）メインスレッドでの実行に切り替えさせる
+ */
+async function init({ model, modelBaseUrl, preprocess }, { onProgress }) {
+    if (typeof OffscreenCanvas === 'undefined' || !await tf.setBackend('webgl')) {
+        const error = new Error('Web Worker 内で WebGL が使えません');
+        error.unsupported = true;
+        throw error;
+    }
+
+    detector = new PoseDetector({ model, modelBaseUrl, preprocess });
+    await detector.init({ onProgress });
+    return { backend: tf.getBackend() };
+}
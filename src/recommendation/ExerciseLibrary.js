@@ -0,0 +1,338 @@
+/**
+ * ExerciseLibrary - 修正エクササイズ・ストレッチのライブラリと、所見からエクササイズを選ぶルール
+ *
+ * exercises: [{ id, name, type, targetMuscles, sets, reps, illustration, instructions }]
+ *   type: 'stretch' | 'strengthen' | 'mobility'
+ *   illustration: 図解の画像のパスまたはURL（なければ null）
+ * rules: [{ finding, minSeverity, variant?, exercises }] または [{ postureType, exercises }]
+ *   finding: KendallAnalyzer の評価項目の key、minSeverity: この重症度以上で推奨（'mild' | 'moderate' | 'severe'）
+ *   variant: 項目の種類を限定（例: 膝の内反・外反の 'valgus' | 'varus'）
+ *   postureType: PostureClassifier の姿勢タイプ
+ */
+
+const TYPE_LABELS = {
+    stretch: 'ストレッチ',
+    strengthen: '筋力強化',
+    mobility: 'モビリティ'
+};
+const TYPES = Object.keys(TYPE_LABELS);
+const SEVERITIES = ['mild', 'moderate', 'severe'];
+
+const DEFAULT_LIBRARY = {
+    version: 1,
+    exercises: [
+        {
+            id: 'chin-tuck',
+            name: 'チンタック（あご引き運動）',
+            type: 'strengthen',
+            targetMuscles: ['深層頸部屈筋群'],
+            sets: 3,
+            reps: '10回（5秒保持）',
+            illustration: null,
+            instructions: '背すじを伸ばして座り、視線を水平に保ったまま、あごを真後ろに引いて二重あごを作る'
+        },
+        {
+            id: 'upper-trap-stretch',
+            name: '上部僧帽筋ストレッチ',
+            type: 'stretch',
+            targetMuscles: ['上部僧帽筋', '肩甲挙筋'],
+            sets: 2,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '片手で椅子の座面をつかみ、反対の手で頭を斜め前に倒して首の後ろから肩を伸ばす'
+        },
+        {
+            id: 'neck-side-stretch',
+            name: '頸部側屈ストレッチ',
+            type: 'stretch',
+            targetMuscles: ['斜角筋', '胸鎖乳突筋'],
+            sets: 2,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '肩をすくめないように下げたまま、頭を真横に倒して首の側面を伸ばす（硬い側を重点的に）'
+        },
+        {
+            id: 'pec-stretch',
+            name: '大胸筋ストレッチ（コーナーストレッチ）',
+            type: 'stretch',
+            targetMuscles: ['大胸筋', '小胸筋'],
+            sets: 3,
+            reps: '30秒',
+            illustration: null,
+            instructions: '部屋の角で両前腕を壁に当て、胸を前に出して胸の前面を伸ばす'
+        },
+        {
+            id: 'wall-angel',
+            name: 'ウォールエンジェル',
+            type: 'strengthen',
+            targetMuscles: ['中部・下部僧帽筋', '菱形筋'],
+            sets: 3,
+            reps: '10回',
+            illustration: null,
+            instructions: '壁に背中・後頭部をつけて立ち、腕を壁につけたままゆっくり上下に滑らせる'
+        },
+        {
+            id: 'thoracic-extension',
+            name: '胸椎伸展（タオルロール）',
+            type: 'mobility',
+            targetMuscles: ['胸椎伸筋群'],
+            sets: 2,
+            reps: '10回',
+            illustration: null,
+            instructions: '丸めたタオルを肩甲骨の下に横向きに置いて仰向けになり、頭の後ろで手を組んで胸を反らす'
+        },
+        {
+            id: 'dead-bug',
+            name: 'デッドバグ',
+            type: 'strengthen',
+            targetMuscles: ['腹横筋', '腹直筋'],
+            sets: 3,
+            reps: '10回（左右交互）',
+            illustration: null,
+            instructions: '仰向けで腰を床に押しつけたまま、対角の腕と脚をゆっくり伸ばして戻す'
+        },
+        {
+            id: 'bird-dog',
+            name: 'バードドッグ',
+            type: 'strengthen',
+            targetMuscles: ['脊柱起立筋', '多裂筋', '大殿筋'],
+            sets: 3,
+            reps: '10回（左右交互）',
+            illustration: null,
+            instructions: '四つ這いで背中を平らに保ち、対角の腕と脚を水平まで伸ばして3秒保持する'
+        },
+        {
+            id: 'hip-flexor-stretch',
+            name: '腸腰筋ストレッチ（ハーフニーリング）',
+            type: 'stretch',
+            targetMuscles: ['腸腰筋', '大腿直筋'],
+            sets: 3,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '片膝立ちで骨盤を軽く後傾させたまま、体を前に移して後ろ脚の股関節の前面を伸ばす'
+        },
+        {
+            id: 'hip-flexor-strengthen',
+            name: '腸腰筋強化（シーテッドニーリフト）',
+            type: 'strengthen',
+            targetMuscles: ['腸腰筋'],
+            sets: 3,
+            reps: '10回（左右）',
+            illustration: null,
+            instructions: '椅子に浅く座って背すじを伸ばし、膝を曲げたまま片脚を数cm持ち上げて3秒保持する'
+        },
+        {
+            id: 'glute-bridge',
+            name: 'グルートブリッジ',
+            type: 'strengthen',
+            targetMuscles: ['大殿筋', 'ハムストリングス'],
+            sets: 3,
+            reps: '12回',
+            illustration: null,
+            instructions: '仰向けで膝を立て、お尻を締めながら肩から膝が一直線になるまで持ち上げる'
+        },
+        {
+            id: 'posterior-pelvic-tilt',
+            name: '骨盤後傾エクササイズ',
+            type: 'strengthen',
+            targetMuscles: ['腹直筋', '外腹斜筋'],
+            sets: 3,
+            reps: '10回（5秒保持）',
+            illustration: null,
+            instructions: '仰向けで膝を立て、おへそを引き込みながら腰を床に押しつけて骨盤を後ろに傾ける'
+        },
+        {
+            id: 'hamstring-stretch',
+            name: 'ハムストリングスストレッチ',
+            type: 'stretch',
+            targetMuscles: ['ハムストリングス'],
+            sets: 3,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '仰向けでタオルを足裏にかけ、膝を伸ばしたまま脚を持ち上げて太ももの裏を伸ばす'
+        },
+        {
+            id: 'knee-control',
+            name: 'ミニスクワット（膝の過伸展の抑制）',
+            type: 'strengthen',
+            targetMuscles: ['大腿四頭筋', 'ハムストリングス'],
+            sets: 3,
+            reps: '10回',
+            illustration: null,
+            instructions: '膝を軽く曲げた位置から浅くしゃがみ、立ち上がるときも膝を伸ばし切らずに止める'
+        },
+        {
+            id: 'calf-stretch',
+            name: '下腿三頭筋ストレッチ',
+            type: 'stretch',
+            targetMuscles: ['腓腹筋', 'ヒラメ筋'],
+            sets: 3,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '壁に手をつき、後ろ脚のかかとを床につけたまま体を前に移してふくらはぎを伸ばす'
+        },
+        {
+            id: 'side-stretch',
+            name: '体側ストレッチ',
+            type: 'stretch',
+            targetMuscles: ['腰方形筋', '広背筋'],
+            sets: 2,
+            reps: '30秒（左右）',
+            illustration: null,
+            instructions: '立位で片腕を頭上に伸ばし、反対側へ体を倒して脇腹から腰を伸ばす（硬い側を重点的に）'
+        },
+        {
+            id: 'side-plank',
+            name: 'サイドプランク',
+            type: 'strengthen',
+            targetMuscles: ['腹斜筋', '腰方形筋', '中殿筋'],
+            sets: 3,
+            reps: '20秒（左右）',
+            illustration: null,
+            instructions: '横向きで肘と膝（または足）で体を支え、頭から膝（足）までを一直線に保つ'
+        },
+        {
+            id: 'clamshell',
+            name: 'クラムシェル',
+            type: 'strengthen',
+            targetMuscles: ['中殿筋', '深層外旋筋群'],
+            sets: 3,
+            reps: '15回（左右）',
+            illustration: null,
+            instructions: '横向きで膝を曲げ、かかとをつけたまま骨盤が後ろに倒れないように上の膝を開く'
+        },
+        {
+            id: 'ball-squeeze',
+            name: 'ボールスクイーズ',
+            type: 'strengthen',
+            targetMuscles: ['股関節内転筋群'],
+            sets: 3,
+            reps: '10回（5秒保持）',
+            illustration: null,
+            instructions: '椅子に座って膝の間にボールかクッションを挟み、押しつぶすように締める'
+        }
+    ],
+    rules: [
+        { finding: 'headPosture', minSeverity: 'mild', exercises: ['chin-tuck', 'upper-trap-stretch'] },
+        { finding: 'headPosture', minSeverity: 'moderate', exercises: ['thoracic-extension'] },
+        { finding: 'shoulderPosition', minSeverity: 'mild', exercises: ['pec-stretch', 'wall-angel'] },
+        { finding: 'spinalAlignment', minSeverity: 'mild', exercises: ['thoracic-extension', 'dead-bug'] },
+        { finding: 'pelvicTilt', minSeverity: 'mild', exercises: ['hip-flexor-stretch', 'glute-bridge'] },
+        { finding: 'kneePosition', minSeverity: 'mild', exercises: ['knee-control', 'hamstring-stretch'] },
+        { finding: 'ankleAlignment', minSeverity: 'mild', exercises: ['calf-stretch'] },
+        { finding: 'shoulderLevel', minSeverity: 'mild', exercises: ['upper-trap-stretch', 'side-stretch'] },
+        { finding: 'pelvicLevel', minSeverity: 'mild', exercises: ['side-stretch', 'side-plank'] },
+        { finding: 'headTilt', minSeverity: 'mild', exercises: ['neck-side-stretch'] },
+        { finding: 'trunkShift', minSeverity: 'mild', exercises: ['side-plank'] },
+        { finding: 'kneeAlignment', minSeverity: 'mild', variant: 'valgus', exercises: ['clamshell', 'glute-bridge'] },
+        { finding: 'kneeAlignment', minSeverity: 'mild', variant: 'varus', exercises: ['ball-squeeze'] },
+        { finding: 'posteriorShoulderLevel', minSeverity: 'mild', exercises: ['upper-trap-stretch', 'side-stretch'] },
+        { finding: 'posteriorPelvicLevel', minSeverity: 'mild', exercises: ['side-stretch', 'side-plank'] },
+        { finding: 'scoliosisScreen', minSeverity: 'mild', exercises: ['side-stretch', 'side-plank'] },
+        { finding: 'posteriorHeadTilt', minSeverity: 'mild', exercises: ['neck-side-stretch'] },
+        { finding: 'heelAlignment', minSeverity: 'mild', variant: 'valgus', exercises: ['calf-stretch', 'clamshell'] },
+        { finding: 'heelAlignment', minSeverity: 'mild', variant: 'varus', exercises: ['calf-stretch'] },
+        { postureType: 'kyphoticLordotic', exercises: ['hip-flexor-stretch', 'dead-bug', 'thoracic-extension', 'chin-tuck'] },
+        { postureType: 'flatBack', exercises: ['hamstring-stretch', 'bird-dog', 'hip-flexor-strengthen'] },
+        { postureType: 'swayBack', exercises: ['hip-flexor-strengthen', 'dead-bug', 'hamstring-stretch', 'knee-control'] },
+        { postureType: 'military', exercises: ['hip-flexor-stretch', 'posterior-pelvic-tilt', 'knee-control'] }
+    ]
+};
+
+export class ExerciseLibrary {
+    constructor(data) {
+        ExerciseLibrary.validate(data);
+
+        this.version = data.version;
+        this.exercises = data.exercises;
+        this.rules = data.rules;
+    }
+
+    getExercise(id) {
+        return this.exercises.find(exercise => exercise.id === id) || null;
+    }
+
+    toJSON() {
+        return {
+            version: this.version,
+            exercises: this.exercises,
+            rules: this.rules
+        };
+    }
+
+    /**
+     * ライブラリの形式を検証（不正なら Error を投げる）
+     */
+    static validate(data) {
+        if (!data || !Array.isArray(data.exercises) || !Array.isArray(data.rules)) {
+            throw new Error('exercises と rules の配列が必要です');
+        }
+        if (!Number.isInteger(data.version) || data.version < 1) {
+            throw new Error('バージョンは1以上の整数で指定してください');
+        }
+
+        const ids = new Set();
+        data.exercises.forEach((exercise, index) => {
+            const label = exercise?.name || `${index + 1}番目のエクササイズ`;
+            if (!exercise?.id || !exercise.name) {
+                throw new Error(`${label}に id と name が必要です`);
+            }
+            if (ids.has(exercise.id)) {
+                throw new Error(`エクササイズのID「${exercise.id}」が重複しています`);
+            }
+            ids.add(exercise.id);
+            if (!TYPES.includes(exercise.type)) {
+                throw new Error(`「${label}」の type は ${TYPES.join(' / ')} のいずれかで指定してください`);
+            }
+            if (!Array.isArray(exercise.targetMuscles)) {
+                throw new Error(`「${label}」の targetMuscles は配列で指定してください`);
+            }
+        });
+
+        data.rules.forEach((rule, index) => {
+            if (!rule.finding && !rule.postureType) {
+                throw new Error(`${index + 1}番目のルールに finding か postureType が必要です`);
+            }
+            if (rule.finding && !SEVERITIES.includes(rule.minSeverity)) {
+                throw new Error(`${index + 1}番目のルールの minSeverity は ${SEVERITIES.join(' / ')} のいずれかで指定してください`);
+            }
+            if (!Array.isArray(rule.exercises)) {
+                throw new Error(`${index + 1}番目のルールの exercises は配列で指定してください`);
+            }
+            const unknown = rule.exercises.filter(id => !ids.has(id));
+            if (unknown.length > 0) {
+                throw new Error(`${index + 1}番目のルールに存在しないエクササイズがあります（${unknown.join('、')}）`);
+            }
+        });
+    }
+
+    /**
+     * 図解として表示してよいURLか（http(s)・相対パス・data:image/ のみ。javascript: などは不可）
+     */
+    static isSafeIllustrationUrl(url) {
+        if (typeof url !== 'string' || url.trim() === '') {
+            return false;
+        }
+        try {
+            const { protocol } = new URL(url, location.href);
+            if (protocol === 'data:') {
+                return /^data:image\//i.test(url.trim());
+            }
+            return protocol === 'http:' || protocol === 'https:';
+        } catch {
+            return false;
+        }
+    }
+
+    static createDefault() {
+        return new ExerciseLibrary(structuredClone(DEFAULT_LIBRARY));
+    }
+
+    static get TYPE_LABELS() {
+        return TYPE_LABELS;
+    }
+
+    static get SEVERITIES() {
+        return SEVERITIES;
+    }
+}
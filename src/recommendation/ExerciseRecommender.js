@@ -0,0 +1,94 @@
+/**
+ * ExerciseRecommender - 評価結果の所見・重症度・姿勢タイプからエクササイズを推奨する
+ */
+
+import { ExerciseLibrary } from './ExerciseLibrary.js';
+
+// 重症度ごとの優先度（重いほど上位に表示）
+const SEVERITY_PRIORITY = {
+    mild: 1,
+    moderate: 2,
+    severe: 3
+};
+
+const SEVERITY_LABELS = {
+    mild: '軽度',
+    moderate: '中等度',
+    severe: '重度'
+};
+
+// 姿勢タイプのルールを使う信頼度の下限と優先度
+const MIN_POSTURE_TYPE_CONFIDENCE = 0.5;
+const POSTURE_TYPE_PRIORITY = 2;
+
+// 推奨するエクササイズ数の上限
+const MAX_RECOMMENDATIONS = 8;
+
+export class ExerciseRecommender {
+    constructor(library = ExerciseLibrary.createDefault()) {
+        this.library = library;
+    }
+
+    setLibrary(library) {
+        this.library = library;
+    }
+
+    /**
+     * analysisResults: { lateral, frontal, posterior }（KendallAnalyzer の結果）
+     * 戻り値: [{ id, name, type, targetMuscles, sets, reps, illustration, instructions, reasons }]
+     *   エクササイズの内容は結果に複製する（後でライブラリを編集しても保存済みの評価は変わらない）
+     */
+    recommend(analysisResults) {
+        const candidates = new Map();
+        const add = (exerciseId, priority, reason) => {
+            const exercise = this.library.getExercise(exerciseId);
+            if (!exercise) return;
+
+            const candidate = candidates.get(exerciseId) || { exercise, priority: 0, reasons: [] };
+            candidate.priority += priority;
+            if (!candidate.reasons.includes(reason)) {
+                candidate.reasons.push(reason);
+            }
+            candidates.set(exerciseId, candidate);
+        };
+
+        // 評価項目の所見
+        const details = [analysisResults.lateral, analysisResults.frontal, analysisResults.posterior]
+            .filter(Boolean)
+            .flatMap(results => results.details);
+        details.forEach(item => {
+            if (!item.measurable || !SEVERITY_PRIORITY[item.severity]) return;
+
+            this.library.rules
+                .filter(rule => rule.finding === item.key
+                    && SEVERITY_PRIORITY[item.severity] >= SEVERITY_PRIORITY[rule.minSeverity]
+                    && (!rule.variant || rule.variant === item.variant))
+                .forEach(rule => {
+                    rule.exercises.forEach(id => {
+                        add(id, SEVERITY_PRIORITY[item.severity], `${item.name}（${SEVERITY_LABELS[item.severity]}）`);
+                    });
+                });
+        });
+
+        // 姿勢タイプ（信頼度が十分な場合のみ）
+        const postureType = analysisResults.lateral?.postureType;
+        if (postureType?.type && postureType.confidence >= MIN_POSTURE_TYPE_CONFIDENCE) {
+            this.library.rules
+                .filter(rule => rule.postureType === postureType.type)
+                .forEach(rule => {
+                    rule.exercises.forEach(id => {
+                        add(id, POSTURE_TYPE_PRIORITY * postureType.confidence, postureType.label);
+                    });
+                });
+        }
+
+        return [...candidates.values()]
+            .sort((a, b) => b.priority - a.priority)
+            .slice(0, MAX_RECOMMENDATIONS)
+            .map(({ exercise, reasons }) => ({ ...structuredClone(exercise), reasons }));
+    }
+
+    static get SEVERITY_LABELS() {
+        return SEVERITY_LABELS;
+    }
+}
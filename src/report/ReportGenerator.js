@@ -0,0 +1,538 @@
+/**
+ * ReportGenerator - ブラウザ内でPDFレポートを生成（外部サービス不要）
+ *
+ * 日本語フォントをPDFに埋め込まずに済むよう、各ページをA4サイズのCanvasに
+ * 描画してから画像としてPDFに配置する。
+ */
+
+import { jsPDF } from 'jspdf';
+import { ScoringProfile } from '../analysis/ScoringProfile.js';
+import { ExerciseLibrary } from '../recommendation/ExerciseLibrary.js';
+import { BodyDiagram } from '../ui/BodyDiagram.js';
+
+// A4（210×297mm）を150dpi相当で描画
+const PAGE_WIDTH = 1240;
+const PAGE_HEIGHT = 1754;
+const MARGIN = 80;
+const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+
+const COLORS = {
+    primary: '#4A90E2',
+    text: '#333333',
+    subtext: '#666666',
+    border: '#DDDDDD',
+    light: '#F8F9FA'
+};
+
+const FONT_FAMILY = "'Hiragino Sans', 'Noto Sans JP', 'Yu Gothic', 'Meiryo', sans-serif";
+
+const VIEW_LABELS = {
+    lateral: '側面観',
+    frontal: '正面観',
+    posterior: '後面観'
+};
+
+export class ReportGenerator {
+    constructor() {
+        this.pages = [];
+        this.ctx = null;
+        this.y = 0;
+    }
+
+    /**
+     * PDFを生成してBlobを返す
+     * report: {
+     *   clinicName, date, client: { name, birthDate }, notes, modelLabel, scoringProfile,
+     *   views: { lateral, frontal, posterior }（各方向 { canvas, results }、評価していない方向は null）,
+     *   muscleImbalance: MuscleImbalanceAnalyzer.infer の結果,
+     *   recommendations: ExerciseRecommender.recommend の結果
+     * }
+     */
+    async generatePDF(report) {
+        const illustrations = await ReportGenerator.loadIllustrations(report.recommendations || []);
+        const bodyDiagram = report.muscleImbalance
+            ? await ReportGenerator.loadImage(`data:image/svg+xml;charset=utf-8,${encodeURIComponent(BodyDiagram.render(report.muscleImbalance))}`)
+            : null;
+        const pages = this.buildPages(report, illustrations, bodyDiagram);
+
+        const pdf = new jsPDF({ orientation: 'portrait', unit: 'mm', format: 'a4' });
+        pages.forEach((page, index) => {
+            if (index > 0) {
+                pdf.addPage();
+            }
+            pdf.addImage(page.toDataURL('image/jpeg', 0.92), 'JPEG', 0, 0, 210, 297);
+        });
+
+        return pdf.output('blob');
+    }
+
+    /**
+     * レポートの各ページをCanvasに描画
+     */
+    buildPages(report, illustrations = new Map(), bodyDiagram = null) {
+        this.pages = [];
+        this.newPage();
+
+        this.drawHeader(report);
+        this.drawClientInfo(report);
+        this.drawScoreSummary(report);
+        this.drawViewImages(report);
+        this.drawPostureType(report.views.lateral?.results.postureType);
+
+        Object.entries(report.views).forEach(([view, entry]) => {
+            if (entry) {
+                this.drawDetails(VIEW_LABELS[view], entry.results);
+            }
+        });
+
+        this.drawMuscleImbalance(report.muscleImbalance, bodyDiagram);
+        this.drawRecommendations(report.recommendations || [], illustrations);
+        this.drawNotes(report.notes);
+        this.drawPageNumbers();
+
+        return this.pages;
+    }
+
+    newPage() {
+        const canvas = document.createElement('canvas');
+        canvas.width = PAGE_WIDTH;
+        canvas.height = PAGE_HEIGHT;
+
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#FFFFFF';
+        ctx.fillRect(0, 0, PAGE_WIDTH, PAGE_HEIGHT);
+        ctx.textBaseline = 'top';
+
+        this.pages.push(canvas);
+        this.ctx = ctx;
+        this.y = MARGIN;
+    }
+
+    /**
+     * 残りの高さが足りなければ改ページ
+     */
+    ensureSpace(height) {
+        if (this.y + height > PAGE_HEIGHT - MARGIN) {
+            this.newPage();
+        }
+    }
+
+    setFont(size, weight = 'normal', color = COLORS.text) {
+        this.ctx.font = `${weight} ${size}px ${FONT_FAMILY}`;
+        this.ctx.fillStyle = color;
+    }
+
+    /**
+     * 指定幅で折り返した行の配列を返す（日本語は1文字単位で折り返す）
+     */
+    wrapText(text, maxWidth) {
+        const lines = [];
+        String(text).split('\n').forEach(paragraph => {
+            let line = '';
+            for (const char of paragraph) {
+                if (this.ctx.measureText(line + char).width > maxWidth && line) {
+                    lines.push(line);
+                    line = char;
+                } else {
+                    line += char;
+                }
+            }
+            lines.push(line);
+        });
+        return lines;
+    }
+
+    drawHeader(report) {
+        const ctx = this.ctx;
+
+        ctx.fillStyle = COLORS.primary;
+        ctx.fillRect(0, 0, PAGE_WIDTH, 160);
+
+        this.setFont(30, 'bold', '#FFFFFF');
+        ctx.fillText(report.clinicName || 'AI姿勢分析', MARGIN, 40);
+        this.setFont(44, 'bold', '#FFFFFF');
+        ctx.fillText('姿勢評価レポート（ケンダル法）', MARGIN, 85);
+
+        this.y = 200;
+    }
+
+    drawClientInfo(report) {
+        const ctx = this.ctx;
+        const client = report.client || {};
+        const rows = [
+            ['クライアント', client.name || '（未登録）'],
+            ['生年月日', client.birthDate || '-'],
+            ['評価日', new Date(report.date).toLocaleString('ja-JP')],
+            ['推定モデル', report.modelLabel || '-'],
+            ['採点基準', ScoringProfile.formatSummary(report.scoringProfile) || '-']
+        ];
+
+        rows.forEach(([label, value]) => {
+            this.setFont(24, 'bold', COLORS.subtext);
+            ctx.fillText(label, MARGIN, this.y);
+            this.setFont(24, 'normal', COLORS.text);
+            ctx.fillText(value, MARGIN + 200, this.y);
+            this.y += 40;
+        });
+
+        this.y += 20;
+    }
+
+    drawScoreSummary(report) {
+        const ctx = this.ctx;
+        const views = Object.entries(report.views).filter(([, entry]) => entry);
+        const boxWidth = (CONTENT_WIDTH - 40 * (views.length - 1)) / views.length;
+
+        views.forEach(([view, entry], index) => {
+            const x = MARGIN + index * (boxWidth + 40);
+            const { totalScore, excludedCount } = entry.results;
+
+            ctx.fillStyle = COLORS.primary;
+            ctx.fillRect(x, this.y, boxWidth, 150);
+
+            this.setFont(24, 'bold', '#FFFFFF');
+            ctx.fillText(`${VIEW_LABELS[view]} 総合スコア`, x + 30, this.y + 20);
+            const scoreText = totalScore !== null ? totalScore.toFixed(0) : '-';
+            this.setFont(60, 'bold', '#FFFFFF');
+            ctx.fillText(scoreText, x + 30, this.y + 52);
+            const scoreWidth = ctx.measureText(scoreText).width;
+            this.setFont(28, 'normal', '#FFFFFF');
+            ctx.fillText('/100', x + 40 + scoreWidth, this.y + 80);
+
+            const notes = [];
+            if (excludedCount > 0) {
+                notes.push(`※ ${excludedCount}項目は測定不可のため除外`);
+            }
+            if (entry.results.burst) {
+                notes.push(`${entry.results.burst.usedFrames}フレームの平均`);
+            }
+            if (entry.results.tiltCorrection) {
+                notes.push(`傾き補正 ${entry.results.tiltCorrection.angle.toFixed(1)}°`);
+            }
+            if (entry.results.scoringUnit === 'cm') {
+                notes.push('実寸（cm）で採点');
+            }
+            if (notes.length > 0) {
+                this.setFont(18, 'normal', '#FFFFFF');
+                ctx.fillText(notes.join('　'), x + 30, this.y + 120);
+            }
+        });
+
+        this.y += 190;
+    }
+
+    /**
+     * 注釈付きの画像を並べて配置
+     */
+    drawViewImages(report) {
+        const ctx = this.ctx;
+        const views = Object.entries(report.views).filter(([, entry]) => entry && entry.canvas);
+        if (views.length === 0) return;
+
+        const maxHeight = PAGE_HEIGHT - MARGIN - this.y - 50;
+        const slotWidth = (CONTENT_WIDTH - 40 * (views.length - 1)) / views.length;
+
+        views.forEach(([view, entry], index) => {
+            const source = entry.canvas;
+            const scale = Math.min(slotWidth / source.width, maxHeight / source.height);
+            const width = source.width * scale;
+            const height = source.height * scale;
+            const x = MARGIN + index * (slotWidth + 40) + (slotWidth - width) / 2;
+
+            this.setFont(24, 'bold', COLORS.primary);
+            ctx.fillText(VIEW_LABELS[view], MARGIN + index * (slotWidth + 40), this.y);
+
+            ctx.drawImage(source, x, this.y + 40, width, height);
+            ctx.strokeStyle = COLORS.border;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(x, this.y + 40, width, height);
+        });
+
+        this.newPage();
+    }
+
+    /**
+     * 姿勢タイプの分類と根拠となった所見
+     */
+    drawPostureType(postureType) {
+        if (!postureType) return;
+
+        const ctx = this.ctx;
+        const lines = postureType.type
+            ? postureType.findings.map(finding => {
+                const matched = postureType.matches.includes(finding.key);
+                return `${matched ? '✔' : '－'} ${finding.label}（${finding.valueText}）`;
+            })
+            : [postureType.reason];
+        const height = 110 + lines.length * 34;
+
+        this.ensureSpace(height + 60);
+        this.setFont(32, 'bold', COLORS.primary);
+        ctx.fillText('姿勢タイプ（側面観）', MARGIN, this.y);
+        this.y += 50;
+
+        const top = this.y;
+        ctx.fillStyle = COLORS.light;
+        ctx.fillRect(MARGIN, top, CONTENT_WIDTH, height - 20);
+        ctx.fillStyle = COLORS.primary;
+        ctx.fillRect(MARGIN, top, 6, height - 20);
+
+        this.setFont(28, 'bold', COLORS.text);
+        ctx.fillText(postureType.label, MARGIN + 25, top + 15);
+        if (postureType.type) {
+            this.setFont(22, 'normal', COLORS.subtext);
+            const confidenceText = `信頼度 ${(postureType.confidence * 100).toFixed(0)}%`;
+            ctx.fillText(confidenceText, MARGIN + CONTENT_WIDTH - 25 - ctx.measureText(confidenceText).width, top + 20);
+        }
+
+        this.setFont(22, 'normal', COLORS.text);
+        lines.forEach((line, index) => {
+            ctx.fillText(line, MARGIN + 25, top + 65 + index * 34);
+        });
+
+        this.y += height + 10;
+    }
+
+    /**
+     * 評価項目ごとの値・角度・説明
+     */
+    drawDetails(viewLabel, results) {
+        const ctx = this.ctx;
+
+        this.ensureSpace(80);
+        this.setFont(32, 'bold', COLORS.primary);
+        ctx.fillText(`${viewLabel}の評価項目`, MARGIN, this.y);
+        this.y += 50;
+
+        results.details.forEach(item => {
+            this.setFont(20, 'normal', COLORS.subtext);
+            const descriptionLines = this.wrapText(
+                item.measurable ? item.description : `${item.description}（${item.reason}）`,
+                CONTENT_WIDTH - 40
+            );
+            const angleLines = (results.jointAngles || [])
+                .filter(angle => angle.item === item.key)
+                .map(angle => angle.measurable
+                    ? `関節角度 ${angle.name}: ${angle.valueText}（目安 ${angle.normal}）${angle.interpretation}`
+                    : `関節角度 ${angle.name}: 測定不可（${angle.reason}）`);
+            const height = 110 + (descriptionLines.length + angleLines.length) * 30;
+            this.ensureSpace(height);
+
+            const top = this.y;
+            ctx.fillStyle = COLORS.light;
+            ctx.fillRect(MARGIN, top, CONTENT_WIDTH, height - 20);
+            ctx.fillStyle = COLORS.primary;
+            ctx.fillRect(MARGIN, top, 6, height - 20);
+
+            this.setFont(26, 'bold', COLORS.text);
+            ctx.fillText(item.name, MARGIN + 25, top + 15);
+
+            this.setFont(26, 'bold', COLORS.primary);
+            const scoreText = item.measurable ? `${item.score.toFixed(0)}/100` : '測定不可';
+            ctx.fillText(scoreText, MARGIN + CONTENT_WIDTH - 25 - ctx.measureText(scoreText).width, top + 15);
+
+            this.setFont(20, 'normal', COLORS.text);
+            const measures = [`値: ${item.value}`, `角度: ${item.angle}`];
+            if (item.valueCm !== undefined) {
+                measures.push(`偏位: ${item.valueCm.toFixed(1)} cm`);
+            }
+            if (item.variability) {
+                measures.push(`ばらつき: ±${item.variability.scoreSd.toFixed(1)}点`);
+            }
+            ctx.fillText(measures.join('　／　'), MARGIN + 25, top + 52);
+
+            angleLines.forEach((line, index) => {
+                ctx.fillText(line, MARGIN + 25, top + 85 + index * 30);
+            });
+
+            this.setFont(20, 'normal', COLORS.subtext);
+            descriptionLines.forEach((line, index) => {
+                ctx.fillText(line, MARGIN + 25, top + 85 + (angleLines.length + index) * 30);
+            });
+
+            this.y += height;
+        });
+
+        this.y += 20;
+    }
+
+    /**
+     * 推定される筋のアンバランス（人体図と筋群の一覧）
+     */
+    drawMuscleImbalance(imbalance, bodyDiagram) {
+        if (!imbalance || (imbalance.tight.length === 0 && imbalance.weak.length === 0)) return;
+
+        const ctx = this.ctx;
+        const diagramWidth = 400;
+        const diagramHeight = bodyDiagram ? diagramWidth * bodyDiagram.height / bodyDiagram.width : 0;
+        const listLeft = MARGIN + (bodyDiagram ? diagramWidth + 40 : 0);
+        const lists = [
+            { title: '短縮・緊張', color: BodyDiagram.COLORS.tight, groups: imbalance.tight },
+            { title: '弱化・伸張', color: BodyDiagram.COLORS.weak, groups: imbalance.weak }
+        ];
+        const listHeight = lists.reduce((sum, list) => sum + 60 + Math.max(list.groups.length, 1) * 34, 0);
+        const height = Math.max(diagramHeight, listHeight) + 50;
+
+        this.ensureSpace(height + 60);
+        this.setFont(32, 'bold', COLORS.primary);
+        ctx.fillText('推定される筋のアンバランス', MARGIN, this.y);
+        this.y += 50;
+
+        const top = this.y;
+        if (bodyDiagram) {
+            ctx.drawImage(bodyDiagram, MARGIN, top, diagramWidth, diagramHeight);
+        }
+
+        let y = top;
+        lists.forEach(list => {
+            ctx.fillStyle = list.color;
+            ctx.beginPath();
+            ctx.arc(listLeft + 10, y + 15, 10, 0, Math.PI * 2);
+            ctx.fill();
+            this.setFont(26, 'bold', COLORS.text);
+            ctx.fillText(list.title, listLeft + 30, y);
+            y += 50;
+
+            this.setFont(22, 'normal', list.groups.length > 0 ? COLORS.text : COLORS.subtext);
+            if (list.groups.length === 0) {
+                ctx.fillText('該当なし', listLeft + 30, y);
+                y += 34;
+            }
+            list.groups.forEach(group => {
+                ctx.fillText(`・${group.name}`, listLeft + 30, y);
+                y += 34;
+            });
+            y += 10;
+        });
+
+        this.y = top + height - 40;
+        this.setFont(18, 'normal', COLORS.subtext);
+        ctx.fillText('※姿勢から推定した候補です。筋長検査・徒手筋力検査で確認してください', MARGIN, this.y);
+        this.y += 50;
+    }
+
+    /**
+     * おすすめのエクササイズ（ホームプログラム）
+     */
+    drawRecommendations(recommendations, illustrations) {
+        if (recommendations.length === 0) return;
+
+        const ctx = this.ctx;
+        const imageSize = 140;
+
+        this.ensureSpace(80);
+        this.setFont(32, 'bold', COLORS.primary);
+        ctx.fillText('ホームエクササイズ', MARGIN, this.y);
+        this.y += 50;
+
+        recommendations.forEach(exercise => {
+            const image = illustrations.get(exercise.id);
+            const textLeft = MARGIN + 25 + (image ? imageSize + 20 : 0);
+            const textWidth = MARGIN + CONTENT_WIDTH - 25 - textLeft;
+
+            this.setFont(20, 'normal', COLORS.subtext);
+            const instructionLines = this.wrapText(exercise.instructions || '', textWidth);
+            const height = Math.max(
+                140 + instructionLines.length * 30,
+                image ? imageSize + 40 : 0
+            );
+            this.ensureSpace(height);
+
+            const top = this.y;
+            ctx.fillStyle = COLORS.light;
+            ctx.fillRect(MARGIN, top, CONTENT_WIDTH, height - 20);
+            ctx.fillStyle = COLORS.primary;
+            ctx.fillRect(MARGIN, top, 6, height - 20);
+
+            if (image) {
+                const scale = Math.min(imageSize / image.width, imageSize / image.height);
+                ctx.drawImage(image, MARGIN + 25, top + 10, image.width * scale, image.height * scale);
+            }
+
+            this.setFont(26, 'bold', COLORS.text);
+            ctx.fillText(`${exercise.name}（${ExerciseLibrary.TYPE_LABELS[exercise.type]}）`, textLeft, top + 15);
+
+            this.setFont(22, 'bold', COLORS.primary);
+            ctx.fillText(`${exercise.sets}セット × ${exercise.reps}`, textLeft, top + 52);
+
+            this.setFont(20, 'normal', COLORS.text);
+            ctx.fillText(`対象: ${exercise.targetMuscles.join('・')}　／　根拠: ${exercise.reasons.join('、')}`, textLeft, top + 85);
+
+            this.setFont(20, 'normal', COLORS.subtext);
+            instructionLines.forEach((line, index) => {
+                ctx.fillText(line, textLeft, top + 118 + index * 30);
+            });
+
+            this.y += height;
+        });
+
+        this.y += 20;
+    }
+
+    drawNotes(notes) {
+        const ctx = this.ctx;
+
+        this.setFont(22, 'normal', COLORS.text);
+        const lines = this.wrapText(notes || '', CONTENT_WIDTH - 40);
+        const boxHeight = Math.max(200, lines.length * 34 + 40);
+
+        this.ensureSpace(boxHeight + 60);
+        this.setFont(32, 'bold', COLORS.primary);
+        ctx.fillText('セラピストメモ', MARGIN, this.y);
+        this.y += 50;
+
+        ctx.strokeStyle = COLORS.border;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(MARGIN, this.y, CONTENT_WIDTH, boxHeight);
+
+        this.setFont(22, 'normal', COLORS.text);
+        lines.forEach((line, index) => {
+            ctx.fillText(line, MARGIN + 20, this.y + 20 + index * 34);
+        });
+
+        this.y += boxHeight + 20;
+    }
+
+    drawPageNumbers() {
+        this.pages.forEach((page, index) => {
+            const ctx = page.getContext('2d');
+            ctx.font = `normal 18px ${FONT_FAMILY}`;
+            ctx.fillStyle = COLORS.subtext;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'top';
+            ctx.fillText(
+                `${index + 1} / ${this.pages.length}　※本レポートは専門家の診断に代わるものではありません`,
+                PAGE_WIDTH / 2,
+                PAGE_HEIGHT - 50
+            );
+        });
+    }
+
+    /**
+     * エクササイズの図解を読み込む（読み込めないものは省略）
+     */
+    static async loadIllustrations(recommendations) {
+        const illustrations = new Map();
+        await Promise.all(recommendations
+            .filter(exercise => ExerciseLibrary.isSafeIllustrationUrl(exercise.illustration))
+            .map(async exercise => {
+                const img = await ReportGenerator.loadImage(exercise.illustration);
+                if (img) {
+                    illustrations.set(exercise.id, img);
+                }
+            }));
+        return illustrations;
+    }
+
+    /**
+     * 画像を読み込む（読み込めなければ null）
+     */
+    static loadImage(src) {
+        return new Promise(resolve => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => resolve(null);
+            img.src = src;
+        });
+    }
+}
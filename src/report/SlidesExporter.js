@@ -0,0 +1,169 @@
+/**
+ * SlidesExporter - Google Apps Script（ウェブアプリ）にレポートを送信し、Googleスライドを作成する
+ *
+ * 送信先は gas/Code.gs をデプロイしたウェブアプリのURL。
+ * 動作確認は scripts/mock-slides-server.js（npm run mock:slides）でも行える。
+ */
+
+import { ExerciseLibrary } from '../recommendation/ExerciseLibrary.js';
+
+// ペイロードの形式（gas/Code.gs と合わせる）
+const PAYLOAD_VERSION = 1;
+
+// Apps Scriptはスライド作成に時間がかかるため長めに待つ
+const DEFAULT_TIMEOUT_MS = 60000;
+
+// 送信する画像の長辺（px）。Apps Scriptのリクエストサイズ上限に収める
+const MAX_IMAGE_SIZE = 1280;
+
+export class SlidesExporter {
+    constructor(options = {}) {
+        this.endpointUrl = options.endpointUrl || '';
+        this.timeoutMs = options.timeoutMs ?? DEFAULT_TIMEOUT_MS;
+    }
+
+    /**
+     * レポートを送信し、作成されたスライドのURLを返す
+     * report は ReportGenerator.generatePDF と同じ形式
+     */
+    async export(report) {
+        if (!this.endpointUrl) {
+            throw new Error('Apps ScriptのURLが設定されていません');
+        }
+
+        const payload = this.buildPayload(report);
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeoutMs);
+
+        let response;
+        try {
+            // Apps ScriptはCORSのプリフライトに応答しないため text/plain で送る
+            response = await fetch(this.endpointUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                body: JSON.stringify(payload),
+                signal: controller.signal
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error(`応答がありませんでした（${Math.round(this.timeoutMs / 1000)}秒でタイムアウト）`);
+            }
+            throw new Error(`送信に失敗しました（${error.message}）`);
+        } finally {
+            clearTimeout(timer);
+        }
+
+        if (!response.ok) {
+            throw new Error(`サーバーエラー（HTTP ${response.status}）`);
+        }
+
+        let result;
+        try {
+            result = await response.json();
+        } catch (error) {
+            throw new Error('応答をJSONとして読み取れませんでした（ウェブアプリのアクセス権を確認してください）');
+        }
+
+        if (!result.success) {
+            throw new Error(result.error || 'スライドの作成に失敗しました');
+        }
+        if (!result.slideUrl) {
+            throw new Error('応答にスライドのURLが含まれていません');
+        }
+
+        return result.slideUrl;
+    }
+
+    /**
+     * 送信用のJSONを組み立てる
+     */
+    buildPayload(report) {
+        const views = {};
+        Object.entries(report.views).forEach(([view, entry]) => {
+            if (!entry) return;
+
+            const { results } = entry;
+            views[view] = {
+                image: entry.canvas ? SlidesExporter.encodeCanvas(entry.canvas) : null,
+                totalScore: results.totalScore,
+                measuredCount: results.measuredCount,
+                excludedCount: results.excludedCount,
+                calibration: results.calibration || null,
+                tiltCorrection: results.tiltCorrection || null,
+                burst: results.burst || null,
+                postureType: results.postureType || null,
+                jointAngles: (results.jointAngles || []).map(angle => ({
+                    item: angle.item,
+                    name: angle.name,
+                    measurable: angle.measurable,
+                    valueText: angle.valueText,
+                    normal: angle.normal,
+                    interpretation: angle.interpretation
+                })),
+                details: results.details.map(item => ({
+                    key: item.key,
+                    name: item.name,
+                    measurable: item.measurable,
+                    score: item.measurable ? item.score : null,
+                    value: item.value,
+                    angle: item.angle,
+                    valueCm: item.valueCm ?? null,
+                    variability: item.variability || null,
+                    description: item.description,
+                    reason: item.reason || null
+                }))
+            };
+        });
+
+        return {
+            version: PAYLOAD_VERSION,
+            clinicName: report.clinicName || '',
+            date: report.date,
+            client: {
+                name: report.client?.name || '',
+                birthDate: report.client?.birthDate || ''
+            },
+            notes: report.notes || '',
+            modelLabel: report.modelLabel || '',
+            scoringProfile: report.scoringProfile || null,
+            views: views,
+            muscleImbalance: report.muscleImbalance
+                ? {
+                    tight: report.muscleImbalance.tight.map(({ name, reasons }) => ({ name, reasons })),
+                    weak: report.muscleImbalance.weak.map(({ name, reasons }) => ({ name, reasons }))
+                }
+                : null,
+            recommendations: (report.recommendations || []).map(exercise => ({
+                name: exercise.name,
+                type: ExerciseLibrary.TYPE_LABELS[exercise.type],
+                targetMuscles: exercise.targetMuscles,
+                sets: exercise.sets,
+                reps: exercise.reps,
+                instructions: exercise.instructions,
+                reasons: exercise.reasons
+            }))
+        };
+    }
+
+    /**
+     * Canvasを縮小してJPEGのbase64（data:プレフィックスなし）に変換
+     */
+    static encodeCanvas(canvas) {
+        const scale = Math.min(1, MAX_IMAGE_SIZE / Math.max(canvas.width, canvas.height));
+        let source = canvas;
+
+        if (scale < 1) {
+            source = document.createElement('canvas');
+            source.width = Math.round(canvas.width * scale);
+            source.height = Math.round(canvas.height * scale);
+            source.getContext('2d').drawImage(canvas, 0, 0, source.width, source.height);
+        }
+
+        return {
+            mimeType: 'image/jpeg',
+            width: source.width,
+            height: source.height,
+            data: source.toDataURL('image/jpeg', 0.85).split(',')[1]
+        };
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * SessionStore - クライアントと評価セッションのローカル保存（IndexedDB）
+ */
+
+const DB_NAME = 'ai-posture-analysis';
+const DB_VERSION = 1;
+
+export class SessionStore {
+    constructor() {
+        this.db = null;
+    }
+
+    async init() {
+        if (!('indexedDB' in window)) {
+            throw new Error('このブラウザはIndexedDBに対応していません');
+        }
+
+        this.db = await new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                // クライアント
+                if (!db.objectStoreNames.contains('clients')) {
+                    db.createObjectStore('clients', { keyPath: 'id' });
+                }
+
+                // 評価セッション（クライアントごと・日付順に参照）
+                if (!db.objectStoreNames.contains('sessions')) {
+                    const sessions = db.createObjectStore('sessions', { keyPath: 'id' });
+                    sessions.createIndex('clientId', 'clientId', { unique: false });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        console.log('✅ セッションストア初期化完了');
+    }
+
+    /**
+     * クライアントを追加
+     */
+    async addClient({ name, birthDate = '', notes = '' }) {
+        const client = {
+            id: SessionStore.createId(),
+            name: name,
+            birthDate: birthDate,
+            notes: notes,
+            createdAt: new Date().toISOString()
+        };
+        await this.request('clients', 'readwrite', store => store.put(client));
+        return client;
+    }
+
+    /**
+     * クライアント一覧（名前順）
+     */
+    async listClients() {
+        const clients = await this.request('clients', 'readonly', store => store.getAll());
+        return clients.sort((a, b) => a.name.localeCompare(b.name, 'ja'));
+    }
+
+    async getClient(id) {
+        return this.request('clients', 'readonly', store => store.get(id));
+    }
+
+    /**
+     * セッションを保存（idがあれば上書き）
+     * session: { clientId, images, poseResults, analysisResults, notes, date }
+     */
+    async saveSession(session) {
+        const now = new Date().toISOString();
+        const record = {
+            ...session,
+            id: session.id || SessionStore.createId(),
+            date: session.date || now,
+            updatedAt: now
+        };
+        await this.request('sessions', 'readwrite', store => store.put(record));
+        return record;
+    }
+
+    /**
+     * クライアントのセッション一覧（新しい順）
+     */
+    async listSessions(clientId) {
+        const sessions = await this.request(
+            'sessions',
+            'readonly',
+            store => store.index('clientId').getAll(clientId)
+        );
+        return sessions.sort((a, b) => b.date.localeCompare(a.date));
+    }
+
+    async getSession(id) {
+        return this.request('sessions', 'readonly', store => store.get(id));
+    }
+
+    async deleteSession(id) {
+        await this.request('sessions', 'readwrite', store => store.delete(id));
+    }
+
+    /**
+     * オブジェクトストアへの1リクエストをPromiseで実行
+     */
+    request(storeName, mode, operation) {
+        if (!this.db) {
+            return Promise.reject(new Error('SessionStoreが初期化されていません'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('トランザクションが中断されました'));
+        });
+    }
+
+    static createId() {
+        if (crypto.randomUUID) {
+            return crypto.randomUUID();
+        }
+        return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Service Worker - アプリ本体とモデルの重みをキャッシュし、ネットワークなしで起動・解析できるようにする
+ *
+ * ビルド時に vite.config.js の precacheManifest プラグインが PRECACHE_MANIFEST の値を
+ * { version, files }（dist に出力したファイルと起動時に読み込むモデルの重みの一覧）に置き換えて dist/sw.js に出力する。
+ * 同じオリジンへのリクエストにはキャッシュから応答し、なければネットワークから取得する。
+ * ほかのモデルの重みは初めて読み込んだときにキャッシュする（取得できないモデルがあってもインストールは失敗しない）。
+ */
+
+const PRECACHE_MANIFEST = self.__PRECACHE_MANIFEST__;
+
+const CACHE_PREFIX = 'ai-posture-analysis-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_MANIFEST.version}`;
+
+// キャッシュにないページへの遷移がオフラインで失敗したときに返すページ
+const APP_SHELL = new URL('index.html', self.registration.scope).href;
+
+// 読み込み時にキャッシュするモデルの重みの配置先
+const MODELS_URL = new URL('models/', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        // HTTP キャッシュの古い index.html などを拾わないよう再読み込みで取得する
+        await cache.addAll(PRECACHE_MANIFEST.files.map(
+            file => new Request(new URL(file, self.registration.scope).href, { cache: 'reload' })
+        ));
+        await self.skipWaiting();
+    })());
+});
+
+// 古い版のキャッシュを削除し、開いているページもこの版で制御する
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    event.respondWith((async () => {
+        const cache = await caches.open(CACHE_NAME);
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) {
+            return cached;
+        }
+
+        try {
+            const response = await fetch(request);
+            if (response.ok && request.url.startsWith(MODELS_URL)) {
+                event.waitUntil(cache.put(request, response.clone()));
+            }
+            return response;
+        } catch (error) {
+            const shell = request.mode === 'navigate' ? await cache.match(APP_SHELL) : null;
+            if (shell) {
+                return shell;
+            }
+            throw error;
+        }
+    })());
+});
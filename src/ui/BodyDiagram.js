@@ -0,0 +1,96 @@
+/**
+ * BodyDiagram - 人体図（前面・後面）に短縮・弱化が疑われる筋群を色分けして描く（SVG）
+ *
+ * 画面表示とPDFレポートで同じSVGを使う。
+ */
+
+// 図の大きさ（前面は左半分、後面は右半分）
+const WIDTH = 400;
+const HEIGHT = 420;
+const CENTER_X = { front: 100, back: 300 };
+
+const COLORS = {
+    body: '#e8e8e8',
+    outline: '#b0b0b0',
+    muscle: '#f4f4f4',
+    tight: '#e74c3c',
+    weak: '#3498db',
+    both: '#9b59b6',
+    text: '#666666'
+};
+
+// 筋群の領域（楕円。dx が 0 以外なら左右対称に2つ描く）
+const REGIONS = {
+    deepNeckFlexors: [{ view: 'front', dx: 0, cy: 70, rx: 5, ry: 7 }],
+    sternocleidomastoid: [{ view: 'front', dx: 10, cy: 70, rx: 3.5, ry: 9 }],
+    upperTrapezius: [
+        { view: 'front', dx: 26, cy: 82, rx: 13, ry: 4 },
+        { view: 'back', dx: 20, cy: 82, rx: 17, ry: 7 }
+    ],
+    suboccipitals: [{ view: 'back', dx: 0, cy: 60, rx: 12, ry: 5 }],
+    pectorals: [{ view: 'front', dx: 18, cy: 106, rx: 16, ry: 11 }],
+    lowerTrapezius: [{ view: 'back', dx: 19, cy: 115, rx: 9, ry: 20 }],
+    thoracicExtensors: [{ view: 'back', dx: 5, cy: 122, rx: 3.5, ry: 26 }],
+    abdominals: [{ view: 'front', dx: 0, cy: 152, rx: 15, ry: 32 }],
+    lumbarExtensors: [{ view: 'back', dx: 7, cy: 172, rx: 5, ry: 17 }],
+    quadratusLumborum: [{ view: 'back', dx: 20, cy: 175, rx: 5, ry: 12 }],
+    hipFlexors: [{ view: 'front', dx: 16, cy: 218, rx: 8, ry: 14 }],
+    gluteusMedius: [{ view: 'back', dx: 24, cy: 205, rx: 8, ry: 8 }],
+    gluteusMaximus: [{ view: 'back', dx: 14, cy: 226, rx: 12, ry: 13 }],
+    tensorFasciaeLatae: [{ view: 'front', dx: 28, cy: 252, rx: 2.5, ry: 28 }],
+    adductors: [{ view: 'front', dx: 6, cy: 257, rx: 4, ry: 22 }],
+    quadriceps: [{ view: 'front', dx: 17, cy: 268, rx: 7, ry: 34 }],
+    hamstrings: [{ view: 'back', dx: 15, cy: 280, rx: 10, ry: 32 }],
+    tibialisAnterior: [{ view: 'front', dx: 14, cy: 340, rx: 4.5, ry: 24 }],
+    calves: [{ view: 'back', dx: 15, cy: 340, rx: 8, ry: 22 }]
+};
+
+export class BodyDiagram {
+    /**
+     * imbalance: MuscleImbalanceAnalyzer.infer の結果
+     * 戻り値: SVGのマークアップ
+     */
+    static render(imbalance) {
+        const states = new Map();
+        imbalance.tight.forEach(group => states.set(group.id, 'tight'));
+        imbalance.weak.forEach(group => states.set(group.id, states.has(group.id) ? 'both' : 'weak'));
+
+        const regions = Object.entries(REGIONS).flatMap(([id, shapes]) => {
+            const state = states.get(id);
+            const fill = state ? COLORS[state] : COLORS.muscle;
+            const title = imbalance.tight.concat(imbalance.weak).find(group => group.id === id)?.name || '';
+
+            return shapes.flatMap(shape => {
+                const centers = shape.dx === 0 ? [0] : [-shape.dx, shape.dx];
+                return centers.map(dx => `<ellipse cx="${CENTER_X[shape.view] + dx}" cy="${shape.cy}" rx="${shape.rx}" ry="${shape.ry}" fill="${fill}" fill-opacity="${state ? 0.85 : 1}" stroke="${COLORS.outline}" stroke-width="0.5">${title ? `<title>${title}</title>` : ''}</ellipse>`);
+            });
+        });
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${WIDTH} ${HEIGHT}" width="${WIDTH}" height="${HEIGHT}">
+            ${BodyDiagram.silhouette(CENTER_X.front)}
+            ${BodyDiagram.silhouette(CENTER_X.back)}
+            ${regions.join('\n')}
+            <text x="${CENTER_X.front}" y="${HEIGHT - 8}" text-anchor="middle" font-size="14" fill="${COLORS.text}">前面</text>
+            <text x="${CENTER_X.back}" y="${HEIGHT - 8}" text-anchor="middle" font-size="14" fill="${COLORS.text}">後面</text>
+        </svg>`;
+    }
+
+    /**
+     * 人体の輪郭（頭・頸部・体幹・上肢・下肢）
+     */
+    static silhouette(cx) {
+        const shape = `fill="${COLORS.body}" stroke="${COLORS.outline}" stroke-width="1"`;
+        return `
+            <circle cx="${cx}" cy="38" r="21" ${shape}/>
+            <rect x="${cx - 9}" y="56" width="18" height="22" ${shape}/>
+            <path d="M ${cx - 42} 80 Q ${cx} 72 ${cx + 42} 80 L ${cx + 34} 140 L ${cx + 30} 195 L ${cx + 34} 235 L ${cx - 34} 235 L ${cx - 30} 195 L ${cx - 34} 140 Z" ${shape}/>
+            <rect x="${cx - 56}" y="84" width="13" height="140" rx="6" ${shape}/>
+            <rect x="${cx + 43}" y="84" width="13" height="140" rx="6" ${shape}/>
+            <rect x="${cx - 31}" y="228" width="28" height="170" rx="10" ${shape}/>
+            <rect x="${cx + 3}" y="228" width="28" height="170" rx="10" ${shape}/>`;
+    }
+
+    static get COLORS() {
+        return COLORS;
+    }
+}
@@ -0,0 +1,103 @@
+/**
+ * CalibrationTool - 解析Canvas上で基準線（2点）を指定する（キャリブレーション・傾き補正で共通）
+ */
+
+const REFERENCE_COLOR = '#F39C12';
+
+// 傾き補正の鉛直・水平線の色
+const TILT_COLOR = '#1ABC9C';
+
+export class CalibrationTool {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.points = [];
+        this.onComplete = null;
+        this.color = REFERENCE_COLOR;
+        this.handleClick = this.handleClick.bind(this);
+    }
+
+    /**
+     * 基準線の指定を開始（2回クリックで完了）
+     * onComplete({ start, end }) には画像ピクセル座標が渡される
+     * options.color: 指定中の点・線の色
+     */
+    start(onComplete, options = {}) {
+        this.cancel();
+        this.points = [];
+        this.onComplete = onComplete;
+        this.color = options.color || REFERENCE_COLOR;
+        this.canvas.classList.add('calibrating');
+        this.canvas.addEventListener('click', this.handleClick);
+    }
+
+    /**
+     * 指定を中断
+     */
+    cancel() {
+        this.canvas.removeEventListener('click', this.handleClick);
+        this.canvas.classList.remove('calibrating');
+        this.onComplete = null;
+    }
+
+    handleClick(e) {
+        const point = CalibrationTool.toCanvasPoint(this.canvas, e);
+        this.points.push(point);
+
+        const ctx = this.canvas.getContext('2d');
+        CalibrationTool.drawMarker(ctx, point, this.color);
+
+        if (this.points.length === 2) {
+            const [start, end] = this.points;
+            const onComplete = this.onComplete;
+            CalibrationTool.drawReferenceLine(ctx, start, end, this.color);
+            this.cancel();
+            if (onComplete) {
+                onComplete({ start, end });
+            }
+        }
+    }
+
+    /**
+     * マウスイベントの表示座標をCanvas（画像）のピクセル座標に変換
+     * CSSで縮小表示されているため表示サイズとの比で補正する
+     */
+    static toCanvasPoint(canvas, e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+
+    static drawMarker(ctx, point, color = REFERENCE_COLOR) {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 8, 0, 2 * Math.PI);
+        ctx.fillStyle = color;
+        ctx.fill();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.stroke();
+    }
+
+    /**
+     * 基準線を描画
+     */
+    static drawReferenceLine(ctx, start, end, color = REFERENCE_COLOR) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = 4;
+        ctx.setLineDash([12, 8]);
+        ctx.beginPath();
+        ctx.moveTo(start.x, start.y);
+        ctx.lineTo(end.x, end.y);
+        ctx.stroke();
+        ctx.restore();
+
+        CalibrationTool.drawMarker(ctx, start, color);
+        CalibrationTool.drawMarker(ctx, end, color);
+    }
+
+    static get TILT_COLOR() {
+        return TILT_COLOR;
+    }
+}
@@ -0,0 +1,219 @@
+/**
+ * ComparisonView - 2つのセッションの比較表示（並列・重ね合わせ・項目ごとの変化）
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+import { ScoringProfile } from '../analysis/ScoringProfile.js';
+
+export class ComparisonView {
+    constructor() {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+        this.base = null;
+        this.target = null;
+        this.mode = 'side';
+        this.opacity = 0.5;
+    }
+
+    init() {
+        document.querySelectorAll('input[name="comparisonMode"]').forEach(radio => {
+            radio.addEventListener('change', (e) => {
+                this.mode = e.target.value;
+                this.render();
+            });
+        });
+
+        const opacitySlider = document.getElementById('comparisonOpacity');
+        opacitySlider.addEventListener('input', () => {
+            this.opacity = Number(opacitySlider.value) / 100;
+            if (this.mode === 'overlay') {
+                this.renderOverlay();
+            }
+        });
+
+        document.getElementById('closeComparisonBtn').addEventListener('click', () => {
+            this.hide();
+        });
+    }
+
+    /**
+     * 比較を表示
+     * base/target: { label, canvas, landmarks, results }（results は analyzeLateralView の結果）
+     */
+    show(base, target) {
+        this.base = base;
+        this.target = target;
+
+        document.getElementById('comparisonBaseLabel').textContent = base.label;
+        document.getElementById('comparisonTargetLabel').textContent = target.label;
+
+        this.render();
+        this.renderDeltaTable();
+
+        const section = document.getElementById('comparisonSection');
+        section.style.display = 'block';
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    hide() {
+        document.getElementById('comparisonSection').style.display = 'none';
+        this.base = null;
+        this.target = null;
+    }
+
+    render() {
+        if (!this.base || !this.target) return;
+
+        const sideBySide = document.getElementById('comparisonSideBySide');
+        const overlay = document.getElementById('comparisonOverlay');
+        const opacityControl = document.getElementById('comparisonOpacityControl');
+
+        if (this.mode === 'overlay') {
+            sideBySide.style.display = 'none';
+            overlay.style.display = 'flex';
+            opacityControl.style.display = 'flex';
+            this.renderOverlay();
+        } else {
+            overlay.style.display = 'none';
+            opacityControl.style.display = 'none';
+            sideBySide.style.display = 'grid';
+            this.renderSideBySide();
+        }
+    }
+
+    renderSideBySide() {
+        [['comparisonBaseCanvas', this.base], ['comparisonTargetCanvas', this.target]].forEach(([id, entry]) => {
+            const canvas = document.getElementById(id);
+            canvas.width = entry.canvas.width;
+            canvas.height = entry.canvas.height;
+            canvas.getContext('2d').drawImage(entry.canvas, 0, 0);
+        });
+    }
+
+    /**
+     * 足首（外果）を基準に位置と体の大きさを揃えて重ね合わせる
+     */
+    renderOverlay() {
+        const canvas = document.getElementById('comparisonOverlayCanvas');
+        const ctx = canvas.getContext('2d');
+        const baseCanvas = this.base.canvas;
+        const targetCanvas = this.target.canvas;
+
+        canvas.width = baseCanvas.width;
+        canvas.height = baseCanvas.height;
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+        ctx.drawImage(baseCanvas, 0, 0);
+
+        const baseAnchor = this.getAnchor(this.base);
+        const targetAnchor = this.getAnchor(this.target);
+
+        ctx.globalAlpha = this.opacity;
+        if (baseAnchor && targetAnchor) {
+            const scale = targetAnchor.span > 0 ? baseAnchor.span / targetAnchor.span : 1;
+            // 向きが逆のセッションは左右反転して揃える
+            const flip = this.base.results.facing !== this.target.results.facing ? -1 : 1;
+
+            ctx.setTransform(
+                flip * scale, 0,
+                0, scale,
+                baseAnchor.x - flip * scale * targetAnchor.x,
+                baseAnchor.y - scale * targetAnchor.y
+            );
+        }
+        ctx.drawImage(targetCanvas, 0, 0);
+
+        ctx.setTransform(1, 0, 0, 1, 0, 0);
+        ctx.globalAlpha = 1;
+    }
+
+    /**
+     * 重ね合わせの基準点（足首）と縮尺の基準（肩〜足首の縦距離）をピクセルで取得
+     */
+    getAnchor(entry) {
+        const side = (entry.results.side || 'left').toUpperCase();
+        const ankle = entry.landmarks[this.LANDMARKS[`${side}_ANKLE`]];
+        const shoulder = entry.landmarks[this.LANDMARKS[`${side}_SHOULDER`]];
+        if (!ankle || ankle.visibility <= 0) {
+            return null;
+        }
+
+        const x = ankle.x * entry.canvas.width;
+        const y = ankle.y * entry.canvas.height;
+        const span = shoulder && shoulder.visibility > 0
+            ? (ankle.y - shoulder.y) * entry.canvas.height
+            : 0;
+
+        return { x, y, span };
+    }
+
+    /**
+     * 項目ごとのスコア変化表を描画
+     */
+    renderDeltaTable() {
+        const tbody = document.getElementById('comparisonDeltaBody');
+        tbody.innerHTML = '';
+
+        ComparisonView.buildDeltaRows(this.base.results, this.target.results).forEach(row => {
+            const tr = document.createElement('tr');
+            const deltaClass = row.delta === null ? '' : row.delta > 0 ? 'delta-up' : row.delta < 0 ? 'delta-down' : '';
+            const format = (score) => score === null ? '-' : score.toFixed(0);
+            const deltaText = row.delta === null ? '-' : `${row.delta > 0 ? '+' : ''}${row.delta.toFixed(0)}`;
+
+            tr.innerHTML = `
+                <td>${row.name}</td>
+                <td>${format(row.before)}</td>
+                <td>${format(row.after)}</td>
+                <td class="${deltaClass}">${deltaText}</td>
+            `;
+            tbody.appendChild(tr);
+        });
+
+        // 採点基準が異なるとスコアの差に基準の違いが含まれる
+        const baseProfile = ScoringProfile.formatSummary(this.base.results.profile) || '不明';
+        const targetProfile = ScoringProfile.formatSummary(this.target.results.profile) || '不明';
+        document.getElementById('comparisonProfileNote').textContent = baseProfile !== targetProfile
+            ? `⚠️ 採点プロファイルが異なります（${baseProfile} → ${targetProfile}）。スコアの差には採点基準の違いも含まれます`
+            : '';
+    }
+
+    /**
+     * 2つの評価結果の details を項目ごとに対応付けて変化量を計算
+     * 測定不可の項目は null
+     */
+    static buildDeltaRows(beforeResults, afterResults) {
+        const rows = [];
+        const scoreOf = (item) => item && item.measurable ? item.score : null;
+
+        const keys = [];
+        [...beforeResults.details, ...afterResults.details].forEach(item => {
+            if (!keys.includes(item.key)) keys.push(item.key);
+        });
+
+        keys.forEach(key => {
+            const before = beforeResults.details.find(item => item.key === key);
+            const after = afterResults.details.find(item => item.key === key);
+            const beforeScore = scoreOf(before);
+            const afterScore = scoreOf(after);
+
+            rows.push({
+                key: key,
+                name: (after || before).name,
+                before: beforeScore,
+                after: afterScore,
+                delta: beforeScore !== null && afterScore !== null ? afterScore - beforeScore : null
+            });
+        });
+
+        const beforeTotal = beforeResults.totalScore;
+        const afterTotal = afterResults.totalScore;
+        rows.push({
+            key: 'total',
+            name: '総合スコア',
+            before: beforeTotal,
+            after: afterTotal,
+            delta: beforeTotal !== null && afterTotal !== null ? afterTotal - beforeTotal : null
+        });
+
+        return rows;
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * ExerciseLibraryEditor - 設定パネルでエクササイズライブラリ（種目と推奨ルール）をJSONで編集する
+ */
+
+import { ExerciseLibrary } from '../recommendation/ExerciseLibrary.js';
+
+// 編集したライブラリの保存先（ブラウザのlocalStorage）
+const EXERCISE_LIBRARY_KEY = 'ai-posture-analysis.exerciseLibrary';
+
+export class ExerciseLibraryEditor {
+    /**
+     * onChange(library): ライブラリが保存・初期化されたとき
+     */
+    constructor({ onChange }) {
+        this.onChange = onChange;
+        this.library = null;
+    }
+
+    init() {
+        this.textArea = document.getElementById('exerciseLibraryText');
+        this.statusText = document.getElementById('exerciseLibraryStatus');
+
+        this.library = this.loadLibrary();
+        this.render();
+
+        document.getElementById('saveExerciseLibraryBtn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('resetExerciseLibraryBtn').addEventListener('click', () => {
+            if (!confirm('エクササイズライブラリを初期状態に戻しますか？編集内容は失われます')) return;
+
+            localStorage.removeItem(EXERCISE_LIBRARY_KEY);
+            this.library = ExerciseLibrary.createDefault();
+            this.render();
+            this.statusText.textContent = '↩️ 初期状態に戻しました';
+            this.onChange(this.library);
+        });
+    }
+
+    getLibrary() {
+        return this.library;
+    }
+
+    /**
+     * 保存済みのライブラリ（なければ、または読み込めなければ初期状態）
+     */
+    loadLibrary() {
+        const stored = localStorage.getItem(EXERCISE_LIBRARY_KEY);
+        if (!stored) {
+            return ExerciseLibrary.createDefault();
+        }
+
+        try {
+            return new ExerciseLibrary(JSON.parse(stored));
+        } catch (error) {
+            console.warn('⚠️ 保存されたエクササイズライブラリを読み込めません:', error.message);
+            return ExerciseLibrary.createDefault();
+        }
+    }
+
+    render() {
+        this.textArea.value = JSON.stringify(this.library.toJSON(), null, 2);
+        this.statusText.textContent = `${this.library.exercises.length}種目・${this.library.rules.length}ルール`;
+    }
+
+    save() {
+        let library;
+        try {
+            library = new ExerciseLibrary(JSON.parse(this.textArea.value));
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'JSONを解析できません' : error.message;
+            alert(`エクササイズライブラリを保存できません: ${message}`);
+            return;
+        }
+
+        localStorage.setItem(EXERCISE_LIBRARY_KEY, JSON.stringify(library.toJSON()));
+        this.library = library;
+        this.render();
+        this.statusText.textContent = `💾 保存しました（${library.exercises.length}種目・${library.rules.length}ルール）`;
+        this.onChange(library);
+    }
+}
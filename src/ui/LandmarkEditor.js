@@ -0,0 +1,137 @@
+/**
+ * LandmarkEditor - 解析Canvas上でランドマークをドラッグ修正・追加する
+ */
+
+import { CalibrationTool } from './CalibrationTool.js';
+
+// ドラッグ対象とみなす距離（表示上のピクセル）
+const HIT_RADIUS = 15;
+
+// 描画対象とする信頼度（PoseDetector.drawLandmarksManuallyと合わせる）
+const DRAW_VISIBILITY = 0.5;
+
+export class LandmarkEditor {
+    /**
+     * getLandmarks(): 編集対象のランドマーク配列（正規化座標）を返す
+     * onMove(index, x, y): ドラッグ・配置中に呼ばれる（正規化座標）
+     * onCommit(index): ドラッグ終了・配置完了時に呼ばれる
+     */
+    constructor(canvas, { getLandmarks, onMove, onCommit }) {
+        this.canvas = canvas;
+        this.getLandmarks = getLandmarks;
+        this.onMove = onMove;
+        this.onCommit = onCommit;
+
+        this.enabled = false;
+        this.dragIndex = null;
+        this.pendingAddIndex = null;
+
+        this.handlePointerDown = this.handlePointerDown.bind(this);
+        this.handlePointerMove = this.handlePointerMove.bind(this);
+        this.handlePointerUp = this.handlePointerUp.bind(this);
+    }
+
+    enable() {
+        if (this.enabled) return;
+        this.enabled = true;
+        this.canvas.classList.add('editing');
+        this.canvas.addEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.addEventListener('pointermove', this.handlePointerMove);
+        this.canvas.addEventListener('pointerup', this.handlePointerUp);
+        this.canvas.addEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    disable() {
+        this.enabled = false;
+        this.dragIndex = null;
+        this.pendingAddIndex = null;
+        this.canvas.classList.remove('editing');
+        this.canvas.removeEventListener('pointerdown', this.handlePointerDown);
+        this.canvas.removeEventListener('pointermove', this.handlePointerMove);
+        this.canvas.removeEventListener('pointerup', this.handlePointerUp);
+        this.canvas.removeEventListener('pointercancel', this.handlePointerUp);
+    }
+
+    /**
+     * 次のクリックで指定インデックスのランドマークを配置する
+     */
+    setPendingAdd(index) {
+        this.pendingAddIndex = index;
+    }
+
+    handlePointerDown(e) {
+        const landmarks = this.getLandmarks();
+        if (!landmarks) return;
+
+        const point = this.toNormalizedPoint(e);
+
+        // 追加モード: クリック位置に配置
+        if (this.pendingAddIndex !== null) {
+            const index = this.pendingAddIndex;
+            this.pendingAddIndex = null;
+            this.onMove(index, point.x, point.y);
+            this.onCommit(index);
+            return;
+        }
+
+        const index = this.findNearestLandmark(landmarks, e);
+        if (index === null) return;
+
+        e.preventDefault();
+        this.dragIndex = index;
+        this.canvas.setPointerCapture(e.pointerId);
+    }
+
+    handlePointerMove(e) {
+        if (this.dragIndex === null) return;
+
+        const point = this.toNormalizedPoint(e);
+        this.onMove(this.dragIndex, point.x, point.y);
+    }
+
+    handlePointerUp(e) {
+        if (this.dragIndex === null) return;
+
+        const index = this.dragIndex;
+        this.dragIndex = null;
+        if (this.canvas.hasPointerCapture(e.pointerId)) {
+            this.canvas.releasePointerCapture(e.pointerId);
+        }
+        this.onCommit(index);
+    }
+
+    /**
+     * ポインタ位置に最も近い描画済みランドマークを探す
+     */
+    findNearestLandmark(landmarks, e) {
+        const point = CalibrationTool.toCanvasPoint(this.canvas, e);
+        const rect = this.canvas.getBoundingClientRect();
+        const hitRadius = HIT_RADIUS * (this.canvas.width / rect.width);
+
+        let nearestIndex = null;
+        let nearestDistance = hitRadius;
+
+        landmarks.forEach((landmark, index) => {
+            if (landmark.visibility <= DRAW_VISIBILITY) return;
+
+            const distance = Math.hypot(
+                landmark.x * this.canvas.width - point.x,
+                landmark.y * this.canvas.height - point.y
+            );
+            if (distance <= nearestDistance) {
+                nearestDistance = distance;
+                nearestIndex = index;
+            }
+        });
+
+        return nearestIndex;
+    }
+
+    toNormalizedPoint(e) {
+        const point = CalibrationTool.toCanvasPoint(this.canvas, e);
+        return {
+            x: Math.min(1, Math.max(0, point.x / this.canvas.width)),
+            y: Math.min(1, Math.max(0, point.y / this.canvas.height))
+        };
+    }
+}
@@ -0,0 +1,275 @@
+/**
+ * LiveFeedback - Webカメラ映像に骨格・鉛直線を重ね、評価スコアをリアルタイム表示する
+ * 自動撮影が有効なときは CaptureGuide の案内・カウントダウンも重ねる
+ */
+
+// ランドマークの平滑化係数（大きいほど最新フレームを重視）
+const LANDMARK_SMOOTHING = 0.5;
+
+// スコアの平滑化係数（表示のちらつきを抑える）
+const SCORE_SMOOTHING = 0.3;
+
+export class LiveFeedback {
+    /**
+     * video: カメラ映像、canvas: 映像に重ねる描画用Canvas
+     * getView(): 'lateral' | 'frontal' | 'posterior'（撮影中の方向）
+     * getAnalysisOptions(): analyzeLateralView に渡すオプション
+     * onUpdate({ view, results, fps }): 評価結果（平滑化済み）が更新されたとき
+     * captureGuide: 自動撮影の判定（CaptureGuide）
+     * onGuide(guide): 自動撮影の案内が更新されたとき
+     * onAutoCapture(view): 撮影条件を満たしたとき
+     */
+    constructor({
+        video, canvas, poseDetector, kendallAnalyzer, postureOverlay,
+        getView, getAnalysisOptions, onUpdate, captureGuide, onGuide, onAutoCapture
+    }) {
+        this.video = video;
+        this.canvas = canvas;
+        this.poseDetector = poseDetector;
+        this.kendallAnalyzer = kendallAnalyzer;
+        this.postureOverlay = postureOverlay;
+        this.getView = getView;
+        this.getAnalysisOptions = getAnalysisOptions;
+        this.onUpdate = onUpdate;
+        this.captureGuide = captureGuide;
+        this.onGuide = onGuide;
+        this.onAutoCapture = onAutoCapture;
+
+        // スコア表示・自動撮影のどちらか（または両方）が有効な間だけ検出を続ける
+        this.showScores = false;
+        this.autoCapture = false;
+        this.running = false;
+        this.frameRequest = null;
+        this.reset();
+
+        this.tick = this.tick.bind(this);
+    }
+
+    /**
+     * 有効な機能を設定し、必要に応じて開始・停止する
+     */
+    configure({ scores, autoCapture }) {
+        this.showScores = scores;
+        if (autoCapture !== this.autoCapture) {
+            this.captureGuide.reset();
+        }
+        this.autoCapture = autoCapture;
+
+        if (scores || autoCapture) {
+            this.start();
+        } else {
+            this.stop();
+        }
+    }
+
+    start() {
+        if (this.running) return;
+        this.running = true;
+        this.reset();
+        this.canvas.style.display = 'block';
+        this.frameRequest = requestAnimationFrame(this.tick);
+    }
+
+    stop() {
+        this.running = false;
+        if (this.frameRequest !== null) {
+            cancelAnimationFrame(this.frameRequest);
+            this.frameRequest = null;
+        }
+        this.canvas.getContext('2d').clearRect(0, 0, this.canvas.width, this.canvas.height);
+        this.canvas.style.display = 'none';
+    }
+
+    /**
+     * 平滑化の状態をクリア（方向の切り替え時など）
+     */
+    reset() {
+        this.view = null;
+        this.landmarks = null;
+        this.scores = {};
+        this.lastFrameTime = null;
+        this.fps = 0;
+        if (this.captureGuide) {
+            this.captureGuide.reset();
+        }
+    }
+
+    /**
+     * 1フレーム分の検出・評価・描画（検出が終わってから次のフレームを要求する）
+     */
+    async tick() {
+        if (!this.running) return;
+
+        try {
+            if (this.video.readyState >= 2) {
+                const poseResult = await this.poseDetector.detectFrame(this.video);
+                if (this.running) {
+                    this.processFrame(poseResult);
+                }
+            }
+        } catch (error) {
+            console.error('❌ ライブ表示エラー:', error);
+        }
+
+        if (this.running) {
+            this.frameRequest = requestAnimationFrame(this.tick);
+        }
+    }
+
+    processFrame(poseResult) {
+        const view = this.getView();
+        if (view !== this.view) {
+            this.reset();
+            this.view = view;
+        }
+
+        this.updateFps();
+
+        const ctx = this.canvas.getContext('2d');
+        this.canvas.width = this.video.videoWidth;
+        this.canvas.height = this.video.videoHeight;
+        ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+
+        let landmarks = null;
+        let results = null;
+        if (poseResult) {
+            landmarks = this.smoothLandmarks(poseResult.poseLandmarks);
+            results = this.analyzeView(view, landmarks);
+            this.smoothScores(results);
+
+            this.poseDetector.drawLandmarks(this.canvas, { poseLandmarks: landmarks });
+            if (view === 'lateral') {
+                this.postureOverlay.drawLateral(this.canvas, landmarks, results);
+            } else {
+                this.postureOverlay.drawFrontal(this.canvas, landmarks);
+            }
+        } else {
+            this.landmarks = null;
+        }
+
+        if (this.showScores) {
+            this.onUpdate({ view, results, fps: this.fps });
+        }
+
+        if (this.autoCapture) {
+            const guide = this.captureGuide.update(landmarks, view, this.canvas.width / this.canvas.height);
+            this.drawGuide(guide);
+            this.onGuide(guide);
+            if (guide.state === 'capture') {
+                this.onAutoCapture(view);
+            }
+        }
+    }
+
+    /**
+     * 撮影中の方向の評価
+     */
+    analyzeView(view, landmarks) {
+        if (view === 'lateral') {
+            return this.kendallAnalyzer.analyzeLateralView(landmarks, { side: this.getAnalysisOptions().lateralSide });
+        }
+        return view === 'posterior'
+            ? this.kendallAnalyzer.analyzePosteriorView(landmarks)
+            : this.kendallAnalyzer.analyzeFrontalView(landmarks);
+    }
+
+    /**
+     * 案内メッセージ・静止の進み具合・カウントダウンを映像に重ねる
+     */
+    drawGuide(guide) {
+        const ctx = this.canvas.getContext('2d');
+        const { width, height } = this.canvas;
+        const unit = Math.max(width, height) / 800;
+
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+
+        // 上部の案内メッセージ
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(0, 0, width, 50 * unit);
+        ctx.font = `bold ${24 * unit}px sans-serif`;
+        ctx.fillStyle = guide.state === 'guide' ? '#F39C12' : '#FFFFFF';
+        ctx.fillText(guide.message, width / 2, 25 * unit);
+
+        // 静止の進み具合
+        if (guide.state === 'hold') {
+            ctx.fillStyle = '#50C878';
+            ctx.fillRect(0, 50 * unit, width * guide.progress, 6 * unit);
+        }
+
+        // 撮影までのカウントダウン
+        if (guide.state === 'countdown') {
+            ctx.font = `bold ${160 * unit}px sans-serif`;
+            ctx.lineWidth = 6 * unit;
+            ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+            const count = String(Math.ceil(guide.remaining / 1000));
+            ctx.strokeText(count, width / 2, height / 2);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(count, width / 2, height / 2);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * ランドマーク座標の指数移動平均
+     */
+    smoothLandmarks(landmarks) {
+        if (!this.landmarks) {
+            this.landmarks = landmarks.map(landmark => ({ ...landmark }));
+            return this.landmarks;
+        }
+
+        this.landmarks = landmarks.map((landmark, index) => {
+            const previous = this.landmarks[index];
+            // 直前に見えていなかった点は平滑化せずに置き換える
+            if (previous.visibility <= 0) {
+                return { ...landmark };
+            }
+            const blend = (a, b) => a + (b - a) * LANDMARK_SMOOTHING;
+            return {
+                x: blend(previous.x, landmark.x),
+                y: blend(previous.y, landmark.y),
+                z: blend(previous.z, landmark.z),
+                visibility: blend(previous.visibility, landmark.visibility)
+            };
+        });
+        return this.landmarks;
+    }
+
+    /**
+     * 項目スコアと総合スコアの指数移動平均（results を書き換える）
+     */
+    smoothScores(results) {
+        const smooth = (key, score) => {
+            const previous = this.scores[key];
+            const value = previous === undefined ? score : previous + (score - previous) * SCORE_SMOOTHING;
+            this.scores[key] = value;
+            return value;
+        };
+
+        results.details.forEach(item => {
+            if (item.measurable) {
+                item.score = smooth(item.key, item.score);
+            } else {
+                delete this.scores[item.key];
+            }
+        });
+
+        if (results.totalScore !== null) {
+            results.totalScore = smooth('total', results.totalScore);
+        } else {
+            delete this.scores.total;
+        }
+    }
+
+    updateFps() {
+        const now = performance.now();
+        if (this.lastFrameTime !== null) {
+            const current = 1000 / (now - this.lastFrameTime);
+            this.fps = this.fps ? this.fps + (current - this.fps) * 0.1 : current;
+        }
+        this.lastFrameTime = now;
+    }
+}
@@ -0,0 +1,83 @@
+/**
+ * MuscleRulesEditor - 設定パネルで筋のアンバランス推定ルールをJSONで編集する
+ */
+
+import { MuscleImbalanceRules } from '../analysis/MuscleImbalanceRules.js';
+
+// 編集したルールの保存先（ブラウザのlocalStorage）
+const MUSCLE_RULES_KEY = 'ai-posture-analysis.muscleRules';
+
+export class MuscleRulesEditor {
+    /**
+     * onChange(rules): ルールが保存・初期化されたとき
+     */
+    constructor({ onChange }) {
+        this.onChange = onChange;
+        this.rules = null;
+    }
+
+    init() {
+        this.textArea = document.getElementById('muscleRulesText');
+        this.statusText = document.getElementById('muscleRulesStatus');
+
+        this.rules = this.loadRules();
+        this.render();
+
+        document.getElementById('saveMuscleRulesBtn').addEventListener('click', () => {
+            this.save();
+        });
+
+        document.getElementById('resetMuscleRulesBtn').addEventListener('click', () => {
+            if (!confirm('筋のアンバランス推定ルールを初期状態に戻しますか？編集内容は失われます')) return;
+
+            localStorage.removeItem(MUSCLE_RULES_KEY);
+            this.rules = MuscleImbalanceRules.createDefault();
+            this.render();
+            this.statusText.textContent = '↩️ 初期状態に戻しました';
+            this.onChange(this.rules);
+        });
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * 保存済みのルール（なければ、または読み込めなければ初期状態）
+     */
+    loadRules() {
+        const stored = localStorage.getItem(MUSCLE_RULES_KEY);
+        if (!stored) {
+            return MuscleImbalanceRules.createDefault();
+        }
+
+        try {
+            return new MuscleImbalanceRules(JSON.parse(stored));
+        } catch (error) {
+            console.warn('⚠️ 保存された筋のアンバランス推定ルールを読み込めません:', error.message);
+            return MuscleImbalanceRules.createDefault();
+        }
+    }
+
+    render() {
+        this.textArea.value = JSON.stringify(this.rules.toJSON(), null, 2);
+        this.statusText.textContent = `${this.rules.rules.length}ルール`;
+    }
+
+    save() {
+        let rules;
+        try {
+            rules = new MuscleImbalanceRules(JSON.parse(this.textArea.value));
+        } catch (error) {
+            const message = error instanceof SyntaxError ? 'JSONを解析できません' : error.message;
+            alert(`筋のアンバランス推定ルールを保存できません: ${message}`);
+            return;
+        }
+
+        localStorage.setItem(MUSCLE_RULES_KEY, JSON.stringify(rules.toJSON()));
+        this.rules = rules;
+        this.render();
+        this.statusText.textContent = `💾 保存しました（${rules.rules.length}ルール）`;
+        this.onChange(rules);
+    }
+}
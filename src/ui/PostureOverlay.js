@@ -0,0 +1,250 @@
+/**
+ * PostureOverlay - 鉛直線（プラムライン）と偏位の描画
+ */
+
+import { PoseDetector } from '../pose/PoseDetector.js';
+
+// 評価項目と偏位を示すランドマーク（部位名）の対応
+const ITEM_LANDMARKS = {
+    headPosture: 'EAR',
+    shoulderPosition: 'SHOULDER',
+    pelvicTilt: 'HIP',
+    kneePosition: 'KNEE'
+};
+
+// ケンダル法のチェックポイント（鉛直線が通る理想位置）
+const CHECKPOINTS = [
+    { part: 'EAR', label: '耳垂' },
+    { part: 'SHOULDER', label: '肩峰' },
+    { part: 'HIP', label: '大転子' },
+    { part: 'KNEE', label: '膝関節のやや前方' }
+];
+
+// 膝は鉛直線のやや後方にあるのが理想（大腿長に対する割合）
+const KNEE_POSTERIOR_RATIO = 0.04;
+
+export class PostureOverlay {
+    constructor() {
+        this.LANDMARKS = PoseDetector.LANDMARKS;
+    }
+
+    /**
+     * 側面観の鉛直線・チェックポイント・偏位矢印を描画
+     * results は KendallAnalyzer.analyzeLateralView の結果
+     */
+    drawLateral(canvas, landmarks, results) {
+        const side = results.side || 'left';
+        const get = (part) => landmarks[this.LANDMARKS[`${side.toUpperCase()}_${part}`]];
+        const ankle = get('ANKLE');
+        if (!ankle || ankle.visibility <= 0) {
+            return;
+        }
+
+        const ctx = canvas.getContext('2d');
+        const unit = Math.max(canvas.width, canvas.height) / 800;
+        const forward = results.facing === 'left' ? -1 : 1;
+        const plumbX = ankle.x * canvas.width;
+
+        ctx.save();
+
+        // 外果を通る鉛直線
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2 * unit;
+        ctx.setLineDash([10 * unit, 6 * unit]);
+        ctx.beginPath();
+        ctx.moveTo(plumbX, 0);
+        ctx.lineTo(plumbX, canvas.height);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        // 理想のチェックポイント
+        const idealPoints = {};
+        CHECKPOINTS.forEach(({ part, label }) => {
+            const landmark = get(part);
+            if (!landmark || landmark.visibility <= 0) return;
+
+            let idealX = plumbX;
+            if (part === 'KNEE') {
+                const hip = get('HIP');
+                const thighLength = hip ? Math.abs(landmark.y - hip.y) * canvas.height : 0;
+                idealX -= forward * thighLength * KNEE_POSTERIOR_RATIO;
+            }
+            const y = landmark.y * canvas.height;
+            idealPoints[part] = { x: idealX, y };
+
+            ctx.beginPath();
+            ctx.arc(idealX, y, 5 * unit, 0, 2 * Math.PI);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fill();
+            ctx.strokeStyle = '#333333';
+            ctx.lineWidth = 1.5 * unit;
+            ctx.stroke();
+
+            this.drawLabel(ctx, label, idealX - forward * 10 * unit, y, unit, forward < 0 ? 'left' : 'right', '#FFFFFF');
+        });
+
+        // 評価項目ごとの偏位矢印
+        results.details.forEach(item => {
+            if (!item.measurable) return;
+
+            const part = ITEM_LANDMARKS[item.key];
+            if (part && idealPoints[part]) {
+                const landmark = get(part);
+                const from = idealPoints[part];
+                const to = { x: landmark.x * canvas.width, y: from.y };
+                this.drawDeviationArrow(ctx, from, to, item, unit, forward);
+            }
+        });
+
+        // 脊柱アライメントは肩-股関節の線として表示
+        const spinal = results.details.find(item => item.key === 'spinalAlignment');
+        if (spinal && spinal.measurable) {
+            const shoulder = get('SHOULDER');
+            const hip = get('HIP');
+            ctx.strokeStyle = PostureOverlay.getScoreColor(spinal.score);
+            ctx.lineWidth = 3 * unit;
+            ctx.beginPath();
+            ctx.moveTo(shoulder.x * canvas.width, shoulder.y * canvas.height);
+            ctx.lineTo(hip.x * canvas.width, hip.y * canvas.height);
+            ctx.stroke();
+
+            const midX = (shoulder.x + hip.x) / 2 * canvas.width;
+            const midY = (shoulder.y + hip.y) / 2 * canvas.height;
+            this.drawLabel(
+                ctx,
+                this.formatItemLabel(spinal),
+                midX + forward * 12 * unit,
+                midY,
+                unit,
+                forward > 0 ? 'left' : 'right',
+                PostureOverlay.getScoreColor(spinal.score)
+            );
+        }
+
+        // 足首アライメントは鉛直線の基点（外果）に表示
+        const ankleItem = results.details.find(item => item.key === 'ankleAlignment');
+        if (ankleItem && ankleItem.measurable) {
+            const color = PostureOverlay.getScoreColor(ankleItem.score);
+            const ankleY = ankle.y * canvas.height;
+
+            ctx.beginPath();
+            ctx.arc(plumbX, ankleY, 7 * unit, 0, 2 * Math.PI);
+            ctx.strokeStyle = color;
+            ctx.lineWidth = 3 * unit;
+            ctx.stroke();
+
+            this.drawLabel(
+                ctx,
+                this.formatItemLabel(ankleItem),
+                plumbX + forward * 12 * unit,
+                ankleY,
+                unit,
+                forward > 0 ? 'left' : 'right',
+                color
+            );
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * 正面観の鉛直線（両足首の中点を通る）を描画
+     */
+    drawFrontal(canvas, landmarks) {
+        const leftAnkle = landmarks[this.LANDMARKS.LEFT_ANKLE];
+        const rightAnkle = landmarks[this.LANDMARKS.RIGHT_ANKLE];
+        if (!leftAnkle || !rightAnkle || leftAnkle.visibility <= 0 || rightAnkle.visibility <= 0) {
+            return;
+        }
+
+        const ctx = canvas.getContext('2d');
+        const unit = Math.max(canvas.width, canvas.height) / 800;
+        const plumbX = (leftAnkle.x + rightAnkle.x) / 2 * canvas.width;
+
+        ctx.save();
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+        ctx.lineWidth = 2 * unit;
+        ctx.setLineDash([10 * unit, 6 * unit]);
+        ctx.beginPath();
+        ctx.moveTo(plumbX, 0);
+        ctx.lineTo(plumbX, canvas.height);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 理想位置から実際の位置への矢印と値・スコアを描画
+     */
+    drawDeviationArrow(ctx, from, to, item, unit, forward) {
+        const color = PostureOverlay.getScoreColor(item.score);
+        const length = to.x - from.x;
+
+        ctx.strokeStyle = color;
+        ctx.fillStyle = color;
+        ctx.lineWidth = 3 * unit;
+
+        if (Math.abs(length) > 3 * unit) {
+            const direction = Math.sign(length);
+            const headSize = Math.min(10 * unit, Math.abs(length));
+
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+
+            ctx.beginPath();
+            ctx.moveTo(to.x, to.y);
+            ctx.lineTo(to.x - direction * headSize, to.y - headSize / 2);
+            ctx.lineTo(to.x - direction * headSize, to.y + headSize / 2);
+            ctx.closePath();
+            ctx.fill();
+        }
+
+        const labelX = forward > 0 ? Math.max(from.x, to.x) : Math.min(from.x, to.x);
+        this.drawLabel(
+            ctx,
+            this.formatItemLabel(item),
+            labelX + forward * 12 * unit,
+            to.y - 12 * unit,
+            unit,
+            forward > 0 ? 'left' : 'right',
+            color
+        );
+    }
+
+    /**
+     * 項目名・値（キャリブレーション済みならcm）・スコアのラベル文字列
+     */
+    formatItemLabel(item) {
+        const value = item.valueCm !== undefined ? `${item.valueCm.toFixed(1)}cm` : item.value;
+        return `${item.name} ${value}（${item.score.toFixed(0)}点）`;
+    }
+
+    /**
+     * 背景付きのラベルを描画
+     */
+    drawLabel(ctx, text, x, y, unit, align, color) {
+        const fontSize = 13 * unit;
+        ctx.font = `bold ${fontSize}px sans-serif`;
+        ctx.textAlign = align;
+        ctx.textBaseline = 'middle';
+
+        const width = ctx.measureText(text).width;
+        const left = align === 'left' ? x : x - width;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.fillRect(left - 4 * unit, y - fontSize * 0.7, width + 8 * unit, fontSize * 1.4);
+
+        ctx.fillStyle = color;
+        ctx.fillText(text, x, y);
+    }
+
+    /**
+     * スコア帯に応じた色（説明文の優秀/良好/注意/要改善と対応）
+     */
+    static getScoreColor(score) {
+        if (score >= 90) return '#50C878';
+        if (score >= 70) return '#F1C40F';
+        if (score >= 50) return '#F39C12';
+        return '#E74C3C';
+    }
+}
@@ -0,0 +1,287 @@
+/**
+ * ScoringProfileEditor - 設定パネルで採点プロファイルを選択・編集する
+ *
+ * プリセットは編集できないため、プリセットを編集して保存すると新しいカスタムプロファイルになる。
+ * カスタムプロファイルを保存し直すたびにバージョンを1つ上げる。
+ */
+
+import { ScoringProfile } from '../analysis/ScoringProfile.js';
+
+// カスタムプロファイルと選択中のプロファイルの保存先（ブラウザのlocalStorage）
+const CUSTOM_PROFILES_KEY = 'ai-posture-analysis.scoringProfiles';
+const SELECTED_PROFILE_KEY = 'ai-posture-analysis.scoringProfile';
+
+const CURVE_LABELS = {
+    linear: '比例',
+    quadratic: '加速'
+};
+
+export class ScoringProfileEditor {
+    /**
+     * onChange(profile): 選択中の採点プロファイルが変わったとき
+     */
+    constructor({ onChange }) {
+        this.onChange = onChange;
+        this.customProfiles = [];
+        this.profile = null;
+    }
+
+    init() {
+        this.select = document.getElementById('scoringProfileSelect');
+        this.nameInput = document.getElementById('profileNameInput');
+        this.itemsBody = document.getElementById('profileItemsBody');
+        this.jsonText = document.getElementById('profileJsonText');
+        this.statusText = document.getElementById('profileEditorStatus');
+        this.deleteBtn = document.getElementById('deleteProfileBtn');
+
+        this.customProfiles = this.loadCustomProfiles();
+        this.profile = this.findProfile(localStorage.getItem(SELECTED_PROFILE_KEY))
+            || ScoringProfile.fromPreset(ScoringProfile.DEFAULT_ID);
+        this.renderSelect();
+        this.renderEditor();
+
+        this.select.addEventListener('change', () => {
+            this.selectProfile(this.select.value);
+        });
+
+        document.getElementById('saveProfileBtn').addEventListener('click', () => {
+            this.save();
+        });
+
+        this.deleteBtn.addEventListener('click', () => {
+            this.deleteCurrent();
+        });
+
+        document.getElementById('exportProfileJsonBtn').addEventListener('click', () => {
+            this.jsonText.value = JSON.stringify(this.profile.toJSON(), null, 2);
+            this.setStatus('現在のプロファイルをJSONで表示しました');
+        });
+
+        document.getElementById('importProfileJsonBtn').addEventListener('click', () => {
+            this.importJson();
+        });
+    }
+
+    getProfile() {
+        return this.profile;
+    }
+
+    selectProfile(id) {
+        const profile = this.findProfile(id);
+        if (!profile) return;
+
+        this.profile = profile;
+        localStorage.setItem(SELECTED_PROFILE_KEY, profile.id);
+        this.renderSelect();
+        this.renderEditor();
+        this.setStatus('');
+        this.onChange(profile);
+    }
+
+    findProfile(id) {
+        if (!id) return null;
+        if (ScoringProfile.PRESETS.some(preset => preset.id === id)) {
+            return ScoringProfile.fromPreset(id);
+        }
+        const custom = this.customProfiles.find(profile => profile.id === id);
+        return custom ? new ScoringProfile(structuredClone(custom)) : null;
+    }
+
+    /**
+     * 保存済みのカスタムプロファイル（読み込めないものは読み飛ばす）
+     */
+    loadCustomProfiles() {
+        let stored = [];
+        try {
+            stored = JSON.parse(localStorage.getItem(CUSTOM_PROFILES_KEY) || '[]');
+        } catch (error) {
+            console.error('❌ 採点プロファイルの読み込みエラー:', error);
+        }
+
+        return stored.filter(data => {
+            try {
+                ScoringProfile.validate(structuredClone(data));
+                return true;
+            } catch (error) {
+                console.warn(`⚠️ 採点プロファイル「${data?.name}」を読み込めません:`, error.message);
+                return false;
+            }
+        });
+    }
+
+    storeCustomProfiles() {
+        localStorage.setItem(CUSTOM_PROFILES_KEY, JSON.stringify(this.customProfiles));
+    }
+
+    renderSelect() {
+        const option = (profile, suffix = '') => {
+            const element = document.createElement('option');
+            element.value = profile.id;
+            element.textContent = `${profile.name}（v${profile.version}）${suffix}`;
+            return element;
+        };
+
+        this.select.innerHTML = '';
+        ScoringProfile.PRESETS.forEach(preset => this.select.appendChild(option(preset)));
+        this.customProfiles.forEach(profile => this.select.appendChild(option(profile, '★')));
+        this.select.value = this.profile.id;
+    }
+
+    /**
+     * 項目ごとの許容値・傾き・曲線・重み・段階の境界を表で表示
+     */
+    renderEditor() {
+        this.nameInput.value = this.profile.builtIn ? `${this.profile.name}（カスタム）` : this.profile.name;
+        this.deleteBtn.disabled = this.profile.builtIn;
+        this.itemsBody.innerHTML = '';
+
+        ScoringProfile.ITEMS.forEach(({ key, name, view, unit, distance }) => {
+            const item = this.profile.getItem(key);
+            const curveOptions = ScoringProfile.CURVES.map(curve =>
+                `<option value="${curve}"${curve === item.curve ? ' selected' : ''}>${CURVE_LABELS[curve]}</option>`
+            ).join('');
+
+            const tr = document.createElement('tr');
+            tr.dataset.key = key;
+            tr.innerHTML = `
+                <td>${name}<span class="profile-item-view">${ScoringProfile.VIEW_LABELS[view]}</span></td>
+                <td><input type="number" data-field="tolerance" value="${item.tolerance}" min="0" step="any">${unit}</td>
+                <td><input type="number" data-field="slope" value="${item.slope}" min="0" step="any"></td>
+                <td>${distance ? `<input type="number" data-field="toleranceCm" value="${item.toleranceCm}" min="0" step="any">cm` : '-'}</td>
+                <td>${distance ? `<input type="number" data-field="slopeCm" value="${item.slopeCm}" min="0" step="any">` : '-'}</td>
+                <td><select data-field="curve">${curveOptions}</select></td>
+                <td><input type="number" data-field="weight" value="${item.weight}" min="0" step="0.1"></td>
+                <td class="profile-bands"></td>
+            `;
+
+            // 段階の文言は取り込んだ JSON の値なので、属性に埋め込まず title に設定する
+            const bandInputs = item.bands.map((band, index) => {
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.dataset.band = index;
+                input.value = band.min;
+                input.min = 0;
+                input.max = 100;
+                input.step = 1;
+                input.title = band.text;
+                return input;
+            });
+            tr.querySelector('.profile-bands').append(...bandInputs);
+            this.itemsBody.appendChild(tr);
+        });
+    }
+
+    /**
+     * 表の入力値からプロファイルのデータを組み立てる（所見の文言は現在のプロファイルから引き継ぐ）
+     */
+    readEditor() {
+        const items = {};
+        this.itemsBody.querySelectorAll('tr').forEach(tr => {
+            const current = this.profile.getItem(tr.dataset.key);
+            const number = (field) => parseFloat(tr.querySelector(`[data-field="${field}"]`).value);
+
+            items[tr.dataset.key] = {
+                tolerance: number('tolerance'),
+                slope: number('slope'),
+                curve: tr.querySelector('[data-field="curve"]').value,
+                weight: number('weight'),
+                bands: current.bands.map((band, index) => ({
+                    min: parseFloat(tr.querySelector(`[data-band="${index}"]`).value),
+                    text: band.text
+                }))
+            };
+            // 距離の項目は cm の基準も持つ
+            if (tr.querySelector('[data-field="toleranceCm"]')) {
+                items[tr.dataset.key].toleranceCm = number('toleranceCm');
+                items[tr.dataset.key].slopeCm = number('slopeCm');
+            }
+        });
+        return items;
+    }
+
+    /**
+     * 編集内容を保存（プリセットからは新規作成、カスタムはバージョンを上げて上書き）
+     */
+    save() {
+        const name = this.nameInput.value.trim();
+        if (!name) {
+            alert('プロファイル名を入力してください');
+            return;
+        }
+
+        const isNew = this.profile.builtIn;
+        const data = {
+            id: isNew ? `custom-${Date.now().toString(36)}` : this.profile.id,
+            name: name,
+            version: isNew ? 1 : this.profile.version + 1,
+            items: this.readEditor()
+        };
+
+        try {
+            this.storeProfile(data);
+        } catch (error) {
+            alert(`採点プロファイルを保存できません: ${error.message}`);
+            return;
+        }
+        this.setStatus(`💾 「${name}」v${data.version} を保存しました`);
+    }
+
+    /**
+     * JSONで貼り付けたプロファイルを取り込む（所見の文言もここで編集できる）
+     */
+    importJson() {
+        let data;
+        try {
+            data = JSON.parse(this.jsonText.value);
+        } catch (error) {
+            alert('JSONを解析できません');
+            return;
+        }
+
+        if (ScoringProfile.PRESETS.some(preset => preset.id === data?.id)) {
+            alert('プリセットと同じIDのプロファイルは取り込めません。idを変更してください');
+            return;
+        }
+
+        // 同じIDのカスタムプロファイルがあれば、それより新しいバージョンとして取り込む
+        const existing = this.customProfiles.find(profile => profile.id === data?.id);
+        if (existing && !(data.version > existing.version)) {
+            data.version = existing.version + 1;
+        }
+
+        try {
+            this.storeProfile({ ...data, builtIn: false });
+        } catch (error) {
+            alert(`採点プロファイルを取り込めません: ${error.message}`);
+            return;
+        }
+        this.setStatus(`📥 「${data.name}」v${data.version} を取り込みました`);
+    }
+
+    storeProfile(data) {
+        const profile = new ScoringProfile(data);
+        const stored = profile.toJSON();
+
+        const index = this.customProfiles.findIndex(custom => custom.id === stored.id);
+        if (index >= 0) {
+            this.customProfiles[index] = stored;
+        } else {
+            this.customProfiles.push(stored);
+        }
+        this.storeCustomProfiles();
+        this.selectProfile(stored.id);
+    }
+
+    deleteCurrent() {
+        if (this.profile.builtIn) return;
+        if (!confirm(`採点プロファイル「${this.profile.name}」を削除しますか？`)) return;
+
+        this.customProfiles = this.customProfiles.filter(profile => profile.id !== this.profile.id);
+        this.storeCustomProfiles();
+        this.selectProfile(ScoringProfile.DEFAULT_ID);
+    }
+
+    setStatus(message) {
+        this.statusText.textContent = message;
+    }
+}
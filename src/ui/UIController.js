@@ -1,13 +1,94 @@
 /**
- * UIController - UI状態管理とイベント処理（2方向対応）
+ * UIController - UI状態管理とイベント処理（3方向対応）
  */
 
+import { CalibrationTool } from './CalibrationTool.js';
+import { LandmarkEditor } from './LandmarkEditor.js';
+import { ComparisonView } from './ComparisonView.js';
+import { PostureOverlay } from './PostureOverlay.js';
+import { ScoringProfile } from '../analysis/ScoringProfile.js';
+import { ExerciseLibrary } from '../recommendation/ExerciseLibrary.js';
+import { BodyDiagram } from './BodyDiagram.js';
+import { TiltCorrection } from '../analysis/TiltCorrection.js';
+import { Calibration } from '../analysis/Calibration.js';
+
+// 施設名の保存キー（localStorage）
+const CLINIC_NAME_KEY = 'ai-posture-analysis.clinicName';
+
+// Apps Script ウェブアプリURLの保存キー（未設定時は VITE_SLIDES_ENDPOINT_URL を使う）
+const SLIDES_ENDPOINT_KEY = 'ai-posture-analysis.slidesEndpoint';
+
+// 人物を中心にした切り出し（2段階検出）の設定の保存キー（localStorage）
+const PERSON_CROP_KEY = 'ai-posture-analysis.personCrop';
+
+// 傾き補正の基準線の種類ごとの案内
+const TILT_LINE_HINTS = {
+    vertical: '鉛直な線（ドア枠・壁の角など）',
+    horizontal: '水平な線（床と壁の境目など）'
+};
+
+const TILT_STATUS_DEFAULT = '解析後、画像上の鉛直・水平な線の両端をクリックすると、カメラの傾きを補正して評価します（カメラ撮影時は端末の傾きセンサーの値を自動で使います）';
+
+// 評価する方向（カメラでの撮影順）と表示名
+const VIEW_LABELS = {
+    lateral: '側面観',
+    frontal: '正面観',
+    posterior: '後面観'
+};
+const VIEWS = Object.keys(VIEW_LABELS);
+
+// 手動で追加できるランドマーク（MediaPipe形式のインデックス）
+const EDITABLE_LANDMARKS = [
+    { index: 0, label: '鼻' },
+    { index: 7, label: '左耳' },
+    { index: 8, label: '右耳' },
+    { index: 11, label: '左肩' },
+    { index: 12, label: '右肩' },
+    { index: 23, label: '左股関節' },
+    { index: 24, label: '右股関節' },
+    { index: 25, label: '左膝' },
+    { index: 26, label: '右膝' },
+    { index: 27, label: '左足首' },
+    { index: 28, label: '右足首' },
+    { index: 29, label: '左踵' },
+    { index: 30, label: '右踵' },
+    { index: 31, label: '左つま先' },
+    { index: 32, label: '右つま先' }
+];
+
+/**
+ * クラス名と文字列（textContent として設定）を指定して要素を作る
+ */
+function createElement(tag, className = '', text = null) {
+    const element = document.createElement(tag);
+    if (className) {
+        element.className = className;
+    }
+    if (text !== null) {
+        element.textContent = text;
+    }
+    return element;
+}
+
 export class UIController {
     constructor() {
         this.eventListeners = {};
         this.currentTab = 'upload';
         this.cameraStream = null;
-        this.currentCameraView = 'lateral'; // 'lateral' or 'frontal'
+        this.currentCameraView = 'lateral'; // 'lateral' | 'frontal' | 'posterior'
+        this.liveMode = false;
+        this.calibrationTools = {};
+        this.landmarkEditors = {};
+        this.comparisonView = new ComparisonView();
+        this.editableLandmarks = {
+            lateral: null,
+            frontal: null,
+            posterior: null
+        };
+
+        // カメラ撮影中の端末の重力加速度（傾き補正用、センサーがなければ null）
+        this.deviceGravity = null;
+        this.handleDeviceMotion = this.handleDeviceMotion.bind(this);
     }
 
     init() {
@@ -15,6 +96,11 @@ export class UIController {
         this.setupImageUpload();
         this.setupCamera();
         this.setupButtons();
+        this.setupSettings();
+        this.setupCalibration();
+        this.setupLandmarkEditing();
+        this.setupClients();
+        this.comparisonView.init();
     }
 
     /**
@@ -62,14 +148,12 @@ export class UIController {
     }
 
     /**
-     * 画像アップロード機能（2方向対応）
+     * 画像アップロード機能（3方向対応）
      */
     setupImageUpload() {
-        // 側面観
-        this.setupSingleImageUpload('lateral', 'lateralImageUpload', 'lateralUploadArea', 'lateralPreview', 'lateralPreviewImg', 'lateralRemove');
-        
-        // 正面観
-        this.setupSingleImageUpload('frontal', 'frontalImageUpload', 'frontalUploadArea', 'frontalPreview', 'frontalPreviewImg', 'frontalRemove');
+        VIEWS.forEach(view => {
+            this.setupSingleImageUpload(view, `${view}ImageUpload`, `${view}UploadArea`, `${view}Preview`, `${view}PreviewImg`, `${view}Remove`);
+        });
     }
 
     setupSingleImageUpload(view, inputId, areaId, previewId, previewImgId, removeId) {
@@ -107,18 +191,19 @@ export class UIController {
             uploadArea.classList.remove('dragover');
 
             const file = e.dataTransfer.files[0];
-            if (file && file.type.startsWith('image/')) {
+            if (file && (file.type.startsWith('image/') || file.type.startsWith('video/'))) {
                 this.handleImageFile(file, view, uploadArea, preview, previewImg);
             } else {
-                alert('画像ファイルを選択してください');
+                alert('画像または動画ファイルを選択してください');
             }
         });
 
-        // 削除ボタン
+        // 削除ボタン（その方向を解析の対象から外す）
         removeBtn.addEventListener('click', () => {
             preview.style.display = 'none';
             uploadArea.style.display = 'block';
             fileInput.value = '';
+            this.emit('imageRemoved', view);
         });
     }
 
@@ -126,6 +211,12 @@ export class UIController {
      * 画像ファイルを処理
      */
     handleImageFile(file, view, uploadArea, preview, previewImg) {
+        // 動画は数秒分のフレームを平均して解析する（プレビューは解析に使う代表フレーム）
+        if (file.type.startsWith('video/')) {
+            this.emit('videoUploaded', { view, file });
+            return;
+        }
+
         const reader = new FileReader();
         reader.onload = (e) => {
             const imageData = e.target.result;
@@ -136,11 +227,7 @@ export class UIController {
             preview.style.display = 'block';
             
             // イベント発火
-            if (view === 'lateral') {
-                this.emit('lateralImageUploaded', imageData);
-            } else {
-                this.emit('frontalImageUploaded', imageData);
-            }
+            this.emit('imageUploaded', { view, imageData });
         };
         reader.readAsDataURL(file);
     }
@@ -152,6 +239,8 @@ export class UIController {
         const startBtn = document.getElementById('startCamera');
         const captureBtn = document.getElementById('capturePhoto');
         const stopBtn = document.getElementById('stopCamera');
+        const liveBtn = document.getElementById('liveModeBtn');
+        const burstBtn = document.getElementById('captureBurst');
         const video = document.getElementById('cameraVideo');
         const canvas = document.getElementById('cameraCanvas');
         const statusText = document.getElementById('cameraStatusText');
@@ -168,6 +257,9 @@ export class UIController {
                 video.style.display = 'block';
                 canvas.style.display = 'none';
 
+                // 撮影時の傾き補正のため端末の傾きセンサーを読む（iOSはボタン操作中に許可を求める）
+                await this.startDeviceMotion();
+
                 // 側面観から開始
                 this.currentCameraView = 'lateral';
                 statusText.textContent = '側面観を撮影してください';
@@ -177,6 +269,10 @@ export class UIController {
                 startBtn.disabled = true;
                 captureBtn.disabled = false;
                 stopBtn.disabled = false;
+                liveBtn.disabled = false;
+                burstBtn.disabled = false;
+
+                this.emitCameraFeedbackChange();
 
             } catch (error) {
                 console.error('カメラ起動エラー:', error);
@@ -186,6 +282,42 @@ export class UIController {
 
         // 写真撮影
         captureBtn.addEventListener('click', () => {
+            this.captureCurrentView();
+        });
+
+        // 連続撮影（数秒分のフレームを平均）
+        burstBtn.addEventListener('click', () => {
+            this.emit('burstCaptureClick', this.currentCameraView);
+        });
+
+        // 自動撮影（全身・向き・静止を確認してから撮影）
+        document.getElementById('autoCaptureCheckbox').addEventListener('change', () => {
+            this.emitCameraFeedbackChange();
+        });
+
+        // ライブ評価の開始・停止
+        liveBtn.addEventListener('click', () => {
+            this.setLiveMode(!this.liveMode);
+        });
+
+        // カメラ停止
+        stopBtn.addEventListener('click', () => {
+            this.stopCamera();
+        });
+    }
+
+    /**
+     * 撮影中の方向の画像を撮影し、次の方向へ進める（手動・自動・連続撮影共通）
+     * burst: 連続撮影の記録（BurstRecorder）。その代表フレームを撮影画像とする
+     */
+    captureCurrentView(burst = null) {
+        const video = document.getElementById('cameraVideo');
+        const canvas = document.getElementById('cameraCanvas');
+        const statusText = document.getElementById('cameraStatusText');
+        const viewTitle = document.getElementById('cameraViewTitle');
+
+        let imageData = burst ? burst.imageData : null;
+        if (!imageData) {
             const ctx = canvas.getContext('2d');
             
             // Canvasサイズをビデオに合わせる
@@ -200,30 +332,163 @@ export class UIController {
             canvas.style.display = 'block';
 
             // 画像データを取得
-            const imageData = canvas.toDataURL('image/jpeg');
+            imageData = canvas.toDataURL('image/jpeg');
+        }
+        
+        // イベント発火
+        this.emit('photoCapture', {
+            view: this.currentCameraView,
+            imageData,
+            burst,
+            deviceOrientation: this.getDeviceOrientation()
+        });
+
+        // 次の方向に切り替え（側面観 → 正面観 → 後面観）
+        const nextView = VIEWS[VIEWS.indexOf(this.currentCameraView) + 1];
+        if (nextView) {
+            this.currentCameraView = nextView;
+            statusText.textContent = `${VIEW_LABELS[nextView]}を撮影してください（または停止）`;
+            viewTitle.textContent = `📸 撮影: ${VIEW_LABELS[nextView]}`;
             
-            // イベント発火
-            this.emit('photoCapture', { view: this.currentCameraView, imageData });
-
-            // 次の方向に切り替え
-            if (this.currentCameraView === 'lateral') {
-                this.currentCameraView = 'frontal';
-                statusText.textContent = '正面観を撮影してください（または停止）';
-                viewTitle.textContent = '📸 撮影: 正面観';
-                
-                // ビデオを再表示
-                video.style.display = 'block';
-                canvas.style.display = 'none';
-            } else {
-                // 両方撮影完了
-                statusText.textContent = '撮影完了！解析ボタンをクリックしてください';
-                this.stopCamera();
+            // ビデオを再表示
+            video.style.display = 'block';
+            canvas.style.display = 'none';
+        } else {
+            // すべての方向の撮影完了
+            statusText.textContent = '撮影完了！解析ボタンをクリックしてください';
+            this.stopCamera();
+        }
+    }
+
+    /**
+     * 端末の傾きセンサー（devicemotion）の読み取りを開始
+     * 対応していない・許可されない場合は傾きを記録せずに撮影する
+     */
+    async startDeviceMotion() {
+        if (typeof DeviceMotionEvent === 'undefined') return;
+
+        try {
+            if (typeof DeviceMotionEvent.requestPermission === 'function'
+                && await DeviceMotionEvent.requestPermission() !== 'granted') {
+                return;
             }
+        } catch (error) {
+            console.warn('⚠️ 傾きセンサーを使用できません:', error.message);
+            return;
+        }
+
+        this.deviceGravity = null;
+        window.addEventListener('devicemotion', this.handleDeviceMotion);
+    }
+
+    stopDeviceMotion() {
+        window.removeEventListener('devicemotion', this.handleDeviceMotion);
+        this.deviceGravity = null;
+    }
+
+    handleDeviceMotion(e) {
+        const gravity = e.accelerationIncludingGravity;
+        if (gravity && Number.isFinite(gravity.x) && Number.isFinite(gravity.y) && Number.isFinite(gravity.z)) {
+            this.deviceGravity = { x: gravity.x, y: gravity.y, z: gravity.z };
+        }
+    }
+
+    /**
+     * 撮影時に記録する端末の傾き（TiltCorrection.fromDeviceOrientation の入力、なければ null）
+     */
+    getDeviceOrientation() {
+        if (!this.deviceGravity) return null;
+
+        return {
+            gravity: { ...this.deviceGravity },
+            screenAngle: screen.orientation?.angle ?? 0,
+            facingMode: 'user'
+        };
+    }
+
+    /**
+     * ライブ評価・自動撮影の状態を通知
+     */
+    emitCameraFeedbackChange() {
+        this.emit('cameraFeedbackChange', {
+            scores: this.liveMode,
+            autoCapture: Boolean(this.cameraStream) && document.getElementById('autoCaptureCheckbox').checked
         });
+    }
 
-        // カメラ停止
-        stopBtn.addEventListener('click', () => {
-            this.stopCamera();
+    /**
+     * 連続撮影中は撮影ボタンを無効化
+     */
+    setBurstRecording(isRecording) {
+        document.getElementById('capturePhoto').disabled = isRecording;
+        document.getElementById('captureBurst').disabled = isRecording;
+    }
+
+    /**
+     * 自動撮影の案内を表示
+     */
+    setCameraGuidance(message) {
+        document.getElementById('cameraStatusText').textContent = message;
+    }
+
+    /**
+     * ライブ評価の切り替え（カメラ映像上で連続して骨格検出・評価する）
+     */
+    setLiveMode(enabled) {
+        if (this.liveMode === enabled) return;
+        this.liveMode = enabled;
+
+        const liveBtn = document.getElementById('liveModeBtn');
+        liveBtn.textContent = enabled ? '⏸️ ライブ評価を停止' : '🎯 ライブ評価を開始';
+
+        document.getElementById('liveScores').style.display = enabled ? 'block' : 'none';
+        if (!enabled) {
+            document.getElementById('liveTotalScore').textContent = '-';
+            document.getElementById('liveScoreList').innerHTML = '';
+            document.getElementById('liveFps').textContent = '';
+        }
+
+        this.emitCameraFeedbackChange();
+    }
+
+    getCameraView() {
+        return this.currentCameraView;
+    }
+
+    /**
+     * ライブ評価のスコアを表示
+     */
+    renderLiveScores({ results, fps }) {
+        document.getElementById('liveFps').textContent = `${fps.toFixed(1)} fps`;
+
+        const list = document.getElementById('liveScoreList');
+        if (!results) {
+            document.getElementById('liveTotalScore').textContent = '-';
+            list.innerHTML = '<li>人物が検出されていません。全身が映るように立ってください</li>';
+            return;
+        }
+
+        document.getElementById('liveTotalScore').textContent =
+            results.totalScore !== null ? results.totalScore.toFixed(0) : '-';
+
+        list.innerHTML = '';
+        results.details.forEach(item => {
+            const li = document.createElement('li');
+            if (item.measurable) {
+                const color = PostureOverlay.getScoreColor(item.score);
+                li.innerHTML = `
+                    <span>${item.name}</span>
+                    <div class="live-score-bar"><span style="width: ${Math.max(0, item.score)}%; background: ${color};"></span></div>
+                    <span class="live-score-value">${item.score.toFixed(0)}</span>
+                `;
+            } else {
+                li.innerHTML = `
+                    <span>${item.name}</span>
+                    <div class="live-score-bar"></div>
+                    <span class="live-score-value">-</span>
+                `;
+            }
+            list.appendChild(li);
         });
     }
 
@@ -235,6 +500,11 @@ export class UIController {
             this.cameraStream.getTracks().forEach(track => track.stop());
             this.cameraStream = null;
         }
+        this.stopDeviceMotion();
+
+        // ライブ評価・自動撮影を終了
+        this.setLiveMode(false);
+        this.emitCameraFeedbackChange();
 
         const video = document.getElementById('cameraVideo');
         video.srcObject = null;
@@ -247,6 +517,8 @@ export class UIController {
         document.getElementById('startCamera').disabled = false;
         document.getElementById('capturePhoto').disabled = true;
         document.getElementById('stopCamera').disabled = true;
+        document.getElementById('liveModeBtn').disabled = true;
+        document.getElementById('captureBurst').disabled = true;
         
         // 状態をリセット
         this.currentCameraView = 'lateral';
@@ -263,6 +535,11 @@ export class UIController {
             this.emit('analyzeClick');
         });
 
+        // 解析の中止ボタン
+        document.getElementById('cancelAnalysisBtn').addEventListener('click', () => {
+            this.emit('cancelAnalysisClick');
+        });
+
         // リセットボタン
         document.getElementById('resetBtn').addEventListener('click', () => {
             this.emit('resetClick');
@@ -273,6 +550,11 @@ export class UIController {
             this.emit('generateReportClick');
         });
 
+        // Googleスライド作成ボタン
+        document.getElementById('generateSlidesBtn').addEventListener('click', () => {
+            this.emit('generateSlidesClick');
+        });
+
         // URLコピーボタン
         document.getElementById('copyUrlBtn').addEventListener('click', () => {
             this.copySlideUrl();
@@ -284,14 +566,427 @@ export class UIController {
         });
     }
 
+    /**
+     * 設定パネルのイベント設定
+     */
+    setupSettings() {
+        document.getElementById('modelSelect').addEventListener('change', (e) => {
+            this.emit('modelChange', e.target.value);
+        });
+
+        const personCropCheckbox = document.getElementById('personCropCheckbox');
+        personCropCheckbox.checked = localStorage.getItem(PERSON_CROP_KEY) === 'true';
+        personCropCheckbox.addEventListener('change', () => {
+            localStorage.setItem(PERSON_CROP_KEY, String(personCropCheckbox.checked));
+            this.emit('preprocessChange', this.getPreprocessOptions());
+        });
+
+        // 施設名はブラウザに保存して次回も使う
+        const clinicNameInput = document.getElementById('clinicNameInput');
+        clinicNameInput.value = localStorage.getItem(CLINIC_NAME_KEY) || '';
+        clinicNameInput.addEventListener('change', () => {
+            localStorage.setItem(CLINIC_NAME_KEY, clinicNameInput.value.trim());
+        });
+
+        const slidesEndpointInput = document.getElementById('slidesEndpointInput');
+        slidesEndpointInput.value = localStorage.getItem(SLIDES_ENDPOINT_KEY)
+            || import.meta.env.VITE_SLIDES_ENDPOINT_URL
+            || '';
+        slidesEndpointInput.addEventListener('change', () => {
+            localStorage.setItem(SLIDES_ENDPOINT_KEY, slidesEndpointInput.value.trim());
+        });
+    }
+
+    /**
+     * 静止画の前処理の設定
+     */
+    getPreprocessOptions() {
+        return {
+            personCrop: document.getElementById('personCropCheckbox').checked
+        };
+    }
+
+    getClinicName() {
+        return document.getElementById('clinicNameInput').value.trim();
+    }
+
+    getSlidesEndpoint() {
+        return document.getElementById('slidesEndpointInput').value.trim();
+    }
+
+    /**
+     * キャリブレーション（基準線・身長）のイベント設定
+     */
+    setupCalibration() {
+        VIEWS.forEach(view => {
+            const canvas = document.getElementById(`${view}Canvas`);
+            this.calibrationTools[view] = new CalibrationTool(canvas);
+
+            const buttonId = `calibrate${view.charAt(0).toUpperCase()}${view.slice(1)}Btn`;
+            document.getElementById(buttonId).addEventListener('click', () => {
+                const lengthCm = parseFloat(document.getElementById('referenceLengthInput').value);
+                if (!(lengthCm > 0)) {
+                    alert('基準の長さ（cm）を入力してください');
+                    return;
+                }
+
+                this.stopLandmarkEditing(view);
+                this.setCalibrationStatus(`${VIEW_LABELS[view]}の画像上で基準の両端を順にクリックしてください`);
+                this.calibrationTools[view].start(({ start, end }) => {
+                    this.emit('calibrationLineDrawn', { view, start, end, lengthCm });
+                });
+            });
+
+            // 傾き補正の基準線（基準線の指定と同じCanvas上のツールを使う）
+            document.getElementById(`tilt${view.charAt(0).toUpperCase()}${view.slice(1)}Btn`).addEventListener('click', () => {
+                const method = document.getElementById('tiltMethodSelect').value;
+
+                this.stopLandmarkEditing(view);
+                this.setTiltStatus(`${VIEW_LABELS[view]}の画像上で${TILT_LINE_HINTS[method]}の両端を順にクリックしてください`);
+                this.calibrationTools[view].start(({ start, end }) => {
+                    this.emit('tiltLineDrawn', { view, start, end, method });
+                }, { color: CalibrationTool.TILT_COLOR });
+            });
+        });
+
+        document.getElementById('clearTiltBtn').addEventListener('click', () => {
+            VIEWS.forEach(view => this.calibrationTools[view].cancel());
+            this.emit('clearTiltClick');
+        });
+
+        document.getElementById('clientHeightInput').addEventListener('change', () => {
+            this.emit('clientHeightChange', this.getAnalysisOptions().clientHeightCm);
+        });
+    }
+
+    /**
+     * ランドマーク修正（ドラッグ・追加）のイベント設定
+     */
+    setupLandmarkEditing() {
+        VIEWS.forEach(view => {
+            const canvas = document.getElementById(`${view}Canvas`);
+            const editBtn = document.getElementById(`${view}EditBtn`);
+            const addSelect = document.getElementById(`${view}AddLandmarkSelect`);
+
+            EDITABLE_LANDMARKS.forEach(({ index, label }) => {
+                const option = document.createElement('option');
+                option.value = index;
+                option.textContent = label;
+                addSelect.appendChild(option);
+            });
+
+            this.landmarkEditors[view] = new LandmarkEditor(canvas, {
+                getLandmarks: () => this.editableLandmarks[view],
+                onMove: (index, x, y) => this.emit('landmarkMove', { view, index, x, y }),
+                onCommit: (index) => {
+                    addSelect.value = '';
+                    this.emit('landmarkCommit', { view, index });
+                }
+            });
+
+            editBtn.addEventListener('click', () => {
+                if (this.landmarkEditors[view].enabled) {
+                    this.stopLandmarkEditing(view);
+                    return;
+                }
+                if (!this.editableLandmarks[view]) {
+                    alert('先に姿勢解析を実行してください');
+                    return;
+                }
+
+                this.calibrationTools[view].cancel();
+                this.landmarkEditors[view].enable();
+                editBtn.classList.add('active');
+                editBtn.textContent = '✅ 修正を終了';
+                addSelect.style.display = 'inline-block';
+            });
+
+            document.getElementById(`${view}ExportBtn`).addEventListener('click', () => {
+                if (!this.editableLandmarks[view]) {
+                    alert('先に姿勢解析を実行してください');
+                    return;
+                }
+                this.exportCanvasAsPNG(view);
+            });
+
+            addSelect.addEventListener('change', () => {
+                const value = addSelect.value;
+                this.landmarkEditors[view].setPendingAdd(value === '' ? null : Number(value));
+            });
+        });
+    }
+
+    /**
+     * 注釈付きの解析Canvasを PNG としてダウンロード
+     */
+    exportCanvasAsPNG(view) {
+        const canvas = document.getElementById(`${view}Canvas`);
+        const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+
+        canvas.toBlob((blob) => {
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `posture_${view}_${date}.png`;
+            link.click();
+            URL.revokeObjectURL(url);
+        }, 'image/png');
+    }
+
+    /**
+     * ランドマーク修正モードを終了
+     */
+    stopLandmarkEditing(view) {
+        const editBtn = document.getElementById(`${view}EditBtn`);
+        const addSelect = document.getElementById(`${view}AddLandmarkSelect`);
+
+        this.landmarkEditors[view].disable();
+        editBtn.classList.remove('active');
+        editBtn.textContent = '✏️ ランドマーク修正';
+        addSelect.value = '';
+        addSelect.style.display = 'none';
+    }
+
+    /**
+     * 修正対象のランドマークを設定（検出後に呼ぶ）
+     */
+    setEditableLandmarks(view, landmarks) {
+        this.editableLandmarks[view] = landmarks;
+    }
+
+    /**
+     * キャリブレーションの状態表示
+     */
+    setCalibrationStatus(message) {
+        document.getElementById('calibrationStatus').textContent = message;
+    }
+
+    /**
+     * 傾き補正の状態表示
+     */
+    setTiltStatus(message) {
+        document.getElementById('tiltStatus').textContent = message;
+    }
+
+    /**
+     * モデル切り替え中の状態表示
+     */
+    setModelLoading(isLoading, message) {
+        document.getElementById('modelSelect').disabled = isLoading;
+        document.getElementById('analyzeBtn').disabled = isLoading;
+        if (message) {
+            document.getElementById('modelStatusText').textContent = message;
+        }
+    }
+
+    /**
+     * モデルを読み込めなかったことを表示し、解析できないようにする
+     */
+    setModelError(message) {
+        document.getElementById('modelSelect').disabled = true;
+        document.getElementById('analyzeBtn').disabled = true;
+        document.getElementById('modelStatusText').textContent = `❌ ${message}`;
+    }
+
+    /**
+     * モデル選択を指定値に戻す（切り替え失敗時など）
+     */
+    setSelectedModel(modelId) {
+        document.getElementById('modelSelect').value = modelId;
+    }
+
+    /**
+     * クライアント選択・追加とセッション保存のイベント設定
+     */
+    setupClients() {
+        document.getElementById('clientSelect').addEventListener('change', (e) => {
+            this.emit('clientSelect', e.target.value || null);
+        });
+
+        document.getElementById('addClientBtn').addEventListener('click', () => {
+            const nameInput = document.getElementById('newClientName');
+            const name = nameInput.value.trim();
+            if (!name) {
+                alert('クライアント名を入力してください');
+                return;
+            }
+            nameInput.value = '';
+            this.emit('addClient', name);
+        });
+
+        document.getElementById('saveSessionBtn').addEventListener('click', () => {
+            this.emit('saveSessionClick');
+        });
+
+        document.getElementById('compareBtn').addEventListener('click', () => {
+            const baseId = document.getElementById('compareBaseSelect').value;
+            const targetId = document.getElementById('compareTargetSelect').value;
+            if (baseId === targetId) {
+                alert('異なる2つの評価を選択してください');
+                return;
+            }
+            this.emit('compareSessions', { baseId, targetId });
+        });
+    }
+
+    /**
+     * クライアント一覧を描画
+     */
+    renderClientList(clients, selectedId) {
+        const select = document.getElementById('clientSelect');
+        select.innerHTML = '<option value="">クライアントを選択...</option>';
+
+        clients.forEach(client => {
+            const option = document.createElement('option');
+            option.value = client.id;
+            option.textContent = client.name;
+            select.appendChild(option);
+        });
+
+        select.value = selectedId || '';
+    }
+
+    /**
+     * 選択中クライアントのセッション一覧を描画
+     */
+    renderSessionList(sessions, activeSessionId = null) {
+        const container = document.getElementById('sessionList');
+        container.innerHTML = '';
+        this.renderComparisonOptions(sessions || []);
+
+        if (sessions === null) {
+            container.innerHTML = '<p class="session-empty">クライアントを選択すると過去の評価が表示されます</p>';
+            return;
+        }
+        if (sessions.length === 0) {
+            container.innerHTML = '<p class="session-empty">保存された評価はまだありません</p>';
+            return;
+        }
+
+        sessions.forEach(session => {
+            const row = document.createElement('div');
+            row.className = session.id === activeSessionId ? 'session-row active' : 'session-row';
+
+            const formatScore = (results) => results && results.totalScore !== null
+                ? results.totalScore.toFixed(0)
+                : '-';
+            // 評価した方向のスコア
+            const scores = VIEWS
+                .filter(view => session.analysisResults[view])
+                .map(view => `${VIEW_LABELS[view]} ${formatScore(session.analysisResults[view])}`);
+
+            row.innerHTML = `
+                <span class="session-date">${new Date(session.date).toLocaleString('ja-JP')}</span>
+                <span class="session-scores">${scores.join(' / ')}</span>
+                <button class="btn btn-primary" data-action="open">開く</button>
+                <button class="btn btn-danger" data-action="delete">削除</button>
+            `;
+            row.querySelector('[data-action="open"]').addEventListener('click', () => {
+                this.emit('openSession', session.id);
+            });
+            row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+                if (confirm('この評価を削除しますか？')) {
+                    this.emit('deleteSession', session.id);
+                }
+            });
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * 比較するセッションの選択肢を更新（2件以上ある場合のみ表示）
+     * 既定はビフォー＝最も古い評価、アフター＝最新の評価
+     */
+    renderComparisonOptions(sessions) {
+        const controls = document.getElementById('comparisonControls');
+        const baseSelect = document.getElementById('compareBaseSelect');
+        const targetSelect = document.getElementById('compareTargetSelect');
+
+        if (sessions.length < 2) {
+            controls.style.display = 'none';
+            return;
+        }
+
+        [baseSelect, targetSelect].forEach(select => {
+            select.innerHTML = '';
+            sessions.forEach(session => {
+                const option = document.createElement('option');
+                option.value = session.id;
+                option.textContent = new Date(session.date).toLocaleString('ja-JP');
+                select.appendChild(option);
+            });
+        });
+
+        baseSelect.value = sessions[sessions.length - 1].id;
+        targetSelect.value = sessions[0].id;
+        controls.style.display = 'flex';
+    }
+
+    /**
+     * セッション比較を表示
+     */
+    showComparison(base, target) {
+        this.comparisonView.show(base, target);
+    }
+
+    getSessionNotes() {
+        return document.getElementById('sessionNotes').value;
+    }
+
+    setSessionNotes(notes) {
+        document.getElementById('sessionNotes').value = notes || '';
+    }
+
+    setSessionStatus(message) {
+        document.getElementById('sessionSaveStatus').textContent = message;
+    }
+
+    /**
+     * アップロード欄のプレビューに画像を表示（保存済みセッションの読み込み時など）
+     */
+    showImagePreview(view, imageData) {
+        const uploadArea = document.getElementById(`${view}UploadArea`);
+        const preview = document.getElementById(`${view}Preview`);
+        const previewImg = document.getElementById(`${view}PreviewImg`);
+
+        if (!imageData) {
+            preview.style.display = 'none';
+            uploadArea.style.display = 'block';
+            return;
+        }
+
+        previewImg.src = imageData;
+        uploadArea.style.display = 'none';
+        preview.style.display = 'block';
+    }
+
+    /**
+     * 解析オプションを取得
+     */
+    getAnalysisOptions() {
+        const clientHeightCm = parseFloat(document.getElementById('clientHeightInput').value);
+        return {
+            lateralSide: document.getElementById('lateralSideSelect').value,
+            clientHeightCm: clientHeightCm > 0 ? clientHeightCm : null
+        };
+    }
+
     /**
      * ローディング表示
      */
     showLoading() {
+        this.setLoadingMessage('解析中...');
         document.getElementById('loadingIndicator').style.display = 'block';
         document.getElementById('analyzeBtn').disabled = true;
     }
 
+    /**
+     * ローディング中のメッセージ（検出の進み具合）
+     */
+    setLoadingMessage(message) {
+        document.getElementById('loadingMessage').textContent = message;
+    }
+
     /**
      * ローディング非表示
      */
@@ -301,37 +996,320 @@ export class UIController {
     }
 
     /**
-     * 結果を表示
+     * 結果を表示（評価した方向を並べて表示）
+     * options.scroll: falseなら再評価時にスクロールしない
      */
-    displayResults(results) {
-        // 総合スコアを表示
-        document.getElementById('totalScore').textContent = results.totalScore.toFixed(0);
+    displayResults(analysisResults, options = {}) {
+        const { modelLabel, muscleImbalance, recommendations } = analysisResults;
+        VIEWS.forEach(view => {
+            this.renderViewResults(view, analysisResults[view] || null);
+        });
+        this.renderMuscleImbalance(muscleImbalance);
+        this.renderRecommendations(recommendations);
 
-        // 詳細スコアを表示
-        const detailedScoresContainer = document.getElementById('detailedScores');
+        // 使用した推定モデルと採点プロファイル
+        const profile = VIEWS.map(view => analysisResults[view]?.profile).find(Boolean);
+        const profileLabel = ScoringProfile.formatSummary(profile);
+        document.getElementById('modelNote').textContent = [
+            modelLabel ? `推定モデル: ${modelLabel}` : '',
+            profileLabel ? `採点プロファイル: ${profileLabel}` : ''
+        ].filter(Boolean).join('　｜　');
+
+        // 結果セクションを表示
+        document.getElementById('resultsSection').style.display = 'block';
+
+        // 結果セクションまでスクロール
+        if (options.scroll !== false) {
+            document.getElementById('resultsSection').scrollIntoView({ 
+                behavior: 'smooth', 
+                block: 'start' 
+            });
+        }
+    }
+
+    /**
+     * 1方向分の総合スコアと詳細スコアを描画
+     */
+    renderViewResults(view, results) {
+        const column = document.getElementById(`${view}Results`);
+        const totalScoreEl = document.getElementById(`${view}TotalScore`);
+        const excludedNoteEl = document.getElementById(`${view}ExcludedNote`);
+        const detailedScoresContainer = document.getElementById(`${view}DetailedScores`);
+        const manualNoteEl = document.getElementById(`${view}ManualNote`);
+        const burstNoteEl = document.getElementById(`${view}BurstNote`);
+        const tiltNoteEl = document.getElementById(`${view}TiltNote`);
+        const scoringUnitNoteEl = document.getElementById(`${view}ScoringUnitNote`);
         detailedScoresContainer.innerHTML = '';
+        excludedNoteEl.textContent = '';
+        manualNoteEl.textContent = '';
+        burstNoteEl.textContent = '';
+        tiltNoteEl.textContent = '';
+        scoringUnitNoteEl.textContent = '';
+
+        // 未撮影の方向は非表示
+        if (!results) {
+            column.style.display = 'none';
+            totalScoreEl.textContent = '-';
+            return;
+        }
+        column.style.display = 'block';
+
+        // 総合スコアを表示（測定可能な項目がなければ '-'）
+        totalScoreEl.textContent = results.totalScore !== null ? results.totalScore.toFixed(0) : '-';
+        if (results.excludedCount > 0) {
+            excludedNoteEl.textContent = `※ ${results.excludedCount}項目は測定不可のため総合スコアから除外しています`;
+        }
+
+        // 手動修正されたランドマークを表示
+        if (results.manualAdjustments && results.manualAdjustments.length > 0) {
+            const labels = results.manualAdjustments.map(adjustment => adjustment.label).join('、');
+            manualNoteEl.textContent = `✏️ 手動修正: ${labels}`;
+        }
+
+        // 複数フレームの平均で評価した場合
+        if (results.burst) {
+            burstNoteEl.textContent = UIController.describeBurst(results.burst);
+        }
+
+        // カメラの傾きを補正して評価した場合
+        if (results.tiltCorrection) {
+            tiltNoteEl.textContent = `📐 ${new TiltCorrection(results.tiltCorrection).describe()}`;
+        }
+
+        // 距離の項目を実寸（cm）と画像上の比率のどちらで採点したか
+        if (results.scoringUnit) {
+            const calibration = results.calibration ? `（${new Calibration(results.calibration).describe()}）` : '';
+            scoringUnitNoteEl.textContent = `📏 距離の採点: ${ScoringProfile.SCORING_UNIT_LABELS[results.scoringUnit]}${calibration}`;
+        }
+
+        // 側面観は姿勢タイプの分類を表示
+        if (view === 'lateral') {
+            this.renderPostureType(results.postureType);
+        }
 
+        // 側面観は評価に使った側を表示
+        if (view === 'lateral' && results.side) {
+            const sideLabel = results.side === 'right' ? '右側面' : '左側面';
+            const modeLabel = results.sideSelection?.mode === 'manual' ? '手動指定' : '自動判定';
+            document.getElementById('lateralSideNote').textContent = `${sideLabel}で評価（${modeLabel}）`;
+        }
+
+        // 詳細スコアを表示
         results.details.forEach(item => {
             const scoreItem = document.createElement('div');
+
+            // 評価項目に対応する関節角度（側面観）
+            const jointAngles = UIController.describeJointAngles(
+                (results.jointAngles || []).filter(angle => angle.item === item.key)
+            );
+
+            // 項目名・所見の文言は取り込んだ採点プロファイルの値なので、HTML として解釈させない
+            if (!item.measurable) {
+                scoreItem.className = 'score-item unmeasurable';
+                scoreItem.append(
+                    createElement('div', 'score-item-title', item.name),
+                    createElement('div', 'score-item-value', '測定不可')
+                );
+                scoreItem.insertAdjacentHTML('beforeend', jointAngles);
+                scoreItem.append(
+                    createElement('div', 'score-item-description', item.description),
+                    createElement('div', 'score-item-reason', item.reason)
+                );
+                detailedScoresContainer.appendChild(scoreItem);
+                return;
+            }
+
+            // キャリブレーション済みなら実寸の偏位を併記
+            let measure = item.valueCm !== undefined
+                ? `<div class="score-item-measure">偏位: ${item.valueCm.toFixed(1)} cm</div>`
+                : '';
+
+            // 複数フレームでのスコアのばらつき
+            if (item.variability) {
+                const { scoreSd, scoreMin, scoreMax } = item.variability;
+                measure += `<div class="score-item-measure">ばらつき: ±${scoreSd.toFixed(1)}点（${scoreMin.toFixed(0)}〜${scoreMax.toFixed(0)}）</div>`;
+            }
+
             scoreItem.className = 'score-item';
-            scoreItem.innerHTML = `
-                <div class="score-item-title">${item.name}</div>
-                <div class="score-item-value">${item.score.toFixed(0)}/100</div>
-                <div class="score-item-description">${item.description}</div>
-            `;
+            scoreItem.append(
+                createElement('div', 'score-item-title', item.name),
+                createElement('div', 'score-item-value', `${item.score.toFixed(0)}/100`)
+            );
+            scoreItem.insertAdjacentHTML('beforeend', measure + jointAngles);
+            scoreItem.appendChild(createElement('div', 'score-item-description', item.description));
             detailedScoresContainer.appendChild(scoreItem);
         });
+    }
 
-        // 結果セクションを表示
-        document.getElementById('resultsSection').style.display = 'block';
+    /**
+     * 短縮・弱化が疑われる筋群を人体図と一覧で表示（推定がなければ非表示）
+     */
+    renderMuscleImbalance(imbalance) {
+        const container = document.getElementById('muscleImbalance');
+        if (!imbalance || (imbalance.tight.length === 0 && imbalance.weak.length === 0)) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
 
-        // 結果セクションまでスクロール
-        document.getElementById('resultsSection').scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'start' 
+        document.getElementById('bodyDiagram').innerHTML = BodyDiagram.render(imbalance);
+
+        const renderList = (listId, groups) => {
+            const list = document.getElementById(listId);
+            list.innerHTML = '';
+            if (groups.length === 0) {
+                list.appendChild(createElement('li', 'muscle-group-empty', '該当なし'));
+                return;
+            }
+            // 筋群名・根拠は編集・インポートされたルールの値なので、HTML として解釈させない
+            groups.forEach(group => {
+                const li = document.createElement('li');
+                const reasons = createElement('ul', 'muscle-group-reasons');
+                reasons.append(...group.reasons.map(reason => createElement('li', '', reason)));
+                li.append(createElement('strong', '', group.name), reasons);
+                list.appendChild(li);
+            });
+        };
+        renderList('tightMuscleList', imbalance.tight);
+        renderList('weakMuscleList', imbalance.weak);
+    }
+
+    /**
+     * おすすめのエクササイズをカードで表示（推奨がなければ非表示）
+     */
+    renderRecommendations(recommendations) {
+        const container = document.getElementById('recommendations');
+        const list = document.getElementById('recommendationList');
+        list.innerHTML = '';
+
+        if (!recommendations || recommendations.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+
+        recommendations.forEach(exercise => {
+            // 名前・説明などは編集・インポートされたライブラリの値なので、HTML として解釈させない
+            const card = createElement('div', 'recommendation-card');
+
+            if (ExerciseLibrary.isSafeIllustrationUrl(exercise.illustration)) {
+                const img = createElement('img', 'recommendation-illustration');
+                img.src = exercise.illustration;
+                img.alt = exercise.name;
+                // 図解が読み込めなければ非表示
+                img.addEventListener('error', () => img.remove());
+                card.appendChild(img);
+            }
+
+            const header = createElement('div', 'recommendation-header');
+            header.append(
+                createElement('span', `recommendation-type recommendation-type-${exercise.type}`, ExerciseLibrary.TYPE_LABELS[exercise.type]),
+                createElement('strong', '', exercise.name)
+            );
+            card.append(
+                header,
+                createElement('div', 'recommendation-dosage', `${exercise.sets}セット × ${exercise.reps}`),
+                createElement('div', 'recommendation-muscles', `対象: ${exercise.targetMuscles.join('・')}`)
+            );
+            if (exercise.instructions) {
+                card.appendChild(createElement('p', 'recommendation-instructions', exercise.instructions));
+            }
+            card.appendChild(createElement('div', 'recommendation-reasons', `根拠: ${exercise.reasons.join('、')}`));
+
+            list.appendChild(card);
         });
     }
 
+    /**
+     * 姿勢タイプの分類結果と根拠となった所見を表示
+     */
+    renderPostureType(postureType) {
+        const container = document.getElementById('lateralPostureType');
+        if (!postureType) {
+            container.style.display = 'none';
+            return;
+        }
+        container.style.display = 'block';
+
+        if (!postureType.type) {
+            container.innerHTML = `
+                <div class="posture-type-header">
+                    <span class="posture-type-label">姿勢タイプ</span>
+                    <strong>${postureType.label}</strong>
+                </div>
+                <p class="posture-type-note">${postureType.reason}</p>
+            `;
+            return;
+        }
+
+        const findings = postureType.findings.map(finding => {
+            const matched = postureType.matches.includes(finding.key);
+            return `<li class="${matched ? 'matched' : ''}">${matched ? '✔' : '－'} ${finding.label}（${finding.valueText}）</li>`;
+        }).join('');
+        const runnerUp = postureType.candidates[1];
+
+        container.innerHTML = `
+            <div class="posture-type-header">
+                <span class="posture-type-label">姿勢タイプ</span>
+                <strong>${postureType.label}</strong>
+                <span class="posture-type-confidence">信頼度 ${(postureType.confidence * 100).toFixed(0)}%</span>
+            </div>
+            <ul class="posture-type-findings">${findings}</ul>
+            <p class="posture-type-note">✔ は${postureType.label}の典型的な所見と一致した項目${runnerUp ? `　｜　次点: ${runnerUp.label}（一致度 ${(runnerUp.score * 100).toFixed(0)}%）` : ''}</p>
+        `;
+    }
+
+    /**
+     * 連続撮影の概要（例: 3.0秒・28フレームの平均（外れ値2フレームを除外））
+     */
+    static describeBurst(burst) {
+        const rejected = burst.rejectedCount > 0 ? `（外れ値${burst.rejectedCount}フレームを除外）` : '';
+        return `🎞️ ${(burst.durationMs / 1000).toFixed(1)}秒・${burst.usedFrames}フレームの平均${rejected}`;
+    }
+
+    /**
+     * 関節角度の表示（測定方法と使った点はツールチップで確認できる）
+     */
+    static describeJointAngles(angles) {
+        return angles.map(angle => {
+            if (!angle.measurable) {
+                return `<div class="score-item-angle">📐 ${angle.name}: 測定不可（${angle.reason}）</div>`;
+            }
+
+            const points = Object.entries(angle.geometry.points)
+                .map(([name, point]) => `${name}(${point.x}, ${point.y})`)
+                .join(' ');
+            return `
+                <div class="score-item-angle" title="${angle.geometry.method}\n${points}">
+                    📐 ${angle.name}: <strong>${angle.valueText}</strong>（目安 ${angle.normal}）${angle.interpretation}
+                </div>
+            `;
+        }).join('');
+    }
+
+    setReportStatus(message) {
+        document.getElementById('reportStatus').textContent = message;
+    }
+
+    /**
+     * スライド作成中はボタンを無効化
+     */
+    setSlidesExporting(isExporting) {
+        const button = document.getElementById('generateSlidesBtn');
+        button.disabled = isExporting;
+        button.textContent = isExporting ? '⏳ スライドを作成中...' : '📊 Googleスライドを作成';
+    }
+
+    /**
+     * 作成されたスライドのURLを表示
+     */
+    showSlideUrl(url) {
+        document.getElementById('slideUrl').value = url;
+        const container = document.getElementById('slideUrlContainer');
+        container.style.display = 'block';
+        container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    }
+
     /**
      * スライドURLをコピー
      */
@@ -364,34 +1342,50 @@ export class UIController {
      * リセット
      */
     reset() {
-        // ファイル入力をクリア
-        document.getElementById('lateralImageUpload').value = '';
-        document.getElementById('frontalImageUpload').value = '';
-        
-        // プレビューを非表示
-        document.getElementById('lateralPreview').style.display = 'none';
-        document.getElementById('frontalPreview').style.display = 'none';
-        document.getElementById('lateralUploadArea').style.display = 'block';
-        document.getElementById('frontalUploadArea').style.display = 'block';
+        VIEWS.forEach(view => {
+            // ファイル入力をクリア
+            document.getElementById(`${view}ImageUpload`).value = '';
+
+            // プレビューを非表示
+            document.getElementById(`${view}Preview`).style.display = 'none';
+            document.getElementById(`${view}UploadArea`).style.display = 'block';
+        });
 
         // カメラを停止
         this.stopCamera();
 
         // Canvasをクリア
-        const lateralCanvas = document.getElementById('lateralCanvas');
-        const frontalCanvas = document.getElementById('frontalCanvas');
-        
-        if (lateralCanvas) {
-            const ctx1 = lateralCanvas.getContext('2d');
-            ctx1.clearRect(0, 0, lateralCanvas.width, lateralCanvas.height);
-        }
-        
-        if (frontalCanvas) {
-            const ctx2 = frontalCanvas.getContext('2d');
-            ctx2.clearRect(0, 0, frontalCanvas.width, frontalCanvas.height);
-        }
+        VIEWS.forEach(view => {
+            const canvas = document.getElementById(`${view}Canvas`);
+            if (canvas) {
+                canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            }
+        });
+
+        // ランドマーク修正を終了
+        VIEWS.forEach(view => {
+            this.stopLandmarkEditing(view);
+            this.editableLandmarks[view] = null;
+        });
+
+        // キャリブレーションを中断・クリア
+        Object.values(this.calibrationTools).forEach(tool => tool.cancel());
+        document.getElementById('clientHeightInput').value = '';
+        this.setCalibrationStatus('解析後、床のテープや定規の両端をクリックするか身長を入力すると、偏位をcmで表示します');
+        this.setTiltStatus(TILT_STATUS_DEFAULT);
+        document.getElementById('tiltMethodSelect').value = 'vertical';
+
+        // 解析オプションを初期値に戻す
+        document.getElementById('lateralSideSelect').value = 'auto';
+        document.getElementById('lateralSideNote').textContent = '';
+
+        // セッションのメモ・状態をクリア
+        this.setSessionNotes('');
+        this.setSessionStatus('');
 
         // スライドURLエリアを非表示
+        this.setReportStatus('');
+        document.getElementById('slideUrl').value = '';
         document.getElementById('slideUrlContainer').style.display = 'none';
     }
 }
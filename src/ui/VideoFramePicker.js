@@ -0,0 +1,284 @@
+/**
+ * VideoFramePicker - アップロードされた動画をスクラブして解析に使うフレーム（または区間）を選ぶ
+ */
+
+import { BurstRecorder } from '../pose/BurstRecorder.js';
+import { FrameSelector } from '../analysis/FrameSelector.js';
+import { PostureOverlay } from './PostureOverlay.js';
+
+// おすすめフレームを探すときのサンプル数の上限と最小間隔（秒）
+const MAX_SCAN_SAMPLES = 60;
+const MIN_SCAN_INTERVAL = 0.2;
+
+// 平均に使う区間（選択位置の前後）
+const WINDOW_MS = 3000;
+
+const VIEW_LABELS = {
+    lateral: '側面観',
+    frontal: '正面観',
+    posterior: '後面観'
+};
+
+export class VideoFramePicker {
+    /**
+     * onSelect(view, { imageData, burst }): フレーム（burst は平均する場合のみ）が選ばれたとき
+     */
+    constructor({ poseDetector, onSelect }) {
+        this.poseDetector = poseDetector;
+        this.onSelect = onSelect;
+        this.frameSelector = new FrameSelector();
+
+        this.view = null;
+        this.samples = [];
+        this.best = null;
+        this.busy = false;
+
+        // 走査中に別の動画を開いたり閉じたりしたら古い走査を打ち切る
+        this.scanId = 0;
+    }
+
+    init() {
+        this.panel = document.getElementById('videoPicker');
+        this.video = document.getElementById('videoPickerVideo');
+        this.overlay = document.getElementById('videoPickerOverlay');
+        this.scrubber = document.getElementById('videoScrubber');
+        this.timeline = document.getElementById('videoTimeline');
+        this.timeText = document.getElementById('videoTimeText');
+        this.statusText = document.getElementById('videoPickerStatus');
+
+        this.scrubber.addEventListener('input', () => {
+            this.video.currentTime = Number(this.scrubber.value);
+        });
+
+        // 手動でスクラブしたフレームも骨格を検出して評価を表示
+        this.video.addEventListener('seeked', () => {
+            this.scrubber.value = this.video.currentTime;
+            this.timeText.textContent = VideoFramePicker.formatTime(this.video.currentTime);
+            this.drawTimeline();
+            if (!this.busy) {
+                this.inspectCurrentFrame();
+            }
+        });
+
+        this.timeline.addEventListener('click', (e) => {
+            if (!this.video.duration) return;
+            const rect = this.timeline.getBoundingClientRect();
+            this.video.currentTime = (e.clientX - rect.left) / rect.width * this.video.duration;
+        });
+
+        document.getElementById('videoBestFrameBtn').addEventListener('click', () => {
+            if (this.best) {
+                this.video.currentTime = this.best.time;
+            }
+        });
+
+        document.getElementById('videoUseFrameBtn').addEventListener('click', () => {
+            this.useCurrentFrame();
+        });
+
+        document.getElementById('videoUseWindowBtn').addEventListener('click', async () => {
+            await this.useWindow();
+        });
+
+        document.getElementById('videoPickerCancelBtn').addEventListener('click', () => {
+            this.close();
+        });
+    }
+
+    /**
+     * 動画を読み込み、全体を走査しておすすめフレームを表示
+     */
+    async open(view, file) {
+        this.close();
+        this.view = view;
+        this.samples = [];
+        this.best = null;
+
+        document.getElementById('videoPickerTitle').textContent = `🎬 ${VIEW_LABELS[view]}のフレームを選択`;
+        this.panel.style.display = 'block';
+        this.panel.scrollIntoView({ behavior: 'smooth', block: 'start' });
+
+        await new Promise((resolve, reject) => {
+            this.video.onloadeddata = () => resolve();
+            this.video.onerror = () => reject(new Error('動画の読み込みに失敗しました'));
+            this.video.src = URL.createObjectURL(file);
+        });
+
+        this.scrubber.max = this.video.duration;
+        this.scrubber.step = 0.01;
+        this.overlay.width = this.video.videoWidth;
+        this.overlay.height = this.video.videoHeight;
+
+        await this.scan();
+    }
+
+    close() {
+        this.scanId++;
+        if (this.video && this.video.src) {
+            this.video.pause();
+            URL.revokeObjectURL(this.video.src);
+            this.video.removeAttribute('src');
+            this.video.load();
+        }
+        if (this.panel) {
+            this.panel.style.display = 'none';
+        }
+        this.view = null;
+    }
+
+    /**
+     * 一定間隔でフレームを検出し、信頼度と立位の垂直さからおすすめフレームを決める
+     */
+    async scan() {
+        const duration = this.video.duration;
+        const count = Math.max(1, Math.min(MAX_SCAN_SAMPLES, Math.floor(duration / MIN_SCAN_INTERVAL)));
+        const aspect = this.video.videoWidth / this.video.videoHeight;
+        const scanId = this.scanId;
+
+        this.busy = true;
+        this.setControlsDisabled(true);
+        try {
+            for (let i = 0; i < count; i++) {
+                const time = duration * (i + 0.5) / count;
+                await BurstRecorder.seek(this.video, time);
+
+                const result = await this.poseDetector.detectFrame(this.video);
+                if (scanId !== this.scanId) return;
+                this.samples.push({
+                    time: time,
+                    ...this.frameSelector.scoreFrame(result ? result.poseLandmarks : null, aspect)
+                });
+
+                this.statusText.textContent = `🔍 おすすめフレームを探しています... ${i + 1}/${count}`;
+                this.drawTimeline();
+            }
+
+            this.best = this.frameSelector.selectBest(this.samples);
+            if (this.best) {
+                await BurstRecorder.seek(this.video, this.best.time);
+            }
+        } finally {
+            if (scanId === this.scanId) {
+                this.busy = false;
+                this.setControlsDisabled(false);
+            }
+        }
+
+        if (scanId !== this.scanId) return;
+
+        if (this.best) {
+            this.drawTimeline();
+            await this.inspectCurrentFrame();
+        } else {
+            this.statusText.textContent = '⚠️ 姿勢を検出できるフレームが見つかりませんでした。スクラブして選択してください';
+        }
+    }
+
+    /**
+     * 表示中のフレームの骨格と評価を表示
+     */
+    async inspectCurrentFrame() {
+        this.busy = true;
+        try {
+            const result = await this.poseDetector.detectFrame(this.video);
+            const ctx = this.overlay.getContext('2d');
+            ctx.clearRect(0, 0, this.overlay.width, this.overlay.height);
+
+            if (!result) {
+                this.statusText.textContent = 'このフレームでは姿勢を検出できません';
+                return;
+            }
+
+            this.poseDetector.drawLandmarks(this.overlay, result);
+            const score = this.frameSelector.scoreFrame(result.poseLandmarks, this.video.videoWidth / this.video.videoHeight);
+            const tilt = score.tilt !== null ? `${score.tilt.toFixed(1)}°` : '-';
+            const bestNote = this.best
+                ? `　｜　おすすめ: ${VideoFramePicker.formatTime(this.best.time)}${Math.abs(this.best.time - this.video.currentTime) < 0.05 ? '（表示中）' : ''}`
+                : '';
+            this.statusText.textContent = `信頼度 ${(score.confidence * 100).toFixed(0)}%・傾き ${tilt}${bestNote}`;
+        } catch (error) {
+            console.error('❌ フレーム検出エラー:', error);
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    useCurrentFrame() {
+        const view = this.view;
+        const imageData = BurstRecorder.grabFrame(this.video);
+        this.close();
+        this.onSelect(view, { imageData, burst: null });
+    }
+
+    /**
+     * 選択位置を中心とした区間のフレームを平均して使う
+     */
+    async useWindow() {
+        const view = this.view;
+        const startTime = Math.max(0, this.video.currentTime - WINDOW_MS / 2000);
+
+        this.busy = true;
+        this.setControlsDisabled(true);
+        try {
+            const burst = await new BurstRecorder(this.poseDetector).recordFile(this.video, {
+                startTime: startTime,
+                durationMs: WINDOW_MS,
+                onProgress: (ratio) => {
+                    this.statusText.textContent = `🎞️ 区間を解析中... ${Math.round(ratio * 100)}%`;
+                }
+            });
+
+            if (burst.frames.length === 0) {
+                alert('この区間では姿勢が検出できませんでした');
+                return;
+            }
+
+            this.close();
+            this.onSelect(view, { imageData: burst.imageData, burst });
+        } catch (error) {
+            console.error('❌ 区間の解析エラー:', error);
+            alert(`区間の解析に失敗しました: ${error.message}`);
+        } finally {
+            this.busy = false;
+            this.setControlsDisabled(false);
+        }
+    }
+
+    setControlsDisabled(disabled) {
+        this.scrubber.disabled = disabled;
+        ['videoBestFrameBtn', 'videoUseFrameBtn', 'videoUseWindowBtn'].forEach(id => {
+            document.getElementById(id).disabled = disabled;
+        });
+    }
+
+    /**
+     * 走査したフレームの評価を棒グラフで表示（おすすめは緑、表示位置は縦線）
+     */
+    drawTimeline() {
+        const canvas = this.timeline;
+        const rect = canvas.getBoundingClientRect();
+        canvas.width = Math.max(1, Math.round(rect.width));
+        canvas.height = 40;
+
+        const ctx = canvas.getContext('2d');
+        const duration = this.video.duration || 1;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+        const barWidth = Math.max(2, canvas.width / Math.max(this.samples.length, 1) - 1);
+        this.samples.forEach(sample => {
+            const x = sample.time / duration * canvas.width - barWidth / 2;
+            const height = Math.max(2, sample.quality * canvas.height);
+            ctx.fillStyle = sample === this.best ? '#50C878' : PostureOverlay.getScoreColor(sample.quality * 100);
+            ctx.fillRect(x, canvas.height - height, barWidth, height);
+        });
+
+        const cursorX = this.video.currentTime / duration * canvas.width;
+        ctx.fillStyle = '#333333';
+        ctx.fillRect(cursorX - 1, 0, 2, canvas.height);
+    }
+
+    static formatTime(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        return `${minutes}:${(seconds % 60).toFixed(1).padStart(4, '0')}`;
+    }
+}
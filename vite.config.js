@@ -1,6 +1,16 @@
 import { defineConfig } from 'vite';
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import { join, relative, sep } from 'node:path';
+import { ModelWeights } from './src/pose/ModelWeights.js';
+
+// 起動時に読み込むモデル（PoseDetector.DEFAULT_MODEL と同じ）
+const DEFAULT_MODEL = 'movenet-lightning';
 
 export default defineConfig({
+  plugins: [
+    precacheManifest()
+  ],
   server: {
     port: 3000,
     host: '0.0.0.0',
@@ -15,3 +25,63 @@ export default defineConfig({
     sourcemap: true
   }
 });
+
+/**
+ * オフライン用: src/sw.js にキャッシュするファイルの一覧（ビルドの出力と public/ のファイル）を埋め込み、dist/sw.js に出力する
+ * モデルの重みは起動時に読み込むモデルの分だけ一覧に含める（ほかのモデルは Service Worker が読み込み時にキャッシュする）
+ */
+function precacheManifest() {
+  let root;
+  let publicDir;
+  let usesLocalModels;
+
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+      // VITE_MODEL_BASE_URL で別の配置先を指定していなければ public/models/ から読み込む
+      usesLocalModels = config.env.VITE_MODEL_BASE_URL === undefined;
+    },
+    generateBundle(options, bundle) {
+      const missing = ModelWeights.getDirectories(DEFAULT_MODEL)
+        .filter(directory => !existsSync(join(publicDir, 'models', directory, 'model.json')));
+      if (usesLocalModels && missing.length > 0) {
+        this.warn(`public/models/ に ${DEFAULT_MODEL} の重みがありません（${missing.join(', ')}）。npm run models:download で取得してからビルドしないと、ビルドしたアプリは起動時にエラーになります`);
+      }
+
+      const outputs = Object.values(bundle).filter(output => !output.fileName.endsWith('.map'));
+      const publicFiles = listFiles(publicDir);
+      const precachedModels = ModelWeights.getDirectories(DEFAULT_MODEL).map(directory => `models/${directory}/`);
+      const precachedPublicFiles = publicFiles.filter(
+        file => !file.startsWith('models/') || precachedModels.some(directory => file.startsWith(directory))
+      );
+
+      // 出力と public/ のファイル（事前にキャッシュしないモデルも含む）の内容が変われば版（キャッシュ名）も変わる
+      const hash = createHash('sha256');
+      outputs.forEach(output => hash.update(output.fileName).update(output.type === 'chunk' ? output.code : output.source));
+      publicFiles.forEach(file => hash.update(file).update(readFileSync(join(publicDir, file))));
+
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        files: ['./', ...outputs.map(output => output.fileName), ...precachedPublicFiles]
+      };
+
+      const source = readFileSync(join(root, 'src', 'sw.js'), 'utf8')
+        .replace('self.__PRECACHE_MANIFEST__', JSON.stringify(manifest));
+      this.emitFile({ type: 'asset', fileName: 'sw.js', source });
+    }
+  };
+}
+
+function listFiles(dir, base = dir) {
+  if (!dir || !existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+    const path = join(dir, entry.name);
+    return entry.isDirectory() ? listFiles(path, base) : [relative(base, path).split(sep).join('/')];
+  });
+}